@@ -1,87 +1,659 @@
-import React, { useState, useMemo } from "react";
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine } from "recharts";
-import { Info, Eye, Activity, Settings, Plus, X, RefreshCw, Filter, BookOpen } from "lucide-react";
+import React, { useState, useMemo, useEffect, useRef } from "react";
+import { LineChart, ComposedChart, Line, Area, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine, ReferenceArea } from "recharts";
+import { Info, Pin, Undo2, Redo2, ZoomOut, Lock, StepBack, Square, Database, Spline, Ban, Scissors, Eye, Activity, Settings, Plus, X, RefreshCw, Filter, BookOpen, Dumbbell, Play, Pause, StepForward, RotateCcw, Sigma, Dices, Download, Upload, AlertTriangle, Library, Share2, Save, Trash2, FunctionSquare, FileCode, ChartArea, GraduationCap } from "lucide-react";
+import { compileExpression } from "./expression";
+import {
+  builtInActivationNames,
+  createActivationRegistry,
+  customActivation,
+  validateActivationName,
+  DEFAULT_LEAKY_SLOPE,
+  createNetwork,
+  forward,
+  forwardSteps,
+  fillMatrix,
+  resizeVector,
+  resizeMatrix,
+  defaultLayerOptions,
+  resizeLayerOptions,
+  sampleDropoutMasks,
+  canSkip,
+  initializeParams,
+  neuronRegime,
+  neuronImportance,
+  removeLayerAblations,
+  compileNetwork,
+  evaluateBatch,
+  SATURATION_THRESHOLD,
+} from "./networkEngine";
+import { targetFunctions, lossFunctions, optimizers, createOptimizerState, trainEpoch, backpropagate, outputLoss, sampleGrid } from "./training";
+import { initializers, biasInitializerNames, createRng, createSampler, randomSeed } from "./initializers";
+import { serializeNetwork, parseNetwork, readNetwork } from "./networkFile";
+import { encodeNetworkHash, decodeNetworkHash, restoreNetwork, saveAutosave, loadUserPresets, saveUserPresets, loadUserLessons, saveUserLessons, loadLessonProgress, saveLessonProgress } from "./persistence";
+import { builtInPresets, builtInLessonFile } from "./presets";
+import { readLesson, readLessons, parseLessons, createLockCheck, keepLocked, checkGoal, goalPoints } from "./lessons";
+import { PRECISIONS, DEFAULT_FIXED_POINT, quantizeParameters, activationQuantizers, outputError } from "./quantization";
+import { sampleRange, uniformPoints, finiteExtent } from "./sampling";
+import { draggedWeight } from "./weightDrag";
+import { datasetErrors } from "./dataset";
+import { isPiecewiseLinear, linearRegions, PIECEWISE_LINEAR_ACTIVATIONS } from "./piecewise";
+import { diffParameters } from "./snapshots";
+import { layerStatistics } from "./layerStats";
+import { OUTPUT_HEADS, isClassificationHead, outputHeadError, classCount, classProbabilities, predictedClass, crossEntropy } from "./outputHead";
+import { createHistory, recordHistory, undoHistory, redoHistory } from "./history";
+import DecisionSurface from "./DecisionSurface";
+import DatasetPanel from "./DatasetPanel";
+import NetworkCanvas from "./NetworkCanvas";
+import WeightHeatmap from "./WeightHeatmap";
+import CodeExportDialog from "./CodeExportDialog";
+import LessonPicker from "./LessonPicker";
+import LessonPanel from "./LessonPanel";
+import PrecisionPanel from "./PrecisionPanel";
+import LayerStatsPanel from "./LayerStatsPanel";
+import { diagramLayout, cullEdges } from "./diagramLayout";
 
-const randomWeight = () => parseFloat((Math.random() * 2 - 1).toFixed(2));
+const LANDSCAPE_MIN = -5;
+const LANDSCAPE_MAX = 5;
+const LANDSCAPE_STEP = 0.2;
+const MAX_LANDSCAPE_POINTS = 1000;
+const LOSS_HISTORY_LIMIT = 500;
+const MAX_INPUTS = 4;
+const SURFACE_RESOLUTION = 41;
+// Oldest pinned snapshots are dropped beyond this.
+const MAX_SNAPSHOTS = 8;
+const MAX_TRAINING_SAMPLES = 600;
+const MAX_LAYERS = 10;
+// Above this many visible landscape curves, only the output layer is plotted.
+const MAX_PLOTTED_LINES = 40;
+// The Network Diagram switches to the canvas renderer past either threshold.
+const CANVAS_EDGE_THRESHOLD = 300;
+const CANVAS_NODE_THRESHOLD = 10;
+// Per layer pair on the canvas; weaker edges are merged into one band.
+const MAX_DRAWN_EDGES = 400;
+const MAX_DIAGRAM_HEIGHT = 800;
+// Layers with more weights than this are edited through a heatmap instead of one slider each.
+const HEATMAP_THRESHOLD = 48;
+// Past this many neurons the Computation Trace shows one layer at a time.
+const TRACE_NEURON_LIMIT = 24;
+// Above this many (neuron × downstream weight) pairs, neuron importance waits for a click.
+const IMPORTANCE_AUTO_WORK = 200000;
+// Above this many (linear piece × weight) steps, at most, linear regions wait for a click too.
+const REGIONS_AUTO_WORK = 1000000;
+
+const AUTOSAVE_DELAY = 500;
+
+// What the landscape plots for each neuron. "doutdx" is a whole-network view of the output layer.
+const LANDSCAPE_MODES = {
+  a: { label: "a", title: "Activation a = f(z)" },
+  z: { label: "z", title: "Pre-activation z = w·x + b" },
+  slope: { label: "f'(z)", title: "Local slope of the activation" },
+  doutdx: { label: "d(out)/dx", title: "Derivative of each network output with respect to x" },
+};
+
+// Plotted value of layer l at flat index k of an evaluateBatch() result ("doutdx" needs tangents).
+const batchValue = (mode, batch, network, l, k) => {
+  if (mode === "z") return batch.z[l][k];
+  if (mode === "slope") return network.layerFunctions[l].derivative(batch.zHat[l][k]);
+  if (mode === "doutdx") return batch.da[l][k];
+  return batch.a[l][k];
+};
+
+// Adds every line's value at each of the batch's `count` points to `values[p]`, keyed like the
+// chart's data keys. "doutdx" and `outputOnly` cover just the output layer.
+const addBatchValues = (values, mode, batch, network, count, { prefix = "", outputOnly = false } = {}) => {
+  const last = batch.z.length - 1;
+  batch.z.forEach((zl, l) => {
+    if ((mode === "doutdx" || outputOnly) && l !== last) return;
+    for (let i = 0; i < zl.length / count; i++) {
+      const key = `${prefix}L${l + 1}_N${i + 1}`;
+      for (let p = 0; p < count; p++) values[p][key] = batchValue(mode, batch, network, l, i * count + p);
+    }
+  });
+};
 
 const ActivationVisualizer = () => {
-  const [input, setInput] = useState(0);
-  const [neuronsPerLayer, setNeuronsPerLayer] = useState([3, 2]); 
-  const maxNeurons = 6;
+  const maxNeurons = 64;
+  const networkLimits = { activations: builtInActivationNames, maxLayers: MAX_LAYERS, maxNeurons, maxInputs: MAX_INPUTS };
+
+  // A shared link or the last autosave, if any; otherwise the defaults below apply.
+  const [restored] = useState(() => restoreNetwork(networkLimits));
+
+  const [inputs, setInputs] = useState(restored.network?.inputs ?? [0]);
+  const [neuronsPerLayer, setNeuronsPerLayer] = useState(restored.network?.neuronsPerLayer ?? [3, 2]); 
   
-  const [activations, setActivations] = useState(["tanh", "sigmoid"]);
-  const availableActivations = ["relu", "sigmoid", "tanh", "linear"];
+  const [activations, setActivations] = useState(restored.network?.activations ?? ["tanh", "sigmoid"]);
 
-  const [viewMode, setViewMode] = useState("activity"); 
+  // Custom activations are [{ name, expression }] in z; they join the built-ins in every dropdown.
+  const [customActivations, setCustomActivations] = useState(restored.network?.customActivations ?? []);
+  const [leakySlope, setLeakySlope] = useState(restored.network?.leakySlope ?? DEFAULT_LEAKY_SLOPE);
+  // How the output layer is read: as values (regression) or as logits of a classifier.
+  const [outputHead, setOutputHead] = useState(restored.network?.outputHead ?? "regression");
+  // Per-layer skip connection, LayerNorm and dropout (see defaultLayerOptions in networkEngine.js).
+  const [layerOptions, setLayerOptions] = useState(() => restored.network?.layerOptions ?? resizeLayerOptions([], neuronsPerLayer));
+  // Dropout only acts in training mode. Its masks follow a seed, so resampling picks a new seed.
+  const [dropoutTraining, setDropoutTraining] = useState(false);
+  const [dropoutSeed, setDropoutSeed] = useState(randomSeed);
+  const [showActivationLibrary, setShowActivationLibrary] = useState(false);
+  const [newActivationName, setNewActivationName] = useState("");
+  const [newActivationExpr, setNewActivationExpr] = useState("z / (1 + abs(z))");
+
+  const activationRegistry = useMemo(
+    () => createActivationRegistry({ leakySlope, custom: customActivations }),
+    [leakySlope, customActivations]
+  );
+
+  const [viewMode, setViewMode] = useState(restored.network?.view.viewMode ?? "activity"); 
   const [showEditor, setShowEditor] = useState(false);
+  const [heatmapCell, setHeatmapCell] = useState(null);
+  const [traceLayer, setTraceLayer] = useState(0);
+  // The network importance was last requested for, when it isn't computed automatically.
+  const [importanceNetwork, setImportanceNetwork] = useState(null);
+  // Likewise for the linear-region analysis.
+  const [regionsNetwork, setRegionsNetwork] = useState(null);
   
   // State for Graph Visibility Filtering
-  const [hiddenLines, setHiddenLines] = useState(new Set());
+  const [hiddenLines, setHiddenLines] = useState(() => new Set(restored.network?.view.hiddenLines));
 
-  const activationFunctions = {
-    relu: (x) => Math.max(0, x),
-    sigmoid: (x) => 1 / (1 + Math.exp(-x)),
-    tanh: (x) => Math.tanh(x),
-    linear: (x) => x,
-  };
+  // State for Training Mode
+  const [showTrainer, setShowTrainer] = useState(false);
+  const [isTraining, setIsTraining] = useState(false);
+  const [targetName, setTargetName] = useState("sin");
+  const [customTarget, setCustomTarget] = useState("0.5 * x");
+  const [lossName, setLossName] = useState("mse");
+  const [optimizerName, setOptimizerName] = useState("adam");
+  const [learningRate, setLearningRate] = useState(0.01);
+  const [trainOutput, setTrainOutput] = useState(0);
+  const [lossHistory, setLossHistory] = useState([]);
+  const optimizerStateRef = useRef(createOptimizerState());
+
+  // State for the Backward Pass (shares the loss and output neuron with Training)
+  const [gradTarget, setGradTarget] = useState(1);
+  // The class cross-entropy is measured against when the output head classifies.
+  const [trueClass, setTrueClass] = useState(0);
+
+  // State for the forward pass playback (playbackStep is null when not stepping through)
+  const [playbackStep, setPlaybackStep] = useState(null);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackSpeed, setPlaybackSpeed] = useState(2);
+
+  // State for hovering, selecting and dragging in the Network Diagram
+  const [diagramHover, setDiagramHover] = useState(null);
+  const [selectedNeuron, setSelectedNeuron] = useState(null);
+  const weightDragRef = useRef(null);
+
+  // State for ablation: forced outputs keyed "layer:neuron", cut connections as "layer:neuron:input"
+  const [ablatedNeurons, setAblatedNeurons] = useState({});
+  const [cutConnections, setCutConnections] = useState(() => new Set());
+
+  // State for the 2D Decision Surface (used when there is more than one input)
+  const [surfaceNeuron, setSurfaceNeuron] = useState(null);
+  const [landscapeMode, setLandscapeMode] = useState("a");
+  const [showRegimes, setShowRegimes] = useState(true);
+  const [landscapeRange, setLandscapeRange] = useState({ min: LANDSCAPE_MIN, max: LANDSCAPE_MAX, step: LANDSCAPE_STEP });
+  const [adaptiveSampling, setAdaptiveSampling] = useState(true);
+  const [zoom, setZoom] = useState(null);
+  const [zoomSelection, setZoomSelection] = useState(null);
+  const [yLock, setYLock] = useState(null);
+  const [showBreakpoints, setShowBreakpoints] = useState(true);
+
+  // State for the reduced-precision simulation ("float64" means it is off)
+  const [precision, setPrecision] = useState("float64");
+  const [fixedPoint, setFixedPoint] = useState(DEFAULT_FIXED_POINT);
+  const [quantizeActivations, setQuantizeActivations] = useState(false);
+
+  // State for Initialization (the seeded stream also feeds incremental architecture edits)
+  const [weightInit, setWeightInit] = useState("uniform");
+  const [biasInit, setBiasInit] = useState("uniform");
+  const [weightConstant, setWeightConstant] = useState(0.5);
+  const [biasConstant, setBiasConstant] = useState(0);
+  const [seed, setSeed] = useState(randomSeed);
+  const rngRef = useRef(null);
+
+  // State for Save / Load
+  const [fileError, setFileError] = useState(restored.error && { name: "shared link", message: restored.error });
+  const fileInputRef = useRef(null);
+
+  // State for Sharing & Presets
+  const [showPresets, setShowPresets] = useState(false);
+  const [showCodeExport, setShowCodeExport] = useState(false);
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const [presetName, setPresetName] = useState("");
+  const [shareNotice, setShareNotice] = useState(null);
+
+  // State for the Dataset overlay
+  const [showDataset, setShowDataset] = useState(false);
+  const [datasetPoints, setDatasetPoints] = useState([]);
+
+  // State for Undo / Redo
+  const [history, setHistory] = useState(createHistory);
+
+  // State for pinned Snapshots
+  const [snapshots, setSnapshots] = useState([]);
+  const [diffSnapshotId, setDiffSnapshotId] = useState(null);
+  const snapshotCountRef = useRef(0);
+
+  // State for Lessons (activeLesson is a lesson from readLesson, or null outside lesson mode)
+  const [showLessons, setShowLessons] = useState(false);
+  const [builtInLessons] = useState(() => readLessons(builtInLessonFile, networkLimits));
+  const [userLessons, setUserLessons] = useState(() =>
+    loadUserLessons().flatMap((lesson) => {
+      try {
+        return [readLesson(lesson, networkLimits)];
+      } catch (err) {
+        return [];
+      }
+    })
+  );
+  const [completedLessons, setCompletedLessons] = useState(loadLessonProgress);
+  const [activeLesson, setActiveLesson] = useState(null);
+  const [revealedHints, setRevealedHints] = useState(0);
+
+  // Parameters the active lesson doesn't let the student change; training leaves them alone too.
+  const isParamLocked = useMemo(() => (activeLesson ? createLockCheck(activeLesson) : () => false), [activeLesson]);
+  // A lesson also fixes the architecture: layers, widths, activations and the leaky_relu slope,
+  // layer options and inputs.
+  const isArchitectureLocked = Boolean(activeLesson);
 
   // --- Initialization & State Management ---
 
-  const initializeWeights = (layers) => {
-    const W = [];
-    const b = [];
-    const layerSizes = [1, ...layers]; 
-    for (let l = 1; l < layerSizes.length; l++) {
-      const rows = layerSizes[l];
-      const cols = layerSizes[l - 1];
-      W.push(Array.from({ length: rows }, () => Array.from({ length: cols }, randomWeight)));
-      b.push(Array.from({ length: rows }, randomWeight));
-    }
-    return [W, b];
+  const layerSamplers = (fanIn, fanOut, rng = rngRef.current || (rngRef.current = createRng(seed))) => ({
+    weight: createSampler(weightInit, rng, fanIn, fanOut, weightConstant),
+    bias: createSampler(biasInit, rng, fanIn, fanOut, biasConstant),
+  });
+
+  // Restarts the seeded stream, so the same seed and settings always rebuild the same network.
+  const initializeWeights = (layers, inputCount = inputs.length, networkSeed = seed) => {
+    const rng = createRng(networkSeed);
+    rngRef.current = rng;
+    return initializeParams([inputCount, ...layers], (fanIn, fanOut) => layerSamplers(fanIn, fanOut, rng));
   };
 
-  const [[weights, biases], setParams] = useState(() => initializeWeights(neuronsPerLayer));
+  const [[weights, biases], setParams] = useState(() =>
+    restored.network ? [restored.network.weights, restored.network.biases] : initializeWeights(neuronsPerLayer)
+  );
 
-  const regenerateWeights = () => setParams(initializeWeights(neuronsPerLayer));
+  const regenerateWeights = () => {
+    remember();
+    setParams(keepLocked(initializeWeights(neuronsPerLayer), [weights, biases], isParamLocked));
+  };
+
+  const rerollSeed = () => {
+    remember();
+    const newSeed = randomSeed();
+    setSeed(newSeed);
+    setParams(keepLocked(initializeWeights(neuronsPerLayer, inputs.length, newSeed), [weights, biases], isParamLocked));
+  };
 
   // --- Handlers ---
 
+  // Architecture edits are incremental: only matrices whose shape changes get new random entries.
+
   const addLayer = () => {
-    if (neuronsPerLayer.length >= 5) return;
+    if (isArchitectureLocked || neuronsPerLayer.length >= MAX_LAYERS) return;
+    remember();
     const newLayers = [...neuronsPerLayer, 2];
     setNeuronsPerLayer(newLayers);
     setActivations([...activations, "relu"]);
-    setParams(initializeWeights(newLayers));
+    setLayerOptions([...layerOptions, defaultLayerOptions()]);
+    const { weight, bias } = layerSamplers(neuronsPerLayer[neuronsPerLayer.length - 1], 2);
+    setParams([
+      [...weights, fillMatrix(2, neuronsPerLayer[neuronsPerLayer.length - 1], weight)],
+      [...biases, resizeVector([], 2, bias)],
+    ]);
   };
 
   const removeLayer = (idx) => {
-    if (neuronsPerLayer.length <= 1) return;
+    if (isArchitectureLocked || neuronsPerLayer.length <= 1) return;
+    remember();
     const newLayers = neuronsPerLayer.filter((_, i) => i !== idx);
     const newActivations = activations.filter((_, i) => i !== idx);
+    const newWeights = weights.filter((_, i) => i !== idx);
+    // The layer after the removed one now reads from the removed layer's input.
+    if (idx < newLayers.length) {
+      const fanIn = idx === 0 ? inputs.length : neuronsPerLayer[idx - 1];
+      newWeights[idx] = fillMatrix(newLayers[idx], fanIn, layerSamplers(fanIn, newLayers[idx]).weight);
+    }
     setNeuronsPerLayer(newLayers);
     setActivations(newActivations);
-    setParams(initializeWeights(newLayers));
+    setLayerOptions(layerOptions.filter((_, i) => i !== idx));
+    setParams([newWeights, biases.filter((_, i) => i !== idx)]);
+    const remaining = removeLayerAblations({ neurons: ablatedNeurons, connections: cutConnections }, idx);
+    setAblatedNeurons(remaining.neurons);
+    setCutConnections(remaining.connections);
   };
 
   const updateNeuronCount = (layerIdx, count) => {
+    if (isArchitectureLocked) return;
+    remember(`neurons:${layerIdx}`);
     const newLayers = [...neuronsPerLayer];
     newLayers[layerIdx] = count;
+    const fanIn = layerIdx === 0 ? inputs.length : neuronsPerLayer[layerIdx - 1];
+    const newWeights = [...weights];
+    const newBiases = [...biases];
+    const { weight, bias } = layerSamplers(fanIn, count);
+    newWeights[layerIdx] = resizeMatrix(weights[layerIdx], count, fanIn, weight);
+    newBiases[layerIdx] = resizeVector(biases[layerIdx], count, bias);
+    if (layerIdx + 1 < newLayers.length) {
+      const nextSize = newLayers[layerIdx + 1];
+      newWeights[layerIdx + 1] = resizeMatrix(weights[layerIdx + 1], nextSize, count, layerSamplers(count, nextSize).weight);
+    }
     setNeuronsPerLayer(newLayers);
-    setParams(initializeWeights(newLayers));
+    setLayerOptions(resizeLayerOptions(layerOptions, newLayers));
+    setParams([newWeights, newBiases]);
+  };
+
+  const updateInputCount = (count) => {
+    if (isArchitectureLocked) return;
+    remember();
+    setInputs(Array.from({ length: count }, (_, i) => inputs[i] ?? 0));
+    const newWeights = [...weights];
+    newWeights[0] = resizeMatrix(weights[0], neuronsPerLayer[0], count, layerSamplers(count, neuronsPerLayer[0]).weight);
+    setParams([newWeights, biases]);
+  };
+
+  const updateInput = (idx, val) => {
+    const newInputs = [...inputs];
+    newInputs[idx] = val;
+    setInputs(newInputs);
+  };
+
+  const updateActivation = (layerIdx, name) => {
+    if (isArchitectureLocked) return;
+    remember();
+    const newActs = [...activations];
+    newActs[layerIdx] = name;
+    setActivations(newActs);
+  };
+
+  const updateOutputHead = (head) => {
+    remember();
+    setOutputHead(head);
+  };
+
+  const updateLayerOptions = (layerIdx, changes, key = null) => {
+    if (isArchitectureLocked) return;
+    remember(key);
+    setLayerOptions(layerOptions.map((options, l) => (l === layerIdx ? { ...options, ...changes } : options)));
+  };
+
+  // LayerNorm starts as the identity scaling: gain 1 and bias 0 for every neuron.
+  const toggleLayerNorm = (layerIdx) => {
+    const count = neuronsPerLayer[layerIdx];
+    updateLayerOptions(layerIdx, { norm: layerOptions[layerIdx].norm ? null : { gain: Array(count).fill(1), bias: Array(count).fill(0) } });
+  };
+
+  const updateNormParam = (layerIdx, kind, neuronIdx, val) => {
+    const norm = layerOptions[layerIdx].norm;
+    const vector = norm[kind].map((v, i) => (i === neuronIdx ? val : v));
+    updateLayerOptions(layerIdx, { norm: { ...norm, [kind]: vector } }, `norm:${kind}:${layerIdx}:${neuronIdx}`);
   };
 
   const updateWeight = (layerIdx, neuronIdx, inputIdx, val) => {
+    if (isParamLocked(layerIdx, neuronIdx, inputIdx)) return;
+    remember(`weight:${layerIdx}:${neuronIdx}:${inputIdx}`);
     const newWeights = weights.map(l => l.map(n => [...n])); 
     newWeights[layerIdx][neuronIdx][inputIdx] = val;
     setParams([newWeights, biases]);
   };
 
   const updateBias = (layerIdx, neuronIdx, val) => {
+    if (isParamLocked(layerIdx, neuronIdx, null)) return;
+    remember(`bias:${layerIdx}:${neuronIdx}`);
     const newBiases = biases.map(l => [...l]);
     newBiases[layerIdx][neuronIdx] = val;
     setParams([weights, newBiases]);
   };
 
+  // --- Undo / Redo ---
+
+  // Everything an edit can change. Input values are not part of it, only how many inputs there are.
+  const editorState = () => ({ neuronsPerLayer, activations, weights, biases, inputCount: inputs.length, customActivations, outputHead, layerOptions });
+
+  // Call before an edit. Edits sharing a key in quick succession (a slider drag) become one undo step.
+  const remember = (key = null) => setHistory((h) => recordHistory(h, editorState(), { key }));
+
+  const applyEditorState = (state) => {
+    setIsTraining(false);
+    setNeuronsPerLayer(state.neuronsPerLayer);
+    setCustomActivations(state.customActivations);
+    setActivations(state.activations);
+    setOutputHead(state.outputHead);
+    setLayerOptions(state.layerOptions);
+    setParams([state.weights, state.biases]);
+    if (state.inputCount !== inputs.length) setInputs(Array.from({ length: state.inputCount }, (_, i) => inputs[i] ?? 0));
+  };
+
+  const undo = () => {
+    const result = undoHistory(history, editorState());
+    if (!result) return;
+    setHistory(result.history);
+    applyEditorState(result.state);
+  };
+
+  const redo = () => {
+    const result = redoHistory(history, editorState());
+    if (!result) return;
+    setHistory(result.history);
+    applyEditorState(result.state);
+  };
+
+  const undoShortcutRef = useRef(null);
+  undoShortcutRef.current = { undo, redo };
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. Text fields keep their own undo.
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const tag = e.target.tagName;
+      if (tag === "TEXTAREA" || (tag === "INPUT" && e.target.type !== "range" && e.target.type !== "checkbox")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        if (e.shiftKey) undoShortcutRef.current.redo();
+        else undoShortcutRef.current.undo();
+      } else if (key === "y") {
+        e.preventDefault();
+        undoShortcutRef.current.redo();
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
+
+  // --- Save / Load ---
+
+  const applyNetwork = (data) => {
+    remember();
+    resetTraining();
+    setNeuronsPerLayer(data.neuronsPerLayer);
+    setCustomActivations(data.customActivations);
+    setLeakySlope(data.leakySlope);
+    setActivations(data.activations);
+    setOutputHead(data.outputHead);
+    setLayerOptions(data.layerOptions);
+    setParams([data.weights, data.biases]);
+    setInputs(data.inputs);
+    setViewMode(data.view.viewMode);
+    setHiddenLines(new Set(data.view.hiddenLines));
+    clearAblations();
+    // The lesson's locks were for its own network (startLesson sets it again right after).
+    setActiveLesson(null);
+  };
+
+  const exportNetwork = () => {
+    const blob = new Blob([JSON.stringify(currentNetwork, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "network.json";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const importNetwork = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        applyNetwork(parseNetwork(reader.result, networkLimits));
+        setFileError(null);
+      } catch (err) {
+        setFileError({ name: file.name, message: err.message });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  // --- Sharing, Autosave & Presets ---
+
+  const currentNetwork = useMemo(
+    () => serializeNetwork({ neuronsPerLayer, activations, weights, biases, inputs, viewMode, hiddenLines, customActivations, leakySlope, outputHead, layerOptions }),
+    [neuronsPerLayer, activations, weights, biases, inputs, viewMode, hiddenLines, customActivations, leakySlope, outputHead, layerOptions]
+  );
+
+  useEffect(() => {
+    const id = setTimeout(() => saveAutosave(currentNetwork), AUTOSAVE_DELAY);
+    return () => clearTimeout(id);
+  }, [currentNetwork]);
+
+  // Pasting another share link into the address bar loads it without a reload.
+  const loadFromHashRef = useRef(null);
+  loadFromHashRef.current = () => {
+    try {
+      const shared = decodeNetworkHash(window.location.hash, networkLimits);
+      if (shared) applyNetwork(shared);
+    } catch (err) {
+      setFileError({ name: "shared link", message: err.message });
+    }
+  };
+
+  useEffect(() => {
+    const onHashChange = () => loadFromHashRef.current();
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+
+  useEffect(() => {
+    if (!shareNotice) return;
+    const id = setTimeout(() => setShareNotice(null), 2500);
+    return () => clearTimeout(id);
+  }, [shareNotice]);
+
+  const shareNetwork = () => {
+    const url = `${window.location.origin}${window.location.pathname}${encodeNetworkHash(currentNetwork)}`;
+    window.history.replaceState(null, "", url);
+    if (navigator.clipboard) {
+      navigator.clipboard.writeText(url).then(
+        () => setShareNotice("Link copied to clipboard"),
+        () => setShareNotice("Link is in the address bar")
+      );
+    } else {
+      setShareNotice("Link is in the address bar");
+    }
+  };
+
+  const loadPreset = (name, network) => {
+    try {
+      applyNetwork(readNetwork(network, networkLimits));
+      setFileError(null);
+    } catch (err) {
+      setFileError({ name, message: err.message });
+    }
+  };
+
+  const savePreset = () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const newPresets = [...userPresets.filter((p) => p.name !== name), { name, network: currentNetwork }];
+    setUserPresets(newPresets);
+    saveUserPresets(newPresets);
+    setPresetName("");
+  };
+
+  const deletePreset = (name) => {
+    const newPresets = userPresets.filter((p) => p.name !== name);
+    setUserPresets(newPresets);
+    saveUserPresets(newPresets);
+  };
+
+  // --- Lessons ---
+
+  // Loads the lesson's network and widens the landscape to the goal's range so it can be checked.
+  const startLesson = (lesson) => {
+    applyNetwork(lesson.network);
+    // Undo would otherwise step back out to an unlocked network.
+    setHistory(createHistory());
+    setActiveLesson(lesson);
+    setRevealedHints(0);
+    setLandscapeMode("a");
+    const [goalMin, goalMax] = lesson.goal.range;
+    const min = Math.min(LANDSCAPE_MIN, goalMin);
+    const max = Math.max(LANDSCAPE_MAX, goalMax);
+    setLandscapeRange({ min, max, step: Math.max(LANDSCAPE_STEP, (max - min) / MAX_LANDSCAPE_POINTS) });
+    setZoom(null);
+    setShowLessons(false);
+    setFileError(null);
+  };
+
+  // Imported lessons replace earlier ones with the same id.
+  const importLessons = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const imported = parseLessons(reader.result, networkLimits);
+        const ids = imported.map(({ id }) => id);
+        const newLessons = [...userLessons.filter(({ id }) => !ids.includes(id)), ...imported];
+        setUserLessons(newLessons);
+        saveUserLessons(newLessons);
+        setFileError(null);
+      } catch (err) {
+        setFileError({ name: file.name, message: err.message });
+      }
+    };
+    reader.readAsText(file);
+  };
+
+  const deleteLesson = (id) => {
+    const newLessons = userLessons.filter((lesson) => lesson.id !== id);
+    setUserLessons(newLessons);
+    saveUserLessons(newLessons);
+  };
+
+  const resetLessonProgress = () => {
+    setCompletedLessons([]);
+    saveLessonProgress([]);
+  };
+
+  // --- Custom Activations ---
+
+  const newActivationError = useMemo(() => {
+    const name = newActivationName.trim();
+    if (!name) return null;
+    const nameError = validateActivationName(name, customActivations.map((def) => def.name));
+    if (nameError) return nameError;
+    try {
+      customActivation(newActivationExpr);
+      return null;
+    } catch (err) {
+      return err.message;
+    }
+  }, [newActivationName, newActivationExpr, customActivations]);
+
+  const addCustomActivation = () => {
+    const name = newActivationName.trim();
+    if (!name || newActivationError) return;
+    remember();
+    setCustomActivations([...customActivations, { name, expression: newActivationExpr.trim() }]);
+    setNewActivationName("");
+  };
+
+  const removeCustomActivation = (name) => {
+    if (activations.includes(name)) return;
+    remember();
+    setCustomActivations(customActivations.filter((def) => def.name !== name));
+  };
+
   const toggleLineVisibility = (key) => {
     const newHidden = new Set(hiddenLines);
     if (newHidden.has(key)) {
@@ -92,61 +664,652 @@ const ActivationVisualizer = () => {
     setHiddenLines(newHidden);
   };
 
-  // --- Math Core ---
+  // --- Ablation ---
 
-  const forwardPass = (x) => {
-    const layerOutputs = [];
-    let inputVector = [x];
-    for (let l = 0; l < neuronsPerLayer.length; l++) {
-      const Wl = weights[l];
-      const bl = biases[l];
-      const activationName = activations[l] || "relu";
-      const actFn = activationFunctions[activationName];
-      
-      const output = [];
-      for (let i = 0; i < Wl.length; i++) {
-        const z = Wl[i].reduce((sum, w, idx) => sum + w * inputVector[idx], 0) + bl[i];
-        output.push({ z, a: actFn(z), inputs: [...inputVector] });
-      }
-      layerOutputs.push(output);
-      inputVector = output.map((v) => v.a);
+  // Forcing a neuron's output overrides its bias and weights, so a lock on any of them holds it too.
+  const isNeuronLocked = (layer, neuron) =>
+    isParamLocked(layer, neuron, null) || weights[layer][neuron].some((_, j) => isParamLocked(layer, neuron, j));
+
+  const toggleNeuronAblation = (layer, neuron) => {
+    if (isNeuronLocked(layer, neuron)) return;
+    const key = `${layer}:${neuron}`;
+    const next = { ...ablatedNeurons };
+    if (key in next) {
+      delete next[key];
+    } else {
+      next[key] = 0;
+    }
+    setAblatedNeurons(next);
+  };
+
+  const updateAblationValue = (layer, neuron, value) => {
+    if (isNeuronLocked(layer, neuron)) return;
+    setAblatedNeurons({ ...ablatedNeurons, [`${layer}:${neuron}`]: value });
+  };
+
+  // Cutting a connection zeroes its weight.
+  const toggleConnection = (layer, neuron, input) => {
+    if (isParamLocked(layer, neuron, input)) return;
+    const key = `${layer}:${neuron}:${input}`;
+    const next = new Set(cutConnections);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
     }
-    return layerOutputs;
+    setCutConnections(next);
+  };
+
+  const clearAblations = () => {
+    setAblatedNeurons({});
+    setCutConnections(new Set());
   };
 
-  const currentOutputs = useMemo(() => forwardPass(input), [input, weights, biases, neuronsPerLayer, activations]);
+  const ablation = useMemo(() => ({
+    neurons: Object.entries(ablatedNeurons).map(([key, value]) => {
+      const [layer, neuron] = key.split(":").map(Number);
+      return { layer, neuron, value };
+    }),
+    connections: [...cutConnections].map((key) => {
+      const [layer, neuron, input] = key.split(":").map(Number);
+      return { layer, neuron, input };
+    }),
+  }), [ablatedNeurons, cutConnections]);
+
+  // --- Math Core ---
+
+  const usesDropout = layerOptions.some((options) => options.dropout > 0);
+  const layerSkipFits = (layerIdx) => canSkip([inputs.length, ...neuronsPerLayer], layerIdx);
+  const dropoutMasks = useMemo(
+    () => (dropoutTraining ? sampleDropoutMasks(layerOptions, neuronsPerLayer, createRng(dropoutSeed)) : null),
+    [dropoutTraining, layerOptions, neuronsPerLayer, dropoutSeed]
+  );
+
+  const network = useMemo(
+    () => createNetwork({ inputSize: inputs.length, neuronsPerLayer, activations, weights, biases, registry: activationRegistry, ablation, layerOptions, dropoutMasks }),
+    [inputs.length, neuronsPerLayer, activations, weights, biases, activationRegistry, ablation, layerOptions, dropoutMasks]
+  );
+
+  const droppedCount = network.dropoutScales.flat().filter((scale) => scale === 0).length;
+
+  // Ablations that no longer fit the architecture are ignored by the engine, so ask the network.
+  const isNeuronAblated = (layer, neuron) => network.neuronValues[layer][neuron] !== null;
+  const isConnectionCut = (layer, neuron, input) => network.connectionMask[layer][neuron][input] === 0;
+  const isAblating = network.neuronValues.flat().some((v) => v !== null) || network.connectionMask.flat(2).includes(0);
+
+  // The same network without any ablation, drawn as the dashed baseline.
+  const baselineNetwork = useMemo(
+    () => (isAblating ? createNetwork({ inputSize: inputs.length, neuronsPerLayer, activations, weights, biases, registry: activationRegistry, layerOptions, dropoutMasks }) : network),
+    [isAblating, network, inputs.length, neuronsPerLayer, activations, weights, biases, activationRegistry, layerOptions, dropoutMasks]
+  );
+
+  const currentOutputs = useMemo(() => forward(network, inputs), [network, inputs]);
+  const compiledNetwork = useMemo(() => compileNetwork(network), [network]);
+
+  // The landscape range as input vectors: the x sweep, or a grid when there are several inputs.
+  const sweepInputs = useMemo(() => {
+    const { min, max, step } = landscapeRange;
+    const dims = inputs.length;
+    return dims === 1
+      ? uniformPoints(min, max, step).map((x) => [x])
+      : sampleGrid(dims, min, max, Math.floor(Math.pow(MAX_TRAINING_SAMPLES, 1 / dims)));
+  }, [inputs.length, landscapeRange]);
+
+  // --- Reduced Precision ---
+
+  // The network with its weights and biases (and optionally activations) rounded to `precision`,
+  // each layer's step sizes and the output error against float64 over the sweep. int8 activation
+  // scales are calibrated on the float activations of the same sweep.
+  const quantization = useMemo(() => {
+    if (precision === "float64") return null;
+    const count = sweepInputs.length;
+    const points = sweepInputs.flat();
+    const reference = evaluateBatch(compiledNetwork, points, count).a;
+    const rounded = quantizeParameters(weights, biases, precision, fixedPoint);
+    const rounding = quantizeActivations ? activationQuantizers(reference, precision, fixedPoint) : [];
+    const quantizedNetwork = createNetwork({
+      inputSize: inputs.length,
+      neuronsPerLayer,
+      activations,
+      weights: rounded.weights,
+      biases: rounded.biases,
+      registry: activationRegistry,
+      ablation,
+      layerOptions,
+      dropoutMasks,
+      activationRounding: rounding.map(({ quantize }) => quantize),
+    });
+    const last = reference.length - 1;
+    return {
+      network: quantizedNetwork,
+      steps: rounded.steps.map((step, l) => ({ ...step, activations: rounding[l]?.step ?? null })),
+      error: outputError(reference[last], evaluateBatch(compileNetwork(quantizedNetwork), points, count).a[last]),
+    };
+  }, [precision, fixedPoint, quantizeActivations, sweepInputs, compiledNetwork, weights, biases, inputs.length, neuronsPerLayer, activations, activationRegistry, ablation, layerOptions, dropoutMasks]);
 
   const visualizationLayers = useMemo(() => {
     return [
-      [{ a: input, isInput: true }], 
+      inputs.map((a) => ({ a, isInput: true })), 
       ...currentOutputs
     ];
-  }, [input, currentOutputs]);
-
-  const graphData = useMemo(() => {
-    const data = [];
-    for (let x = -5; x <= 5; x += 0.2) {
-      const outputs = forwardPass(x);
-      const point = { x: parseFloat(x.toFixed(2)) };
-      
-      outputs.forEach((layer, lIdx) => {
-        layer.forEach((neuron, nIdx) => {
-          point[`L${lIdx + 1}_N${nIdx + 1}`] = parseFloat(neuron.a.toFixed(4));
+  }, [inputs, currentOutputs]);
+
+  const inputLabel = (idx) => (inputs.length === 1 ? "x" : `x${idx + 1}`);
+
+  // --- Backward Pass ---
+
+  const outputCount = neuronsPerLayer[neuronsPerLayer.length - 1];
+  const trainOutputIdx = Math.min(trainOutput, outputCount - 1);
+
+  // --- Output Head ---
+
+  // A head that doesn't fit the output layer (say softmax over one neuron) falls back to regression.
+  const outputHeadProblem = outputHeadError(outputHead, outputCount);
+  const activeOutputHead = outputHeadProblem ? "regression" : outputHead;
+  const isClassifier = isClassificationHead(activeOutputHead);
+  const numClasses = classCount(activeOutputHead, outputCount);
+  const trueClassIdx = Math.min(trueClass, numClasses - 1);
+
+  // Logits, probabilities and cross-entropy for the current input; null for regression.
+  const classification = useMemo(() => {
+    if (!isClassifier) return null;
+    const logits = currentOutputs[currentOutputs.length - 1].map((neuron) => neuron.a);
+    const { loss, probabilities, outputGrad } = crossEntropy(activeOutputHead, logits, trueClassIdx);
+    return { logits, probabilities, predicted: predictedClass(probabilities), loss, outputGrad };
+  }, [isClassifier, activeOutputHead, currentOutputs, trueClassIdx]);
+
+  // Classifiers backpropagate cross-entropy; regression uses the chosen loss on one output.
+  const backward = useMemo(() => {
+    const { loss, outputGrad } = classification ?? outputLoss(currentOutputs, gradTarget, lossName, trainOutputIdx);
+    return { loss, ...backpropagate(currentOutputs, network, outputGrad) };
+  }, [classification, currentOutputs, gradTarget, lossName, trainOutputIdx, network]);
+
+  const maxEdgeGradient = useMemo(
+    () => Math.max(1e-9, finiteExtent(backward.dW.flat(2).map(Math.abs))?.max ?? 0),
+    [backward]
+  );
+
+  // --- Forward Pass Playback ---
+
+  const playbackSteps = useMemo(() => forwardSteps(network), [network]);
+  const lastPlaybackStep = playbackSteps.length - 1;
+
+  useEffect(() => {
+    if (!isPlaying) return;
+    const id = setInterval(
+      () => setPlaybackStep((step) => (step === null ? 0 : Math.min(step + 1, lastPlaybackStep))),
+      1000 / playbackSpeed
+    );
+    return () => clearInterval(id);
+  }, [isPlaying, playbackSpeed, lastPlaybackStep]);
+
+  useEffect(() => {
+    if (isPlaying && playbackStep >= lastPlaybackStep) setIsPlaying(false);
+  }, [isPlaying, playbackStep, lastPlaybackStep]);
+
+  const togglePlayback = () => {
+    if (!isPlaying && (playbackStep === null || playbackStep >= lastPlaybackStep)) setPlaybackStep(0);
+    setIsPlaying(!isPlaying);
+  };
+
+  const stepPlayback = (delta) => {
+    setIsPlaying(false);
+    setPlaybackStep((step) => Math.max(0, Math.min(lastPlaybackStep, (step ?? -1) + delta)));
+  };
+
+  const stopPlayback = () => {
+    setIsPlaying(false);
+    setPlaybackStep(null);
+  };
+
+  // What the current step has computed so far; the step index is clamped in case the architecture shrank.
+  let playback = null;
+  if (playbackStep !== null) {
+    const step = playbackSteps[Math.min(playbackStep, lastPlaybackStep)];
+    const neuron = currentOutputs[step.layer][step.neuron];
+    const row = network.effectiveWeights[step.layer][step.neuron];
+    const termCount = step.phase === "term" ? step.term + 1 : row.length;
+    const partial = row.slice(0, termCount).reduce((sum, w, j) => sum + w * neuron.inputs[j], 0);
+    playback = { ...step, termCount, partial, z: neuron.z, a: neuron.a, bias: biases[step.layer][step.neuron] };
+  }
+
+  // "done", "current" or "pending" for a (non-input) neuron during playback.
+  const playbackState = (layer, neuron) => {
+    if (!playback || layer < playback.layer || (layer === playback.layer && neuron < playback.neuron)) return "done";
+    return layer === playback.layer && neuron === playback.neuron ? "current" : "pending";
+  };
+
+  // --- Diagram Interaction ---
+
+  // Dragging an edge up raises its weight; the pointer is captured so the drag survives leaving the line.
+  const startWeightDrag = (e, layer, neuron, term) => {
+    e.preventDefault();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+    weightDragRef.current = { layer, neuron, term, startY: e.clientY, startWeight: weights[layer][neuron][term] };
+    setDiagramHover({ type: "edge", layer, neuron, term });
+  };
+
+  const dragWeight = (e) => {
+    const drag = weightDragRef.current;
+    if (!drag || !weights[drag.layer]?.[drag.neuron]) return;
+    const value = draggedWeight(drag.startWeight, drag.startY - e.clientY);
+    if (value !== null && value !== weights[drag.layer][drag.neuron][drag.term]) updateWeight(drag.layer, drag.neuron, drag.term, value);
+  };
+
+  const endWeightDrag = () => {
+    weightDragRef.current = null;
+  };
+
+  const hoverDiagram = (target) => {
+    if (!weightDragRef.current) setDiagramHover(target);
+  };
+
+  // Labels for what feeds a layer: inputs for the first layer, neurons of the previous layer otherwise.
+  const sourceLabel = (layer, idx) => (layer === 0 ? inputLabel(idx) : `L${layer}N${idx + 1}`);
+
+  // "w L2N1 ← L1N3" or "b L2N1" (input null) for messages about a single parameter.
+  const parameterLabel = (layer, neuron, input) =>
+    input === null ? `b L${layer + 1}N${neuron + 1}` : `w L${layer + 1}N${neuron + 1} ← ${sourceLabel(layer, input)}`;
+
+  // Architecture edits can remove the neuron a popover or tooltip points at.
+  const activeSelectedNeuron = selectedNeuron && weights[selectedNeuron.layer]?.[selectedNeuron.neuron] ? selectedNeuron : null;
+  const activeHeatmapCell = heatmapCell && weights[heatmapCell.layer]?.[heatmapCell.neuron]
+    && (heatmapCell.input === null || heatmapCell.input < weights[heatmapCell.layer][0].length) ? heatmapCell : null;
+
+  // --- Training ---
+
+  // Targets map an input vector to a number. Built-ins read x1; custom expressions may use x (= x1) through x4.
+  const target = useMemo(() => {
+    if (targetName !== "custom") {
+      const fn = targetFunctions[targetName].fn;
+      return { fn: (xs) => fn(xs[0]), error: null };
+    }
+    try {
+      const compiled = compileExpression(customTarget, ["x", "x1", "x2", "x3", "x4"]);
+      return { fn: (xs) => compiled({ x: xs[0], x1: xs[0], x2: xs[1], x3: xs[2], x4: xs[3] }), error: null };
+    } catch (err) {
+      return { fn: null, error: err.message };
+    }
+  }, [targetName, customTarget]);
+
+  const trainingSamples = useMemo(() => {
+    if (!target.fn) return [];
+    const dims = inputs.length;
+    const { min, max, step } = landscapeRange;
+    const pointsPerAxis = dims === 1
+      ? Math.min(MAX_TRAINING_SAMPLES, Math.round((max - min) / step) + 1)
+      : Math.floor(Math.pow(MAX_TRAINING_SAMPLES, 1 / dims));
+    return sampleGrid(dims, min, max, pointsPerAxis)
+      .map((x) => ({ x, y: target.fn(x) }))
+      .filter(({ y }) => Number.isFinite(y));
+  }, [target, inputs.length, landscapeRange]);
+
+  // Optimizer moments are shaped like the parameters, so they can't survive an architecture change.
+  useEffect(() => {
+    optimizerStateRef.current = createOptimizerState();
+  }, [neuronsPerLayer, inputs.length, optimizerName]);
+
+  const runEpoch = () => {
+    if (trainingSamples.length === 0) return;
+    const result = trainEpoch({
+      network,
+      samples: trainingSamples,
+      lossName,
+      outputIndex: trainOutputIdx,
+      optimizer: optimizerName,
+      optimizerState: optimizerStateRef.current,
+      learningRate,
+    });
+    if (!Number.isFinite(result.loss)) {
+      setIsTraining(false);
+      return;
+    }
+    optimizerStateRef.current = result.optimizerState;
+    remember("train");
+    setParams(keepLocked(result.params, [weights, biases], isParamLocked));
+    // Like a real training loop, every epoch sees a fresh dropout mask.
+    if (dropoutTraining && usesDropout) setDropoutSeed(randomSeed());
+    setLossHistory((history) => {
+      const epoch = history.length ? history[history.length - 1].epoch + 1 : 1;
+      return [...history, { epoch, loss: result.loss }].slice(-LOSS_HISTORY_LIMIT);
+    });
+  };
+
+  const runEpochRef = useRef(runEpoch);
+  runEpochRef.current = runEpoch;
+
+  useEffect(() => {
+    if (!isTraining) return;
+    // One epoch per frame, so a slow epoch delays the next one instead of queueing up behind it.
+    let id;
+    const tick = () => {
+      runEpochRef.current();
+      id = requestAnimationFrame(tick);
+    };
+    id = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(id);
+  }, [isTraining]);
+
+  useEffect(() => {
+    if (!target.fn) setIsTraining(false);
+  }, [target]);
+
+  const resetTraining = () => {
+    setIsTraining(false);
+    setLossHistory([]);
+    optimizerStateRef.current = createOptimizerState();
+  };
+
+  const showTarget = showTrainer && target.fn !== null;
+  const isSurface = inputs.length > 1;
+
+  // d(out)/dx needs a single input; the surface falls back to plotting activations.
+  const activeLandscapeMode = isSurface && landscapeMode === "doutdx" ? "a" : landscapeMode;
+
+  // Rejects ranges that are empty or would need too many points; editing the range resets the zoom.
+  const updateLandscapeRange = (field, value) => {
+    if (!Number.isFinite(value)) return;
+    const next = { ...landscapeRange, [field]: value };
+    if (next.min >= next.max || next.step <= 0 || (next.max - next.min) / next.step > MAX_LANDSCAPE_POINTS) return;
+    setLandscapeRange(next);
+    setZoom(null);
+  };
+
+  // The visible window keeps the configured point count, so zooming in samples more finely.
+  const [viewMin, viewMax] = zoom ?? [landscapeRange.min, landscapeRange.max];
+  const viewStep = (landscapeRange.step * (viewMax - viewMin)) / (landscapeRange.max - landscapeRange.min);
+
+  // Past MAX_PLOTTED_LINES visible curves only the output layer is drawn; the filter can narrow it down.
+  const visibleLineCount = network.layerSizes
+    .slice(1)
+    .reduce((count, size, l) => count + Array.from({ length: size }, (_, i) => `L${l + 1}_N${i + 1}`).filter((key) => !hiddenLines.has(key)).length, 0);
+  const plotsOutputsOnly = visibleLineCount > MAX_PLOTTED_LINES;
+  const isLinePlotted = (lIdx, nIdx) =>
+    !hiddenLines.has(`L${lIdx + 1}_N${nIdx + 1}`) && (!plotsOutputsOnly || lIdx === network.layerSizes.length - 2);
+
+  // Adaptive sampling only follows the drawn curves, "L*_N*" keys plus the output baseline and
+  // reduced-precision curves; checking every neuron of a large network costs more than it saves.
+  const refinedKeys = network.layerSizes.slice(1).flatMap((size, lIdx) => {
+    const isOutput = lIdx === network.layerSizes.length - 2;
+    if (activeLandscapeMode === "doutdx" && !isOutput) return [];
+    return Array.from({ length: size }, (_, nIdx) => `L${lIdx + 1}_N${nIdx + 1}`)
+      .filter((_, nIdx) => isLinePlotted(lIdx, nIdx))
+      .flatMap((key) => (isOutput ? [key, `base_${key}`, `q_${key}`] : [key]));
+  });
+  const refinedKeysId = refinedKeys.join(",");
+
+  // Each batch of x values is one typed-array sweep; a sample keeps the plotted values and every z.
+  const landscapeSamples = useMemo(() => {
+    if (isSurface) return [];
+    const tangents = activeLandscapeMode === "doutdx";
+    const evaluate = (xs) => {
+      const count = xs.length;
+      const batch = evaluateBatch(compiledNetwork, xs, count, { tangents });
+      const values = xs.map(() => ({}));
+      addBatchValues(values, activeLandscapeMode, batch, network, count);
+      if (isAblating) {
+        // Baseline output curves as "base_L*_N*" keys.
+        const baseline = evaluateBatch(compileNetwork(baselineNetwork), xs, count, { tangents });
+        addBatchValues(values, activeLandscapeMode, baseline, baselineNetwork, count, { prefix: "base_", outputOnly: true });
+      }
+      if (quantization) {
+        // Reduced-precision output curves as "q_L*_N*" keys.
+        const quantized = evaluateBatch(compileNetwork(quantization.network), xs, count, { tangents });
+        addBatchValues(values, activeLandscapeMode, quantized, quantization.network, count, { prefix: "q_", outputOnly: true });
+      }
+      return values.map((pointValues, p) => ({
+        values: pointValues,
+        // The activation's argument, so after LayerNorm; regime shading reads it.
+        z: batch.zHat.map((zl) => Array.from({ length: zl.length / count }, (_, i) => zl[i * count + p])),
+      }));
+    };
+    const keys = refinedKeysId.split(",");
+    const refine = adaptiveSampling ? (sample) => keys.filter((key) => key in sample.values).map((key) => sample.values[key]) : undefined;
+    return sampleRange(viewMin, viewMax, viewStep, evaluate, { refine, batch: true });
+  }, [network, compiledNetwork, baselineNetwork, isAblating, quantization, isSurface, activeLandscapeMode, adaptiveSampling, viewMin, viewMax, viewStep, refinedKeysId]);
+
+  const graphData = useMemo(() => landscapeSamples.map(({ x, sample }) => {
+    const point = { x };
+    Object.entries(sample.values).forEach(([key, value]) => {
+      point[key] = parseFloat(value.toFixed(4));
+    });
+    if (showTarget && activeLandscapeMode === "a") {
+      const y = target.fn([x]);
+      if (Number.isFinite(y)) point.target = parseFloat(y.toFixed(4));
+    }
+    return point;
+  }), [landscapeSamples, showTarget, target, activeLandscapeMode]);
+
+  // The active lesson's goal, checked over its own range on the network without ablations or
+  // dropout, so neither the zoom nor forcing a neuron to a constant decides it.
+  const lessonCheck = useMemo(() => {
+    if (!activeLesson || inputs.length !== 1) return null;
+    const unablated = createNetwork({ inputSize: 1, neuronsPerLayer, activations, weights, biases, registry: activationRegistry, layerOptions });
+    return checkGoal(activeLesson.goal, goalPoints(activeLesson.goal, unablated));
+  }, [activeLesson, inputs.length, neuronsPerLayer, activations, weights, biases, activationRegistry, layerOptions]);
+  const isLessonPassed = Boolean(lessonCheck?.passed);
+
+  useEffect(() => {
+    if (!isLessonPassed || completedLessons.includes(activeLesson.id)) return;
+    const completed = [...completedLessons, activeLesson.id];
+    setCompletedLessons(completed);
+    saveLessonProgress(completed);
+  }, [isLessonPassed, activeLesson, completedLessons]);
+
+  // One line on how close the student is to the goal.
+  const lessonStatus = () => {
+    const { goal } = activeLesson;
+    if (!lessonCheck) return "Goals are checked along x, so the network needs a single input.";
+    if (lessonCheck.checked === 0) return `${goal.neuron} isn't in this network any more.`;
+    if (lessonCheck.passed) return "Goal reached!";
+    const { x, value, expected, error } = lessonCheck.worst;
+    return goal.type === "dead"
+      ? `${goal.neuron} still outputs ${value} at x = ${x.toFixed(2)}.`
+      : `Furthest off at x = ${x.toFixed(2)}: ${value} instead of ${expected.toFixed(4)} (off by ${error.toFixed(3)}, tolerance ${goal.tolerance}).`;
+  };
+
+  // Runs of x where a visible neuron sits in a flat regime (dead ReLU, saturated sigmoid/tanh).
+  // Region edges fall halfway between the samples on either side of a change.
+  const regimeRegions = useMemo(() => {
+    if (!showRegimes || landscapeSamples.length < 2) return [];
+    const xs = landscapeSamples.map((p) => p.x);
+    const last = xs.length - 1;
+    const regions = [];
+    network.layerSizes.slice(1).forEach((size, lIdx) => {
+      for (let nIdx = 0; nIdx < size; nIdx++) {
+        const key = `L${lIdx + 1}_N${nIdx + 1}`;
+        if (hiddenLines.has(key) || (plotsOutputsOnly && lIdx !== network.layerSizes.length - 2)) continue;
+        const regimes = landscapeSamples.map(({ sample }) => neuronRegime(network.activations[lIdx], sample.z[lIdx][nIdx]));
+        let start = null;
+        regimes.forEach((regime, i) => {
+          if (regime && start === null) start = i;
+          if (start !== null && (regimes[i + 1] !== regimes[start] || i === last)) {
+            regions.push({
+              key: `${key}-${start}`,
+              lIdx,
+              nIdx,
+              regime: regimes[start],
+              x1: start === 0 ? xs[0] : (xs[start - 1] + xs[start]) / 2,
+              x2: i === last ? xs[last] : (xs[i] + xs[i + 1]) / 2,
+            });
+            start = null;
+          }
         });
-      });
-      
-      data.push(point);
+      }
+    });
+    return regions;
+  }, [network, landscapeSamples, showRegimes, hiddenLines, plotsOutputsOnly]);
+
+  // Freezes the Y-axis at the current curves (plus a margin) so dragging sliders doesn't rescale it.
+  const toggleYLock = () => {
+    if (yLock) {
+      setYLock(null);
+      return;
+    }
+    const { min: lo, max: hi } = finiteExtent(graphData.flatMap(({ x, ...rest }) => Object.values(rest))) ?? { min: -1, max: 1 };
+    const margin = Math.max(0.1, (hi - lo) * 0.1);
+    setYLock([parseFloat((lo - margin).toFixed(2)), parseFloat((hi + margin).toFixed(2))]);
+  };
+
+  const selectLandscapeMode = (mode) => {
+    setLandscapeMode(mode);
+    // A locked axis fitted to one mode rarely suits another.
+    setYLock(null);
+  };
+
+  const finishZoomSelection = () => {
+    if (zoomSelection) {
+      const lo = Math.min(zoomSelection.start, zoomSelection.end);
+      const hi = Math.max(zoomSelection.start, zoomSelection.end);
+      if (hi - lo > viewStep) setZoom([lo, hi]);
     }
-    return data;
-  }, [weights, biases, activations, neuronsPerLayer]);
+    setZoomSelection(null);
+  };
+
+  // --- Linear Regions (relu / leaky_relu / linear networks) ---
+
+  // Every layer splits each piece it receives, and there can be a piece per neuron before it, so
+  // big networks only find their regions on request.
+  const regionWork = network.layerSizes.slice(1).reduce(
+    (sum, rows, l) => sum + (1 + network.layerSizes.slice(1, l + 1).reduce((n, size) => n + size, 0)) * rows * network.layerSizes[l],
+    0
+  );
+  const isRegionsOnRequest = regionWork > REGIONS_AUTO_WORK;
+  const isRegionsPending = isRegionsOnRequest && regionsNetwork !== network && isPiecewiseLinear(network);
+
+  // Exact, so it covers the whole configured range rather than the sampled or zoomed view.
+  const regionAnalysis = useMemo(() => {
+    if (isRegionsOnRequest && regionsNetwork !== network) return null;
+    return linearRegions(network, landscapeRange.min, landscapeRange.max);
+  }, [network, landscapeRange, isRegionsOnRequest, regionsNetwork]);
+
+  // What keeps the analysis from applying, for the panel's explanation.
+  const curvedActivations = [...new Set(activations.filter((name) => !PIECEWISE_LINEAR_ACTIVATIONS.includes(name)))];
+
+  const visibleBreakpoints = regionAnalysis && showBreakpoints
+    ? regionAnalysis.breakpoints.filter(({ x }) => x >= viewMin && x <= viewMax)
+    : [];
+
+  // --- Neuron Importance ---
+
+  // Each neuron re-runs the layers after it, so big networks only compute importance on request.
+  const importanceWork = neuronsPerLayer.reduce(
+    (sum, size, l) => sum + size * neuronsPerLayer.slice(l + 1).reduce((w, rows, k) => w + rows * neuronsPerLayer[l + k], 0),
+    0
+  );
+  const isImportanceOnRequest = importanceWork > IMPORTANCE_AUTO_WORK;
+
+  // Zero-ablates each neuron in turn over the sweep.
+  const importance = useMemo(() => {
+    if (isImportanceOnRequest && importanceNetwork !== network) return null;
+    return neuronImportance(network, sweepInputs);
+  }, [network, sweepInputs, isImportanceOnRequest, importanceNetwork]);
+
+  const maxImportance = importance ? Math.max(1e-9, finiteExtent(importance.flat())?.max ?? 0) : 1;
+
+  // --- Layer Statistics ---
+
+  // Histograms and dead / saturated fractions over the same sweep; cheap enough to keep current.
+  const layerStats = useMemo(() => layerStatistics(network, sweepInputs), [network, sweepInputs]);
+  const isNeuronDead = (layer, neuron) => Boolean(layerStats[layer]?.neurons[neuron]?.dead);
+  const deadCount = layerStats.reduce((sum, { neurons }) => sum + neurons.filter((n) => n.dead).length, 0);
+
+  // --- Dataset Overlay ---
+
+  // Scored against the same output neuron the trainer fits.
+  const datasetFit = useMemo(() => {
+    if (isSurface || !datasetPoints.length) return null;
+    const outputLayer = network.layerSizes.length - 2;
+    return datasetErrors(datasetPoints, (x) => forward(network, [x])[outputLayer][trainOutputIdx].a);
+  }, [network, datasetPoints, trainOutputIdx, isSurface]);
+
+  const showDatasetOverlay = showDataset && datasetFit !== null && activeLandscapeMode === "a";
+
+  // --- Snapshots ---
+
+  // A snapshot keeps the saved network plus the landscape curves it drew, so ghosts need no recomputation.
+  const pinSnapshot = () => {
+    snapshotCountRef.current += 1;
+    const snapshot = {
+      id: snapshotCountRef.current,
+      name: `Snapshot ${snapshotCountRef.current}`,
+      network: currentNetwork,
+      landscapeMode: activeLandscapeMode,
+      graphData,
+      showGhost: true,
+    };
+    setSnapshots([...snapshots, snapshot].slice(-MAX_SNAPSHOTS));
+  };
+
+  const removeSnapshot = (id) => {
+    setSnapshots(snapshots.filter((s) => s.id !== id));
+    if (diffSnapshotId === id) setDiffSnapshotId(null);
+  };
+
+  const toggleSnapshotGhost = (id) => {
+    setSnapshots(snapshots.map((s) => (s.id === id ? { ...s, showGhost: !s.showGhost } : s)));
+  };
+
+  const restoreSnapshot = (snapshot) => {
+    applyNetwork(snapshot.network);
+    setDiffSnapshotId(null);
+  };
+
+  const diffSnapshot = snapshots.find((s) => s.id === diffSnapshotId) ?? null;
+  const snapshotDiff = useMemo(
+    () => diffSnapshot && diffParameters(diffSnapshot.network, { weights, biases }),
+    [diffSnapshot, weights, biases]
+  );
+
+  // Ghosts are only comparable when they were captured in the mode now on screen.
+  const ghostSnapshots = isSurface ? [] : snapshots.filter((s) => s.showGhost && s.landscapeMode === activeLandscapeMode);
+
+  // --- Decision Surface (2+ inputs) ---
+
+  const neuronKeys = currentOutputs.flatMap((layer, lIdx) => layer.map((_, nIdx) => `L${lIdx + 1}_N${nIdx + 1}`));
+  const activeSurfaceNeuron = neuronKeys.includes(surfaceNeuron) ? surfaceNeuron : neuronKeys[neuronKeys.length - outputCount];
+
+  // Sweeps x1 and x2; any further inputs are held at their current slider values.
+  const surfaceData = useMemo(() => {
+    if (!isSurface) return null;
+    const [, l, n] = /^L(\d+)_N(\d+)$/.exec(activeSurfaceNeuron);
+    const { min, max } = landscapeRange;
+    const axis = Array.from({ length: SURFACE_RESOLUTION }, (_, i) => min + ((max - min) * i) / (SURFACE_RESOLUTION - 1));
+    const rest = inputs.slice(2);
+    const points = axis.flatMap((x2) => axis.flatMap((x1) => [x1, x2, ...rest]));
+    const count = axis.length * axis.length;
+    const batch = evaluateBatch(compiledNetwork, points, count);
+    const offset = (n - 1) * count;
+    const grid = axis.map((_, j) => axis.map((__, i) => batchValue(activeLandscapeMode, batch, network, l - 1, offset + j * axis.length + i)));
+    return { grid, axis };
+  }, [isSurface, activeSurfaceNeuron, inputs, network, compiledNetwork, activeLandscapeMode, landscapeRange]);
+
+  // Class probabilities over the landscape's x window, as one "P{k}" key per class for stacking.
+  const classProbabilityData = useMemo(() => {
+    if (!isClassifier || isSurface) return [];
+    const xs = uniformPoints(viewMin, viewMax, viewStep);
+    const count = xs.length;
+    const batch = evaluateBatch(compiledNetwork, xs, count);
+    const logits = batch.a[batch.a.length - 1];
+    return xs.map((x, p) => {
+      const point = { x };
+      const pointLogits = Array.from({ length: outputCount }, (_, i) => logits[i * count + p]);
+      classProbabilities(activeOutputHead, pointLogits).forEach((prob, k) => {
+        point[`P${k}`] = parseFloat(prob.toFixed(4));
+      });
+      return point;
+    });
+  }, [isClassifier, isSurface, activeOutputHead, compiledNetwork, outputCount, viewMin, viewMax, viewStep]);
+
+  const classColor = (k) => `hsl(${(k * 360) / numClasses + 200}, 70%, 55%)`;
 
   // --- UI Components ---
 
-  const ParameterScroller = ({ value, onChange, colorClass, min = -3, max = 3 }) => (
-    <div className="flex flex-col items-center gap-1 w-full min-w-[140px]">
+  const ParameterScroller = ({ value, onChange, colorClass, min = -3, max = 3, locked = false }) => (
+    <div className={`flex flex-col items-center gap-1 w-full min-w-[140px] ${locked ? "opacity-50" : ""}`} title={locked ? "Locked by the lesson" : undefined}>
       <div className="flex justify-between w-full px-1">
          <span className="text-[10px] text-slate-500">{min}</span>
-         <span className={`text-xs font-mono font-bold ${colorClass}`}>{value > 0 ? '+' : ''}{value.toFixed(2)}</span>
+         <span className={`flex items-center gap-1 text-xs font-mono font-bold ${colorClass}`}>{locked && <Lock size={10} />}{value > 0 ? '+' : ''}{value.toFixed(2)}</span>
          <span className="text-[10px] text-slate-500">{max}</span>
       </div>
       <input
@@ -156,7 +1319,8 @@ const ActivationVisualizer = () => {
         step="0.1"
         value={value}
         onChange={(e) => onChange(parseFloat(e.target.value))}
-        className="w-full h-3 bg-slate-700 rounded-lg appearance-none cursor-pointer hover:bg-slate-600 accent-slate-400"
+        disabled={locked}
+        className="w-full h-3 bg-slate-700 rounded-lg appearance-none cursor-pointer hover:bg-slate-600 accent-slate-400 disabled:cursor-not-allowed"
       />
     </div>
   );
@@ -170,11 +1334,137 @@ const ActivationVisualizer = () => {
     </div>
   );
 
+  // Extra Computation Trace columns, shown only when some layer uses the option.
+  const traceShowsNorm = network.norms.some(Boolean);
+  const traceShowsDropout = network.dropoutScales.some(Boolean);
+  const traceShowsSkip = network.residual.some(Boolean);
+
+  const isTraceByLayer = neuronsPerLayer.reduce((sum, n) => sum + n, 0) > TRACE_NEURON_LIMIT;
+  const activeTraceLayer = Math.min(traceLayer, neuronsPerLayer.length - 1);
+
   const svgWidth = 800;
-  const svgHeight = 400;
-  const layerSpacing = svgWidth / (visualizationLayers.length + 1);
-  const neuronSpacing = 70;
-  const neuronRadius = 24; 
+  const layerSizes = visualizationLayers.map((layer) => layer.length);
+  const tallestLayer = Math.max(...layerSizes);
+  // Tall layers get a taller diagram, up to a point; past that the nodes shrink.
+  const svgHeight = Math.min(MAX_DIAGRAM_HEIGHT, Math.max(400, tallestLayer * 56 + 60));
+  const { layerSpacing, neuronSpacing, radius: neuronRadius } = diagramLayout(layerSizes, { width: svgWidth, height: svgHeight });
+  const edgeCount = layerSizes.slice(1).reduce((sum, size, l) => sum + size * layerSizes[l], 0);
+  const isCanvasDiagram = edgeCount > CANVAS_EDGE_THRESHOLD || tallestLayer > CANVAS_NODE_THRESHOLD;
+
+  // Centre of node nIdx in visualization layer lIdx (layer 0 holds the inputs).
+  const nodePosition = (lIdx, nIdx) => ({
+    x: layerSpacing * (lIdx + 1),
+    y: svgHeight / 2 - ((visualizationLayers[lIdx].length - 1) * neuronSpacing) / 2 + nIdx * neuronSpacing,
+  });
+
+  // Callout next to the neuron being computed: running sum, then z, then f(z).
+  // How a neuron's a comes from z with the layer's options, e.g. "f(ẑ) × 1.25 + skip".
+  const activationFormula = (layer, neuron) =>
+    `f(${network.norms[layer] ? "ẑ" : "z"})${neuron.keep !== 1 ? ` × ${neuron.keep.toFixed(2)}` : ""}${network.residual[layer] ? " + skip" : ""}`;
+
+  // Extra tooltip and callout lines for LayerNorm, dropout and skip connections.
+  const layerOptionLines = (layer, neuron) => [
+    network.norms[layer] && { text: `ẑ = LayerNorm(z) = ${neuron.zHat.toFixed(3)}`, fill: "#facc15" },
+    network.dropoutScales[layer] && { text: neuron.keep === 0 ? "dropped (× 0)" : `kept (× ${neuron.keep.toFixed(2)})`, fill: "#a5b4fc" },
+    network.residual[layer] && { text: `skip = ${neuron.skip.toFixed(3)}`, fill: "#34d399" },
+  ].filter(Boolean);
+
+  let playbackCallout = null;
+  if (playback) {
+    const { x: nodeX, y: nodeY } = nodePosition(playback.layer + 1, playback.neuron);
+    const width = 230;
+    const fitsRight = nodeX + neuronRadius + 12 + width <= svgWidth;
+    const stepInputs = currentOutputs[playback.layer][playback.neuron].inputs;
+    const lines = [
+      { text: `L${playback.layer + 1}N${playback.neuron + 1} · ${activations[playback.layer]}`, fill: "#94a3b8" },
+      { text: `Σ w·a = ${playback.partial.toFixed(3)}  (${playback.termCount}/${stepInputs.length})`, fill: "#60a5fa" },
+    ];
+    if (playback.phase === "term") {
+      const w = network.effectiveWeights[playback.layer][playback.neuron][playback.term];
+      lines.push({ text: `  + ${w.toFixed(2)} × ${stepInputs[playback.term].toFixed(2)}`, fill: "#fbbf24" });
+    } else {
+      lines.push({ text: `z = Σ + b = ${playback.partial.toFixed(3)} + ${playback.bias.toFixed(2)} = ${playback.z.toFixed(3)}`, fill: "#eab308" });
+    }
+    if (playback.phase === "activate") {
+      const isForced = isNeuronAblated(playback.layer, playback.neuron);
+      const neuron = currentOutputs[playback.layer][playback.neuron];
+      if (!isForced) lines.push(...layerOptionLines(playback.layer, neuron));
+      const formula = isForced ? "" : `${activationFormula(playback.layer, neuron)} = `;
+      lines.push({ text: `a = ${formula}${playback.a.toFixed(3)}${isForced ? " (ablated)" : ""}`, fill: playback.a >= 0 ? "#4ade80" : "#fb923c" });
+    }
+    const height = 12 + lines.length * 16;
+    playbackCallout = {
+      x: fitsRight ? nodeX + neuronRadius + 12 : nodeX - neuronRadius - 12 - width,
+      y: Math.max(0, Math.min(svgHeight - height, nodeY - height / 2)),
+      width,
+      height,
+      lines,
+    };
+  }
+
+  // Hover tooltip: z and a for a node, w and its contribution w·a for an edge.
+  let diagramTooltip = null;
+  const hoverExists = diagramHover && (diagramHover.type === "edge"
+    ? weights[diagramHover.layer]?.[diagramHover.neuron]?.[diagramHover.term] !== undefined
+    : visualizationLayers[diagramHover.layer]?.[diagramHover.neuron] !== undefined);
+  const hoverTarget = hoverExists ? diagramHover : null;
+  if (hoverTarget) {
+    let anchor, lines;
+    if (hoverTarget.type === "edge") {
+      const { layer, neuron, term } = hoverTarget;
+      const from = nodePosition(layer, term);
+      const to = nodePosition(layer + 1, neuron);
+      const w = weights[layer][neuron][term];
+      const isCut = isConnectionCut(layer, neuron, term);
+      const source = visualizationLayers[layer][term].a;
+      anchor = { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 };
+      lines = [
+        { text: `${sourceLabel(layer, term)} → L${layer + 1}N${neuron + 1}`, fill: "#94a3b8" },
+        { text: `w = ${w.toFixed(2)}${isCut ? " (cut)" : ""}`, fill: "#60a5fa" },
+        { text: `a = ${source.toFixed(3)}`, fill: "#4ade80" },
+        { text: `w·a = ${(isCut ? 0 : w * source).toFixed(3)}`, fill: "#eab308" },
+        { text: "drag ↕ to change w", fill: "#64748b" },
+      ];
+    } else {
+      const { layer, neuron } = hoverTarget;
+      const node = visualizationLayers[layer][neuron];
+      const pos = nodePosition(layer, neuron);
+      anchor = { x: pos.x + neuronRadius, y: pos.y - neuronRadius };
+      lines = node.isInput
+        ? [{ text: `${inputLabel(neuron)} = ${node.a.toFixed(3)}`, fill: "#22d3ee" }]
+        : [
+            { text: `L${layer}N${neuron + 1} · ${activations[layer - 1]}`, fill: "#94a3b8" },
+            { text: `z = ${node.z.toFixed(3)}`, fill: "#eab308" },
+            ...layerOptionLines(layer - 1, node),
+            { text: `a = ${node.a.toFixed(3)}`, fill: node.a >= 0 ? "#4ade80" : "#fb923c" },
+            { text: "click to edit", fill: "#64748b" },
+          ];
+    }
+    const width = 160;
+    const height = 12 + lines.length * 16;
+    diagramTooltip = {
+      x: anchor.x + 8 + width <= svgWidth ? anchor.x + 8 : anchor.x - 8 - width,
+      y: Math.max(0, Math.min(svgHeight - height, anchor.y - height - 8)),
+      width,
+      height,
+      lines,
+    };
+  }
+
+  // Popover with the bias and incoming weights of the clicked neuron, beside the node.
+  let neuronPopover = null;
+  if (activeSelectedNeuron) {
+    const { layer, neuron } = activeSelectedNeuron;
+    const pos = nodePosition(layer + 1, neuron);
+    const width = 240;
+    const height = Math.min(svgHeight, 88 + (weights[layer][neuron].length + 1) * 44);
+    neuronPopover = {
+      left: pos.x + neuronRadius + 12 + width <= svgWidth ? pos.x + neuronRadius + 12 : pos.x - neuronRadius - 12 - width,
+      top: Math.max(0, Math.min(svgHeight - height, pos.y - 40)),
+      width,
+      maxHeight: height,
+    };
+  }
 
   const getNodeColor = (val, mode, isInput = false) => {
     if (mode === 'weights') return { fill: "#1e293b", stroke: "#94a3b8" };
@@ -182,6 +1472,12 @@ const ActivationVisualizer = () => {
     const minOpacity = 0.3; 
     const opacity = Math.max(intensity, minOpacity);
 
+    if (mode === 'gradients') {
+      return val >= 0
+        ? { fill: `rgba(168, 85, 247, ${opacity})`, stroke: `rgba(168, 85, 247, 1)` }
+        : { fill: `rgba(34, 211, 238, ${opacity})`, stroke: `rgba(34, 211, 238, 1)` };
+    }
+
     if (val >= 0) {
       return { 
         fill: `rgba(34, 197, 94, ${opacity})`, 
@@ -195,6 +1491,121 @@ const ActivationVisualizer = () => {
     }
   };
 
+  // Stroke of the edge from node nIdx of visualization layer lIdx to node nextIdx of the next one.
+  // `magnitude` ranks edges when the canvas renderer culls the weakest; lit playback edges always win.
+  const edgeStyle = (lIdx, nIdx, nextIdx) => {
+    let strokeColor, strokeWidth, opacity, magnitude;
+
+    if (viewMode === "weights") {
+      const wVal = weights[lIdx][nextIdx][nIdx];
+      const intensity = Math.min(Math.abs(wVal), 1);
+      strokeColor = wVal >= 0 ? `rgba(59, 130, 246, ${intensity})` : `rgba(239, 68, 68, ${intensity})`;
+      strokeWidth = Math.max(1, Math.abs(wVal) * 3);
+      opacity = 0.6;
+      magnitude = Math.abs(wVal);
+    } else if (viewMode === "gradients") {
+      const gVal = backward.dW[lIdx][nextIdx][nIdx];
+      const intensity = Math.abs(gVal) / maxEdgeGradient;
+      strokeColor = gVal >= 0 ? "rgb(168, 85, 247)" : "rgb(34, 211, 238)";
+      strokeWidth = Math.max(1, intensity * 6);
+      opacity = Math.max(intensity, 0.15);
+      magnitude = Math.abs(gVal);
+    } else {
+      const val = visualizationLayers[lIdx][nIdx].a;
+      const styles = getNodeColor(val, 'activity');
+      strokeColor = styles.stroke;
+      strokeWidth = 2;
+      opacity = parseFloat(styles.fill.split(',')[3]);
+      magnitude = Math.abs(network.effectiveWeights[lIdx][nextIdx][nIdx] * val);
+    }
+
+    if (playback) {
+      const isIncoming = lIdx === playback.layer && nextIdx === playback.neuron;
+      const isLit = isIncoming && nIdx < playback.termCount;
+      const isCurrentTerm = isLit && playback.phase === "term" && nIdx === playback.term;
+      strokeColor = isLit ? "#fbbf24" : "#475569";
+      strokeWidth = isCurrentTerm ? 4 : isLit ? 2.5 : 1;
+      opacity = isLit ? 1 : isIncoming ? 0.5 : 0.15;
+      if (isIncoming) magnitude = Infinity;
+    }
+
+    return { strokeColor, strokeWidth, opacity, magnitude };
+  };
+
+  // Fill, stroke and shown value of a node, following the view mode and playback.
+  const nodeStyle = (lIdx, nIdx) => {
+    const neuron = visualizationLayers[lIdx][nIdx];
+    const gradient = neuron.isInput ? backward.dInput[nIdx] : backward.deltas[lIdx - 1][nIdx].dZ;
+    const nodeMode = playback ? "activity" : viewMode;
+    const nodeValue = nodeMode === "gradients" ? gradient : neuron.a;
+    const stepState = neuron.isInput ? "done" : playbackState(lIdx - 1, nIdx);
+    const isKnown = stepState === "done" || (stepState === "current" && playback.phase === "activate");
+    const styles = isKnown ? getNodeColor(nodeValue, nodeMode) : { fill: "#0f172a", stroke: "#334155" };
+    const isAblatedNode = !neuron.isInput && isNeuronAblated(lIdx - 1, nIdx);
+    const isDropped = !neuron.isInput && neuron.keep === 0;
+    const isDead = !neuron.isInput && isNeuronDead(lIdx - 1, nIdx);
+    return { ...styles, nodeMode, nodeValue, stepState, isKnown, isAblatedNode, isDropped, isDead };
+  };
+
+  // Canvas renderer input: every node, and per layer pair the strongest edges plus a band for the rest.
+  const outputLayerLabel = !classification ? "Output" : activeOutputHead === "binary" ? "Sigmoid" : "Softmax";
+
+  // Skip connections run from each neuron of a layer's input to the same neuron of its output,
+  // bowed above the dense edges so they read as a bypass.
+  const skipArcs = network.residual.flatMap((isSkip, l) =>
+    !isSkip ? [] : visualizationLayers[l].map((_, i) => {
+      const from = nodePosition(l, i);
+      const to = nodePosition(l + 1, i);
+      return { key: `skip-${l}-${i}`, x1: from.x, y1: from.y, x2: to.x, y2: to.y, cx: (from.x + to.x) / 2, cy: from.y - Math.max(neuronSpacing / 2, neuronRadius * 1.5) };
+    })
+  );
+
+  // Short per-layer notes for LayerNorm and dropout, shown above each column (inputs first).
+  const layerBadges = visualizationLayers.map((_, lIdx) => {
+    if (lIdx === 0) return "";
+    const badges = [];
+    if (network.norms[lIdx - 1]) badges.push("LN");
+    if (network.dropoutRates[lIdx - 1] > 0) badges.push(`Drop ${network.dropoutRates[lIdx - 1]}${network.training ? "" : " (eval)"}`);
+    return badges.join(" · ");
+  });
+
+  const canvasDiagram = isCanvasDiagram && {
+    nodes: visualizationLayers.map((layer, lIdx) =>
+      layer.map((_, nIdx) => {
+        const { fill, stroke, stepState, isAblatedNode, isDropped, isDead } = nodeStyle(lIdx, nIdx);
+        return { ...nodePosition(lIdx, nIdx), r: neuronRadius, fill, stroke, ring: stepState === "current", dashed: isAblatedNode, faded: isDropped, flagged: isDead };
+      })
+    ),
+    arcs: skipArcs,
+    edgeGroups: visualizationLayers.slice(1).map((layer, lIdx) => {
+      const edges = [];
+      layer.forEach((_, nextIdx) => {
+        const to = nodePosition(lIdx + 1, nextIdx);
+        visualizationLayers[lIdx].forEach((__, nIdx) => {
+          const from = nodePosition(lIdx, nIdx);
+          const { strokeColor, strokeWidth, opacity, magnitude } = edgeStyle(lIdx, nIdx, nextIdx);
+          const isCut = isConnectionCut(lIdx, nextIdx, nIdx);
+          edges.push({
+            x1: from.x, y1: from.y, x2: to.x, y2: to.y,
+            color: strokeColor,
+            width: Math.min(strokeWidth, neuronRadius),
+            alpha: isCut ? 0.35 : opacity,
+            dashed: isCut,
+            magnitude,
+          });
+        });
+      });
+      const { shown, hidden } = cullEdges(edges, MAX_DRAWN_EDGES);
+      const strongest = shown.length ? Math.max(1e-9, finiteExtent(shown.map((e) => e.magnitude))?.max ?? 0) : 1;
+      return { shown, hidden, bandAlpha: 0.05 + 0.2 * Math.min(1, hidden.meanMagnitude / strongest) };
+    }),
+    labels: visualizationLayers.map((_, lIdx) => {
+      const label = lIdx === 0 ? "Input" : lIdx === visualizationLayers.length - 1 ? outputLayerLabel : `L${lIdx}`;
+      return layerBadges[lIdx] ? `${label} · ${layerBadges[lIdx]}` : label;
+    }),
+  };
+  const culledEdgeCount = canvasDiagram ? canvasDiagram.edgeGroups.reduce((sum, group) => sum + group.hidden.count, 0) : 0;
+
   return (
     <div className="w-full min-h-screen bg-gradient-to-br from-slate-900 to-slate-800 p-6 font-sans text-slate-200">
       <div className="max-w-7xl mx-auto space-y-8">
@@ -208,12 +1619,28 @@ const ActivationVisualizer = () => {
           
           <div className="flex flex-wrap gap-2">
             <button
-              onClick={() => setShowEditor(!showEditor)}
+              onClick={() => setShowEditor(!showEditor)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-bold transition-colors shadow-lg ${
+                showEditor ? "bg-amber-600 text-white" : "bg-slate-700 text-slate-300 hover:bg-slate-600"
+              }`}
+            >
+              <Settings size={16} /> {showEditor ? "Hide Parameters" : "Edit Parameters"}
+            </button>
+            <button
+              onClick={() => setShowTrainer(!showTrainer)}
+              className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-bold transition-colors shadow-lg ${
+                showTrainer ? "bg-fuchsia-600 text-white" : "bg-slate-700 text-slate-300 hover:bg-slate-600"
+              }`}
+            >
+              <Dumbbell size={16} /> {showTrainer ? "Hide Training" : "Train"}
+            </button>
+            <button
+              onClick={() => setShowDataset(!showDataset)}
               className={`flex items-center gap-2 px-4 py-2 rounded-lg text-sm font-bold transition-colors shadow-lg ${
-                showEditor ? "bg-amber-600 text-white" : "bg-slate-700 text-slate-300 hover:bg-slate-600"
+                showDataset ? "bg-teal-600 text-white" : "bg-slate-700 text-slate-300 hover:bg-slate-600"
               }`}
             >
-              <Settings size={16} /> {showEditor ? "Hide Parameters" : "Edit Parameters"}
+              <Database size={16} /> {showDataset ? "Hide Data" : "Data"}
             </button>
             <div className="w-px h-8 bg-slate-700 mx-2 hidden md:block"></div>
             <button
@@ -232,37 +1659,256 @@ const ActivationVisualizer = () => {
             >
               <Eye size={16} /> Weights
             </button>
+            <button
+              onClick={() => setViewMode("gradients")}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                viewMode === "gradients" ? "bg-purple-600 text-white" : "bg-slate-800 border border-slate-600 hover:bg-slate-700"
+              }`}
+            >
+              <Sigma size={16} /> Gradients
+            </button>
+            <div className="w-px h-8 bg-slate-700 mx-2 hidden md:block"></div>
+            <div className="flex items-center bg-slate-800 border border-slate-600 rounded-lg" role="group" aria-label="History">
+              <button
+                onClick={undo}
+                disabled={!history.past.length}
+                title="Undo (Ctrl+Z)"
+                aria-label="Undo"
+                className="px-2.5 py-2 rounded-l-lg hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent"
+              >
+                <Undo2 size={16} />
+              </button>
+              <span className="px-1 text-xs font-mono text-slate-400 min-w-[3rem] text-center" title="Steps you can undo / total steps">
+                {history.past.length}/{history.past.length + history.future.length}
+              </span>
+              <button
+                onClick={redo}
+                disabled={!history.future.length}
+                title="Redo (Ctrl+Shift+Z)"
+                aria-label="Redo"
+                className="px-2.5 py-2 rounded-r-lg hover:bg-slate-700 disabled:opacity-40 disabled:hover:bg-transparent"
+              >
+                <Redo2 size={16} />
+              </button>
+            </div>
+            <button
+              onClick={exportNetwork}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-slate-800 border border-slate-600 hover:bg-slate-700"
+            >
+              <Download size={16} /> Export
+            </button>
+            <button
+              onClick={() => setShowCodeExport(true)}
+              title="PyTorch, NumPy or TensorFlow.js code for this network"
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-slate-800 border border-slate-600 hover:bg-slate-700"
+            >
+              <FileCode size={16} /> Export code
+            </button>
+            <button
+              onClick={() => fileInputRef.current.click()}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-slate-800 border border-slate-600 hover:bg-slate-700"
+            >
+              <Upload size={16} /> Import
+            </button>
+            <button
+              onClick={shareNetwork}
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-slate-800 border border-slate-600 hover:bg-slate-700"
+            >
+              <Share2 size={16} /> Share
+            </button>
+            <button
+              onClick={() => setShowPresets(!showPresets)}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                showPresets ? "bg-sky-600 text-white" : "bg-slate-800 border border-slate-600 hover:bg-slate-700"
+              }`}
+            >
+              <Library size={16} /> Presets
+            </button>
+            <button
+              onClick={() => setShowLessons(!showLessons)}
+              className={`flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                showLessons ? "bg-violet-600 text-white" : "bg-slate-800 border border-slate-600 hover:bg-slate-700"
+              }`}
+            >
+              <GraduationCap size={16} /> Lessons
+            </button>
+            <button
+              onClick={pinSnapshot}
+              title="Save the current network and its curves for comparison"
+              className="flex items-center gap-2 px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-slate-800 border border-slate-600 hover:bg-slate-700"
+            >
+              <Pin size={16} /> Pin snapshot
+            </button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                importNetwork(e.target.files[0]);
+                e.target.value = "";
+              }}
+            />
           </div>
         </div>
 
+        {shareNotice && (
+          <div className="bg-sky-950/60 border border-sky-700 rounded-lg px-4 py-2 text-sm text-sky-200 flex items-center gap-2">
+            <Share2 size={16} className="text-sky-400" /> {shareNotice}
+          </div>
+        )}
+
+        {/* Preset Library */}
+        {showPresets && (
+          <div className="bg-slate-800 rounded-xl border border-sky-600/50 shadow-2xl p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-bold text-sky-400 uppercase tracking-wider mb-3">Built-in Examples</h3>
+              <div className="space-y-2">
+                {builtInPresets.map(({ name, description, network }) => (
+                  <button
+                    key={name}
+                    onClick={() => loadPreset(name, network)}
+                    className="w-full text-left bg-slate-900 hover:bg-slate-700 border border-slate-700 rounded-lg px-4 py-3 transition-colors"
+                  >
+                    <span className="block text-sm font-bold text-white">{name}</span>
+                    <span className="block text-xs text-slate-400">{description}</span>
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div>
+              <h3 className="text-sm font-bold text-sky-400 uppercase tracking-wider mb-3">My Presets</h3>
+              <div className="flex gap-2 mb-3">
+                <input
+                  type="text"
+                  value={presetName}
+                  placeholder="Preset name"
+                  onChange={(e) => setPresetName(e.target.value)}
+                  onKeyDown={(e) => e.key === "Enter" && savePreset()}
+                  className="flex-1 text-sm bg-slate-900 text-slate-200 border border-slate-700 rounded px-3 py-2"
+                />
+                <button
+                  onClick={savePreset}
+                  disabled={!presetName.trim()}
+                  className="flex items-center gap-2 text-xs bg-sky-600 hover:bg-sky-500 px-3 py-2 rounded text-white transition-colors disabled:opacity-50"
+                >
+                  <Save size={14}/> Save Current
+                </button>
+              </div>
+              {userPresets.length === 0 ? (
+                <p className="text-xs text-slate-500">No saved presets yet. Saving again under an existing name replaces it.</p>
+              ) : (
+                <div className="space-y-2">
+                  {userPresets.map(({ name, network }) => (
+                    <div key={name} className="flex items-center gap-2 bg-slate-900 border border-slate-700 rounded-lg px-4 py-2">
+                      <button onClick={() => loadPreset(name, network)} className="flex-1 text-left text-sm text-white hover:text-sky-300">
+                        {name}
+                        <span className="ml-2 text-xs text-slate-500 font-mono">[{network.neuronsPerLayer?.join("-")}]</span>
+                      </button>
+                      <button onClick={() => deletePreset(name)} title={`Delete ${name}`} className="text-slate-500 hover:text-red-400">
+                        <Trash2 size={14}/>
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {showLessons && (
+          <LessonPicker
+            builtInLessons={builtInLessons}
+            userLessons={userLessons}
+            completed={completedLessons}
+            onStart={startLesson}
+            onDelete={deleteLesson}
+            onImport={importLessons}
+            onResetProgress={resetLessonProgress}
+          />
+        )}
+
+        {showCodeExport && (
+          <CodeExportDialog
+            network={currentNetwork}
+            note={isAblating ? "Ablations are not exported: the code runs the full network." : null}
+            onClose={() => setShowCodeExport(false)}
+          />
+        )}
+
+        {fileError && (
+          <div className="bg-red-950/60 border border-red-700 rounded-lg p-4 flex gap-3 text-sm">
+            <AlertTriangle size={18} className="text-red-400 shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <p className="font-bold text-red-300">Could not load "{fileError.name}"</p>
+              <ul className="list-disc list-inside text-red-200/80 mt-1 space-y-0.5">
+                {fileError.message.split("\n").map((line, i) => <li key={i}>{line}</li>)}
+              </ul>
+            </div>
+            <button onClick={() => setFileError(null)} className="text-red-300 hover:text-white self-start">
+              <X size={16} />
+            </button>
+          </div>
+        )}
+
+        {activeLesson && (
+          <LessonPanel
+            lesson={activeLesson}
+            status={lessonStatus()}
+            isPassed={isLessonPassed}
+            revealedHints={revealedHints}
+            onRevealHint={() => setRevealedHints(revealedHints + 1)}
+            onRestart={() => startLesson(activeLesson)}
+            onExit={() => setActiveLesson(null)}
+          />
+        )}
+
         {/* Global Controls */}
         <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow-xl">
            <div className="flex flex-col md:flex-row gap-8">
-              <div className="flex-1">
-                <label className="text-white font-semibold flex items-center mb-4">
-                  Input Signal (x)
-                  <span className="ml-auto bg-slate-900 px-3 py-1 rounded font-mono text-cyan-400">{input.toFixed(2)}</span>
-                </label>
-                <input
-                  type="range"
-                  min="-5"
-                  max="5"
-                  step="0.1"
-                  value={input}
-                  onChange={(e) => setInput(parseFloat(e.target.value))}
-                  className="w-full h-2 bg-slate-600 rounded-lg appearance-none cursor-pointer accent-cyan-500"
-                />
-                <div className="flex justify-between text-xs text-slate-500 mt-2 font-mono">
-                  <span>-5.0</span>
-                  <span>0.0</span>
-                  <span>+5.0</span>
+              <div className="flex-1 space-y-4">
+                <div className="flex justify-between items-center">
+                  <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">Inputs</h3>
+                  <label className="flex items-center gap-2 text-xs text-slate-400">
+                    Features
+                    <select
+                      value={inputs.length}
+                      onChange={(e) => updateInputCount(parseInt(e.target.value))}
+                      disabled={isArchitectureLocked}
+                      className="text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-1 py-1"
+                    >
+                      {Array.from({ length: MAX_INPUTS }, (_, i) => <option key={i} value={i + 1}>{i + 1}</option>)}
+                    </select>
+                  </label>
+                </div>
+                {inputs.map((val, idx) => (
+                  <div key={idx}>
+                    <label className="text-white font-semibold flex items-center mb-2">
+                      Input Signal ({inputLabel(idx)})
+                      <span className="ml-auto bg-slate-900 px-3 py-1 rounded font-mono text-cyan-400">{val.toFixed(2)}</span>
+                    </label>
+                    <input
+                      type="range"
+                      min={landscapeRange.min}
+                      max={landscapeRange.max}
+                      step={landscapeRange.step / 2}
+                      value={val}
+                      onChange={(e) => updateInput(idx, parseFloat(e.target.value))}
+                      className="w-full h-2 bg-slate-600 rounded-lg appearance-none cursor-pointer accent-cyan-500"
+                    />
+                  </div>
+                ))}
+                <div className="flex justify-between text-xs text-slate-500 font-mono">
+                  <span>{landscapeRange.min.toFixed(1)}</span>
+                  <span>{((landscapeRange.min + landscapeRange.max) / 2).toFixed(1)}</span>
+                  <span>{landscapeRange.max > 0 ? "+" : ""}{landscapeRange.max.toFixed(1)}</span>
                 </div>
               </div>
 
               <div className="flex-[2] space-y-4">
                  <div className="flex justify-between items-center">
                     <h3 className="text-sm font-bold text-slate-400 uppercase tracking-wider">Architecture</h3>
-                    <button onClick={addLayer} disabled={neuronsPerLayer.length >= 5} className="text-xs flex items-center gap-1 bg-emerald-600 hover:bg-emerald-500 text-white px-3 py-1 rounded disabled:opacity-50">
+                    <button onClick={addLayer} disabled={isArchitectureLocked || neuronsPerLayer.length >= MAX_LAYERS} className="text-xs flex items-center gap-1 bg-emerald-600 hover:bg-emerald-500 text-white px-3 py-1 rounded disabled:opacity-50">
                       <Plus size={12}/> Add Layer
                     </button>
                  </div>
@@ -270,7 +1916,7 @@ const ActivationVisualizer = () => {
                  <div className="flex flex-wrap gap-2">
                     {neuronsPerLayer.map((count, idx) => (
                       <div key={idx} className="bg-slate-900 p-3 rounded border border-slate-700 flex flex-col items-center gap-2 min-w-[100px] relative group">
-                        {neuronsPerLayer.length > 1 && (
+                        {neuronsPerLayer.length > 1 && !isArchitectureLocked && (
                           <button onClick={() => removeLayer(idx)} className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full p-0.5 opacity-0 group-hover:opacity-100 transition-opacity">
                             <X size={12}/>
                           </button>
@@ -280,23 +1926,187 @@ const ActivationVisualizer = () => {
                            type="range" min="1" max={maxNeurons} step="1" 
                            value={count} 
                            onChange={(e) => updateNeuronCount(idx, parseInt(e.target.value))}
+                           disabled={isArchitectureLocked}
                            className="w-20 accent-indigo-500 h-1 bg-slate-700 rounded appearance-none"
                         />
                         <span className="text-xs font-bold text-white">{count} Neurons</span>
                         <select
                           value={activations[idx] || "relu"}
-                          onChange={(e) => {
-                            const newActs = [...activations];
-                            newActs[idx] = e.target.value;
-                            setActivations(newActs);
-                          }}
+                          onChange={(e) => updateActivation(idx, e.target.value)}
+                          disabled={isArchitectureLocked}
                           className="w-full text-xs bg-slate-800 text-slate-300 border border-slate-700 rounded px-1 py-1"
                         >
-                          {availableActivations.map(fn => <option key={fn} value={fn}>{fn}</option>)}
+                          <optgroup label="Built-in">
+                            {builtInActivationNames.map(fn => <option key={fn} value={fn}>{fn}</option>)}
+                          </optgroup>
+                          {customActivations.length > 0 && (
+                            <optgroup label="Custom">
+                              {customActivations.map(({ name }) => <option key={name} value={name}>{name}</option>)}
+                            </optgroup>
+                          )}
                         </select>
+                        {/* Layer Options */}
+                        <div className="w-full flex flex-col gap-1 text-[11px] text-slate-400">
+                          <label
+                            className="flex items-center gap-1"
+                            title={layerSkipFits(idx) ? "Add the layer's input to its output" : "Only applies while the layer has as many neurons as it has inputs"}
+                          >
+                            <input
+                              type="checkbox"
+                              checked={layerOptions[idx].residual}
+                              onChange={(e) => updateLayerOptions(idx, { residual: e.target.checked })}
+                              disabled={isArchitectureLocked}
+                              className="accent-indigo-400"
+                            />
+                            Skip
+                            {layerOptions[idx].residual && !layerSkipFits(idx) && <span className="text-amber-400">(width differs)</span>}
+                          </label>
+                          <label className="flex items-center gap-1">
+                            <input type="checkbox" checked={Boolean(layerOptions[idx].norm)} onChange={() => toggleLayerNorm(idx)} disabled={isArchitectureLocked} className="accent-indigo-400" />
+                            LayerNorm
+                          </label>
+                          <label className="flex items-center gap-1">
+                            Dropout
+                            <input
+                              type="number"
+                              min="0"
+                              max="0.9"
+                              step="0.1"
+                              value={layerOptions[idx].dropout}
+                              onChange={(e) => {
+                                const val = parseFloat(e.target.value);
+                                if (val >= 0 && val < 1) updateLayerOptions(idx, { dropout: val }, `dropout:${idx}`);
+                              }}
+                              disabled={isArchitectureLocked}
+                              className="w-14 font-mono bg-slate-800 text-slate-200 border border-slate-700 rounded px-1"
+                            />
+                          </label>
+                        </div>
                       </div>
                     ))}
                  </div>
+
+                 {usesDropout && (
+                   <div className="flex flex-wrap items-center gap-2 text-xs">
+                     <span className="text-slate-400">Dropout mode</span>
+                     {[["Eval", false], ["Train", true]].map(([label, mode]) => (
+                       <button
+                         key={label}
+                         onClick={() => setDropoutTraining(mode)}
+                         className={`px-2 py-1 rounded transition-colors ${
+                           dropoutTraining === mode ? "bg-indigo-600 text-white" : "bg-slate-800 border border-slate-700 hover:bg-slate-700"
+                         }`}
+                       >
+                         {label}
+                       </button>
+                     ))}
+                     <button
+                       onClick={() => setDropoutSeed(randomSeed())}
+                       disabled={!dropoutTraining}
+                       title="Draw new dropout masks"
+                       className="flex items-center gap-1 bg-slate-800 border border-slate-700 hover:bg-slate-700 px-2 py-1 rounded disabled:opacity-50"
+                     >
+                       <Dices size={12}/> Resample
+                     </button>
+                     <span className="text-slate-500">
+                       {dropoutTraining
+                         ? `${droppedCount} neuron${droppedCount === 1 ? "" : "s"} dropped; the kept ones are scaled by 1 / (1 − rate).`
+                         : "Eval mode keeps every neuron and scales nothing, as at inference time."}
+                     </span>
+                   </div>
+                 )}
+
+                 <div className="flex flex-wrap items-center gap-2 text-xs">
+                   <label className="flex items-center gap-2 text-slate-400">
+                     Output head
+                     <select
+                       value={outputHead}
+                       onChange={(e) => updateOutputHead(e.target.value)}
+                       className="bg-slate-800 text-slate-300 border border-slate-700 rounded px-1 py-1"
+                     >
+                       {Object.entries(OUTPUT_HEADS).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                     </select>
+                   </label>
+                   {outputHeadProblem && <span className="text-amber-400">{outputHeadProblem}, so the outputs are read as regression.</span>}
+                   {isClassifier && activations[neuronsPerLayer.length - 1] !== "linear" && (
+                     <span className="text-slate-500">
+                       The logits are the {activations[neuronsPerLayer.length - 1]} outputs of L{neuronsPerLayer.length}; a linear output layer gives raw logits.
+                     </span>
+                   )}
+                 </div>
+
+                 <button
+                   onClick={() => setShowActivationLibrary(!showActivationLibrary)}
+                   className="text-xs flex items-center gap-1 text-slate-400 hover:text-white"
+                 >
+                   <FunctionSquare size={12}/> {showActivationLibrary ? "Hide" : "Show"} Activation Library
+                 </button>
+
+                 {showActivationLibrary && (
+                   <div className="bg-slate-900 rounded border border-slate-700 p-3 space-y-3 text-xs">
+                     <label className="flex items-center gap-2 text-slate-400">
+                       leaky_relu slope (α)
+                       <input
+                         type="number"
+                         step="0.01"
+                         value={leakySlope}
+                         onChange={(e) => {
+                           const val = parseFloat(e.target.value);
+                           if (Number.isFinite(val) && !isArchitectureLocked) setLeakySlope(val);
+                         }}
+                         disabled={isArchitectureLocked}
+                         className="w-20 font-mono bg-slate-800 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                       />
+                     </label>
+                     {customActivations.map(({ name, expression }) => {
+                       const inUse = activations.includes(name);
+                       return (
+                         <div key={name} className="flex items-center gap-2 font-mono">
+                           <span className="text-white font-bold">{name}</span>
+                           <span className="text-slate-400">f(z) = {expression}</span>
+                           <button
+                             onClick={() => removeCustomActivation(name)}
+                             disabled={inUse}
+                             title={inUse ? "In use by a layer" : `Delete ${name}`}
+                             className="ml-auto text-slate-500 hover:text-red-400 disabled:opacity-30 disabled:hover:text-slate-500"
+                           >
+                             <Trash2 size={12}/>
+                           </button>
+                         </div>
+                       );
+                     })}
+                     <div className="flex flex-wrap items-center gap-2">
+                       <input
+                         type="text"
+                         value={newActivationName}
+                         placeholder="name"
+                         onChange={(e) => setNewActivationName(e.target.value)}
+                         className="w-28 font-mono bg-slate-800 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                       />
+                       <span className="text-slate-500 font-mono">f(z) =</span>
+                       <input
+                         type="text"
+                         value={newActivationExpr}
+                         onChange={(e) => setNewActivationExpr(e.target.value)}
+                         onKeyDown={(e) => e.key === "Enter" && addCustomActivation()}
+                         className={`flex-1 min-w-[160px] font-mono bg-slate-800 text-slate-200 border rounded px-2 py-1 ${
+                           newActivationError ? "border-red-500" : "border-slate-700"
+                         }`}
+                       />
+                       <button
+                         onClick={addCustomActivation}
+                         disabled={!newActivationName.trim() || Boolean(newActivationError)}
+                         className="flex items-center gap-1 bg-emerald-600 hover:bg-emerald-500 text-white px-3 py-1 rounded disabled:opacity-50"
+                       >
+                         <Plus size={12}/> Define
+                       </button>
+                     </div>
+                     {newActivationError && <p className="text-red-400">{newActivationError}</p>}
+                     <p className="text-slate-500">
+                       Use z with + − * / ^, parentheses, constants pi and e, and functions such as abs, exp, log, sqrt, sin, tanh, min and max.
+                     </p>
+                   </div>
+                 )}
               </div>
            </div>
         </div>
@@ -305,65 +2115,302 @@ const ActivationVisualizer = () => {
         <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
           <div className="lg:col-span-3 bg-slate-800 rounded-xl p-6 border border-slate-700 shadow h-[600px] flex flex-col">
             <div className="mb-4">
-              <h2 className="text-xl font-semibold text-white mb-2">Activation Landscape</h2>
+              <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+                <h2 className="text-xl font-semibold text-white">Activation Landscape</h2>
+                <div className="flex items-center gap-3">
+                  {!isSurface && (
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400 cursor-pointer">
+                      <input type="checkbox" checked={showRegimes} onChange={(e) => setShowRegimes(e.target.checked)} className="accent-slate-400" />
+                      Shade flat regions
+                    </label>
+                  )}
+                  {regionAnalysis && (
+                    <label className="flex items-center gap-1.5 text-xs text-slate-400 cursor-pointer">
+                      <input type="checkbox" checked={showBreakpoints} onChange={(e) => setShowBreakpoints(e.target.checked)} className="accent-slate-400" />
+                      Breakpoints
+                    </label>
+                  )}
+                  <div className="flex bg-slate-900 rounded-lg p-1 border border-slate-700" role="group" aria-label="Landscape mode">
+                    {Object.entries(LANDSCAPE_MODES).map(([mode, { label, title }]) => {
+                      const disabled = isSurface && mode === "doutdx";
+                      return (
+                        <button
+                          key={mode}
+                          onClick={() => selectLandscapeMode(mode)}
+                          disabled={disabled}
+                          title={disabled ? "Needs a single input" : title}
+                          className={`px-3 py-1 rounded text-xs font-mono font-bold transition-colors ${
+                            activeLandscapeMode === mode ? "bg-sky-600 text-white" : "text-slate-400 hover:text-white"
+                          } disabled:opacity-40 disabled:cursor-not-allowed`}
+                        >
+                          {label}
+                        </button>
+                      );
+                    })}
+                  </div>
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-3 mb-2 text-xs text-slate-400">
+                {[["min", "Min"], ["max", "Max"], ["step", "Step"]].map(([field, label]) => (
+                  <label key={field} className="flex items-center gap-1.5">
+                    {label}
+                    <input
+                      type="number"
+                      step={field === "step" ? "0.05" : "1"}
+                      min={field === "step" ? "0.001" : undefined}
+                      value={landscapeRange[field]}
+                      onChange={(e) => updateLandscapeRange(field, parseFloat(e.target.value))}
+                      className="w-16 bg-slate-900 border border-slate-700 rounded px-1.5 py-0.5 text-white font-mono"
+                    />
+                  </label>
+                ))}
+                {!isSurface && (
+                  <>
+                    <label className="flex items-center gap-1.5 cursor-pointer" title="Add samples near kinks and steep regions">
+                      <input type="checkbox" checked={adaptiveSampling} onChange={(e) => setAdaptiveSampling(e.target.checked)} className="accent-slate-400" />
+                      Adaptive sampling
+                    </label>
+                    <button
+                      onClick={toggleYLock}
+                      className={`flex items-center gap-1 px-2 py-0.5 rounded border transition-colors ${
+                        yLock ? "bg-sky-600/20 text-sky-300 border-sky-500/50" : "border-slate-700 hover:text-white"
+                      }`}
+                      title={yLock ? "Let the Y-axis follow the curves" : "Freeze the Y-axis at the current scale"}
+                    >
+                      <Lock size={12} /> Y-axis: {yLock ? "Fixed" : "Auto"}
+                    </button>
+                    {zoom && (
+                      <button
+                        onClick={() => setZoom(null)}
+                        className="flex items-center gap-1 px-2 py-0.5 rounded border border-slate-700 hover:text-white"
+                      >
+                        <ZoomOut size={12} /> Reset zoom ({viewMin.toFixed(2)} to {viewMax.toFixed(2)})
+                      </button>
+                    )}
+                  </>
+                )}
+                {!isSurface && plotsOutputsOnly && (
+                  <span className="text-amber-400" title="Hide lines in the filter panel to bring hidden-layer curves back">
+                    {visibleLineCount} curves: plotting the output layer only
+                  </span>
+                )}
+                {isAblating && (
+                  <button
+                    onClick={clearAblations}
+                    className="flex items-center gap-1 px-2 py-0.5 rounded border border-rose-500/50 bg-rose-500/10 text-rose-300 hover:text-white"
+                    title={isSurface ? undefined : "Dashed lines show the output without ablation"}
+                  >
+                    <Ban size={12} /> Ablation active: clear
+                  </button>
+                )}
+              </div>
               <DescriptionCard title="What is this showing?">
-                <p>
-                  This graph plots the <strong>Response Curve</strong> of every neuron in the network.
-                </p>
-                <ul className="list-disc list-inside mt-2 space-y-1 text-slate-400">
-                  <li>The <strong>X-axis</strong> represents the range of possible Network Inputs (-5 to +5).</li>
-                  <li>The <strong>Y-axis</strong> represents the Activation Output of a specific neuron.</li>
-                  <li>The <span className="text-amber-400 font-bold">dotted vertical line</span> shows your <strong>Current Input</strong> value. Where this line intersects a curve tells you that neuron's current output.</li>
-                </ul>
+                {isSurface ? (
+                  <>
+                    <p>
+                      With several inputs the response becomes a <strong>Surface</strong>. This heatmap shows <strong>{activeSurfaceNeuron.replace("_", "")}</strong> over the (x1, x2) plane.
+                    </p>
+                    <ul className="list-disc list-inside mt-2 space-y-1 text-slate-400">
+                      <li>Each cell is the neuron's {LANDSCAPE_MODES[activeLandscapeMode].title.toLowerCase()}. <span className="text-green-400">Green</span> is positive, <span className="text-orange-400">Orange</span> is negative.</li>
+                      <li>Inputs beyond x2 stay fixed at their slider values.</li>
+                      <li>The <span className="text-amber-400 font-bold">crosshair</span> marks your <strong>Current Input</strong>. Pick another neuron in the side panel.</li>
+                    </ul>
+                  </>
+                ) : (
+                  <>
+                    <p>
+                      This graph plots the <strong>Response Curve</strong> of every neuron in the network.
+                    </p>
+                    <ul className="list-disc list-inside mt-2 space-y-1 text-slate-400">
+                      <li>The <strong>X-axis</strong> represents the range of possible Network Inputs ({landscapeRange.min} to {landscapeRange.max}). Drag across the chart to zoom in.</li>
+                      <li>The <strong>Y-axis</strong> shows the selected mode: the activation <strong>a</strong>, the pre-activation <strong>z</strong>, the local slope <strong>f'(z)</strong>, or <strong>d(out)/dx</strong>, the slope of each network output.</li>
+                      {visibleBreakpoints.length > 0 && (
+                        <li><strong>Dotted vertical ticks</strong> are exact breakpoints, where a neuron's z crosses 0. Between two ticks the whole network is a straight line.</li>
+                      )}
+                      {ghostSnapshots.length > 0 && (
+                        <li><strong>Faded lines</strong> are ghosts of pinned snapshots, drawn in each neuron's color.</li>
+                      )}
+                      {showDatasetOverlay && (
+                        <li><span className="text-teal-400 font-bold">Teal dots</span> are the loaded dataset. Compare them with the output neuron's curve.</li>
+                      )}
+                      <li>Shaded bands mark where a ReLU is <strong>inactive</strong> (z ≤ 0) or a sigmoid/tanh is <strong>saturated</strong> (|z| ≥ {SATURATION_THRESHOLD}). No gradient flows through those neurons there.</li>
+                      <li>The <span className="text-amber-400 font-bold">dotted vertical line</span> shows your <strong>Current Input</strong> value. Where this line intersects a curve tells you that neuron's current output.</li>
+                    </ul>
+                  </>
+                )}
               </DescriptionCard>
             </div>
             
             <div className="flex-1 min-h-0">
+              {isSurface ? (
+                <DecisionSurface
+                  grid={surfaceData.grid}
+                  xs={surfaceData.axis}
+                  ys={surfaceData.axis}
+                  current={inputs}
+                />
+              ) : (
               <ResponsiveContainer width="100%" height="100%">
-                <LineChart data={graphData}>
+                <ComposedChart
+                  data={graphData}
+                  onMouseDown={(e) => e?.activeLabel !== undefined && setZoomSelection({ start: Number(e.activeLabel), end: Number(e.activeLabel) })}
+                  onMouseMove={(e) => zoomSelection && e?.activeLabel !== undefined && setZoomSelection({ ...zoomSelection, end: Number(e.activeLabel) })}
+                  onMouseUp={finishZoomSelection}
+                  onMouseLeave={() => setZoomSelection(null)}
+                >
                   <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
-                  <XAxis dataKey="x" stroke="#94a3b8" />
-                  <YAxis stroke="#94a3b8" />
+                  <XAxis dataKey="x" type="number" domain={[viewMin, viewMax]} allowDataOverflow tickFormatter={(x) => parseFloat(x.toFixed(3))} stroke="#94a3b8" />
+                  <YAxis stroke="#94a3b8" domain={yLock ?? undefined} allowDataOverflow={!!yLock} />
                   <Tooltip 
                     contentStyle={{ backgroundColor: "#0f172a", border: "1px solid #334155", color: "#f1f5f9" }}
                     itemStyle={{ fontSize: "12px" }}
                     labelStyle={{ color: "#94a3b8", marginBottom: "0.5rem" }}
+                    labelFormatter={(x) => `x = ${parseFloat(Number(x).toFixed(4))}`}
                   />
-                  <ReferenceLine x={input} stroke="#fbbf24" strokeWidth={2} strokeDasharray="4 4" label={{ value: "Current Input", fill: "#fbbf24", fontSize: 12, position: "top" }} />
+                  {regimeRegions.map((region) => (
+                    <ReferenceArea
+                      key={region.key}
+                      x1={region.x1}
+                      x2={region.x2}
+                      fill={`hsl(${(region.lIdx * 80 + region.nIdx * 40) % 360}, 70%, 50%)`}
+                      fillOpacity={region.regime === "inactive" ? 0.06 : 0.1}
+                      ifOverflow="hidden"
+                    />
+                  ))}
+                  {visibleBreakpoints.map(({ x, layer, neuron }) => (
+                    <ReferenceLine
+                      key={`bp-${layer}-${neuron}-${x}`}
+                      x={x}
+                      stroke={`hsl(${(layer * 80 + neuron * 40) % 360}, 70%, 50%)`}
+                      strokeDasharray="2 3"
+                      strokeOpacity={0.8}
+                      ifOverflow="hidden"
+                    />
+                  ))}
+                  {zoomSelection && (
+                    <ReferenceArea x1={zoomSelection.start} x2={zoomSelection.end} fill="#38bdf8" fillOpacity={0.15} stroke="#38bdf8" strokeOpacity={0.5} />
+                  )}
+                  <ReferenceLine x={inputs[0]} stroke="#fbbf24" strokeWidth={2} strokeDasharray="4 4" label={{ value: "Current Input", fill: "#fbbf24", fontSize: 12, position: "top" }} />
                   
                   <Legend wrapperStyle={{ fontSize: "12px", paddingTop: "10px" }} />
                   
+                  {showTarget && (
+                    <Line
+                      name={`Target (${targetName === "custom" ? customTarget : targetFunctions[targetName].label})`}
+                      type="monotone"
+                      dataKey="target"
+                      stroke="#f8fafc"
+                      strokeWidth={2}
+                      strokeDasharray="6 4"
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  )}
+
+                  {showDatasetOverlay && (
+                    <Scatter
+                      name={`Data (${datasetPoints.length} points)`}
+                      data={datasetPoints}
+                      dataKey="y"
+                      fill="#2dd4bf"
+                      fillOpacity={0.8}
+                      isAnimationActive={false}
+                    />
+                  )}
+
+                  {/* Snapshot Ghosts */}
+                  {ghostSnapshots.map((snapshot) =>
+                    Object.keys(snapshot.graphData[0] ?? {})
+                      .filter((key) => /^L\d+_N\d+$/.test(key))
+                      .map((key) => {
+                        const [, l, n] = key.match(/^L(\d+)_N(\d+)$/).map(Number);
+                        if (!isLinePlotted(l - 1, n - 1)) return null;
+                        return (
+                          <Line
+                            key={`ghost-${snapshot.id}-${key}`}
+                            data={snapshot.graphData}
+                            name={`${key.replace("_", "")} @ ${snapshot.name}`}
+                            type="monotone"
+                            dataKey={key}
+                            stroke={`hsl(${((l - 1) * 80 + (n - 1) * 40) % 360}, 70%, 50%)`}
+                            strokeWidth={1.5}
+                            strokeOpacity={0.3}
+                            dot={false}
+                            activeDot={false}
+                            legendType="none"
+                            isAnimationActive={false}
+                          />
+                        );
+                      })
+                  )}
+
                   {/* Individual Neuron Lines */}
                   {currentOutputs.map((layer, lIdx) =>
                     layer.map((_, nIdx) => {
                       const key = `L${lIdx + 1}_N${nIdx + 1}`;
-                      const label = `L${lIdx + 1}N${nIdx + 1} (${activations[lIdx]})`;
-                      if (hiddenLines.has(key)) return null;
+                      const isOutputSlope = activeLandscapeMode === "doutdx";
+                      const label = isOutputSlope
+                        ? `d(L${lIdx + 1}N${nIdx + 1})/dx`
+                        : `L${lIdx + 1}N${nIdx + 1} (${activations[lIdx]})`;
+                      if (!isLinePlotted(lIdx, nIdx)) return null;
+                      if (isOutputSlope && lIdx !== currentOutputs.length - 1) return null;
+                      const color = `hsl(${(lIdx * 80 + nIdx * 40) % 360}, 70%, 50%)`;
+                      const showBaseline = isAblating && lIdx === currentOutputs.length - 1;
+                      const showQuantized = quantization && lIdx === currentOutputs.length - 1;
 
                       return (
-                        <Line
-                          key={key}
-                          name={label}
-                          type="monotone"
-                          dataKey={key}
-                          stroke={`hsl(${(lIdx * 80 + nIdx * 40) % 360}, 70%, 50%)`}
-                          strokeWidth={3}
-                          dot={false}
-                        />
+                        <React.Fragment key={key}>
+                          <Line
+                            name={label}
+                            type="monotone"
+                            dataKey={key}
+                            stroke={color}
+                            strokeWidth={3}
+                            dot={false}
+                          />
+                          {showBaseline && (
+                            <Line
+                              name={`${label} baseline`}
+                              type="monotone"
+                              dataKey={`base_${key}`}
+                              stroke={color}
+                              strokeWidth={2}
+                              strokeDasharray="5 5"
+                              strokeOpacity={0.6}
+                              dot={false}
+                              isAnimationActive={false}
+                            />
+                          )}
+                          {showQuantized && (
+                            <Line
+                              name={`${label} ${PRECISIONS[precision].label}`}
+                              type="monotone"
+                              dataKey={`q_${key}`}
+                              stroke="#f472b6"
+                              strokeWidth={2}
+                              strokeDasharray="2 3"
+                              dot={false}
+                              isAnimationActive={false}
+                            />
+                          )}
+                        </React.Fragment>
                       );
                     })
                   )}
-                </LineChart>
+                </ComposedChart>
               </ResponsiveContainer>
+              )}
             </div>
           </div>
 
           {/* Graph Filters */}
           <div className="bg-slate-800 rounded-xl p-4 border border-slate-700 shadow h-fit">
              <h3 className="text-white font-semibold mb-4 flex items-center gap-2">
-               <Filter size={16} className="text-slate-400" /> Filter Lines
+               <Filter size={16} className="text-slate-400" /> {isSurface ? "Surface Neuron" : "Filter Lines"}
              </h3>
-             <p className="text-xs text-slate-400 mb-4">Click to hide/show specific neurons in the graph to reduce clutter.</p>
+             <p className="text-xs text-slate-400 mb-4">
+               {isSurface ? "Click a neuron to plot its activation surface." : "Click to hide/show specific neurons in the graph to reduce clutter."}
+             </p>
              <div className="space-y-4">
                {currentOutputs.map((layer, lIdx) => (
                  <div key={lIdx} className="space-y-2">
@@ -371,12 +2418,12 @@ const ActivationVisualizer = () => {
                    <div className="flex flex-wrap gap-2">
                      {layer.map((_, nIdx) => {
                        const key = `L${lIdx + 1}_N${nIdx + 1}`;
-                       const isHidden = hiddenLines.has(key);
+                       const isHidden = isSurface ? key !== activeSurfaceNeuron : hiddenLines.has(key);
                        const color = `hsl(${(lIdx * 80 + nIdx * 40) % 360}, 70%, 50%)`;
                        return (
                          <button
                            key={key}
-                           onClick={() => toggleLineVisibility(key)}
+                           onClick={() => (isSurface ? setSurfaceNeuron(key) : toggleLineVisibility(key))}
                            className={`px-3 py-1 rounded text-xs font-bold border transition-all ${
                              isHidden 
                                ? "bg-slate-900 text-slate-500 border-slate-700 opacity-50" 
@@ -385,13 +2432,14 @@ const ActivationVisualizer = () => {
                            style={{ borderColor: isHidden ? undefined : color }}
                          >
                             <span style={{ color: isHidden ? undefined : color }}>●</span> N{nIdx+1}
+                            {isNeuronDead(lIdx, nIdx) && <span className="ml-1 px-1 rounded bg-red-900/60 text-red-300 text-[10px] uppercase">dead</span>}
                          </button>
                        );
                      })}
                    </div>
                  </div>
                ))}
-               {currentOutputs.flat().length > 6 && (
+               {!isSurface && currentOutputs.flat().length > 6 && (
                  <button 
                    onClick={() => setHiddenLines(new Set())}
                    className="text-xs text-blue-400 hover:text-blue-300 mt-4 underline"
@@ -403,6 +2451,400 @@ const ActivationVisualizer = () => {
           </div>
         </div>
 
+        {/* Class Probabilities */}
+        {isClassifier && (
+          <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow">
+            <h2 className="text-lg font-semibold text-white mb-2 flex items-center gap-2">
+              <ChartArea size={18} className="text-cyan-400" /> Class Probabilities
+            </h2>
+            {isSurface ? (
+              <p className="text-sm text-slate-400">The stacked view plots P(class) over a single input x. With {inputs.length} inputs, see the probabilities for the current input in the Computation Trace.</p>
+            ) : (
+              <>
+                <p className="text-xs text-slate-400 mb-4">
+                  {activeOutputHead === "binary"
+                    ? "The sigmoid of the single output gives P(class 1); the rest of each column is P(class 0)."
+                    : `Softmax turns the ${outputCount} outputs into probabilities that always add up to 1, so the bands fill each column.`}{" "}
+                  The widest band at an x is the predicted class there.
+                </p>
+                <div className="h-64">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ComposedChart data={classProbabilityData}>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                      <XAxis dataKey="x" type="number" domain={[viewMin, viewMax]} allowDataOverflow tickFormatter={(x) => parseFloat(x.toFixed(3))} stroke="#94a3b8" />
+                      <YAxis stroke="#94a3b8" domain={[0, 1]} />
+                      <Tooltip
+                        contentStyle={{ backgroundColor: "#0f172a", border: "1px solid #334155", color: "#f1f5f9" }}
+                        itemStyle={{ fontSize: "12px" }}
+                        labelFormatter={(x) => `x = ${parseFloat(Number(x).toFixed(4))}`}
+                      />
+                      <Legend wrapperStyle={{ fontSize: "12px" }} />
+                      {Array.from({ length: numClasses }, (_, k) => (
+                        <Area
+                          key={k}
+                          name={`P(class ${k})`}
+                          type="monotone"
+                          dataKey={`P${k}`}
+                          stackId="classes"
+                          stroke={classColor(k)}
+                          fill={classColor(k)}
+                          fillOpacity={0.5}
+                          isAnimationActive={false}
+                        />
+                      ))}
+                      <ReferenceLine x={inputs[0]} stroke="#fbbf24" strokeWidth={2} strokeDasharray="4 4" />
+                    </ComposedChart>
+                  </ResponsiveContainer>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Pinned Snapshots */}
+        {snapshots.length > 0 && (
+          <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow">
+            <h2 className="text-lg font-semibold text-white mb-2 flex items-center gap-2">
+              <Pin size={18} className="text-indigo-400" /> Pinned Snapshots
+            </h2>
+            <p className="text-xs text-slate-400 mb-4">
+              Each snapshot keeps the weights, biases and architecture at the moment it was pinned, plus its landscape curves. Ghosts only show in the mode they were captured in.
+            </p>
+            <div className="space-y-2">
+              {snapshots.map((snapshot) => (
+                <div key={snapshot.id} className="flex flex-wrap items-center gap-3 bg-slate-900 border border-slate-700 rounded-lg px-4 py-2 text-sm">
+                  <span className="font-bold text-white">{snapshot.name}</span>
+                  <span className="text-xs text-slate-500 font-mono">
+                    [{snapshot.network.neuronsPerLayer.join("-")}] · {LANDSCAPE_MODES[snapshot.landscapeMode].label}
+                  </span>
+                  <div className="flex items-center gap-3 ml-auto text-xs">
+                    <label className="flex items-center gap-1.5 text-slate-400 cursor-pointer">
+                      <input type="checkbox" checked={snapshot.showGhost} onChange={() => toggleSnapshotGhost(snapshot.id)} className="accent-indigo-400" />
+                      Ghost
+                    </label>
+                    <button
+                      onClick={() => setDiffSnapshotId(diffSnapshotId === snapshot.id ? null : snapshot.id)}
+                      className={`px-2 py-1 rounded border transition-colors ${
+                        diffSnapshotId === snapshot.id ? "bg-indigo-600/20 border-indigo-500/60 text-indigo-300" : "border-slate-700 text-slate-400 hover:text-white"
+                      }`}
+                    >
+                      Diff
+                    </button>
+                    <button
+                      onClick={() => restoreSnapshot(snapshot)}
+                      className="flex items-center gap-1 px-2 py-1 rounded border border-slate-700 text-slate-400 hover:text-white"
+                    >
+                      <RotateCcw size={12} /> Restore
+                    </button>
+                    <button onClick={() => removeSnapshot(snapshot.id)} title={`Delete ${snapshot.name}`} className="text-slate-500 hover:text-red-400">
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            {diffSnapshot && (
+              <div className="mt-4">
+                <h3 className="text-sm font-bold text-indigo-400 uppercase tracking-wider mb-2">
+                  {diffSnapshot.name} → Current ({snapshotDiff.length} changed)
+                </h3>
+                {diffSnapshot.network.neuronsPerLayer.join("-") !== neuronsPerLayer.join("-") && (
+                  <p className="text-xs text-amber-400 mb-2">
+                    The architecture changed from [{diffSnapshot.network.neuronsPerLayer.join("-")}] to [{neuronsPerLayer.join("-")}]. Parameters that exist on one side only show "—".
+                  </p>
+                )}
+                {snapshotDiff.length === 0 ? (
+                  <p className="text-xs text-slate-500">No weight or bias has changed since this snapshot.</p>
+                ) : (
+                  <div className="max-h-72 overflow-y-auto">
+                    <table className="w-full text-sm border-collapse">
+                      <thead className="bg-slate-800 sticky top-0">
+                        <tr className="text-left text-slate-400 border-b border-slate-700">
+                          <th className="py-2 px-2">Parameter</th>
+                          <th className="py-2 px-2">Snapshot</th>
+                          <th className="py-2 px-2">Current</th>
+                          <th className="py-2 px-2">Change</th>
+                        </tr>
+                      </thead>
+                      <tbody className="font-mono text-slate-300">
+                        {snapshotDiff.map((change) => (
+                          <tr
+                            key={`${change.kind}-${change.layer}-${change.neuron}-${change.input ?? ""}`}
+                            className="border-b border-slate-700/50 hover:bg-slate-700/30"
+                          >
+                            <td className={`py-1.5 px-2 ${change.kind === "weight" ? "text-blue-400" : "text-amber-500"}`}>
+                              {parameterLabel(change.layer, change.neuron, change.kind === "weight" ? change.input : null)}
+                            </td>
+                            <td className="py-1.5 px-2">{change.before === null ? "—" : change.before.toFixed(4)}</td>
+                            <td className="py-1.5 px-2">{change.after === null ? "—" : change.after.toFixed(4)}</td>
+                            <td className={`py-1.5 px-2 ${change.delta > 0 ? "text-green-400" : change.delta < 0 ? "text-orange-400" : "text-slate-500"}`}>
+                              {change.delta === null ? "—" : `${change.delta > 0 ? "+" : ""}${change.delta.toFixed(4)}`}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Linear Regions */}
+        {!isSurface && (
+          <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow">
+            <h2 className="text-lg font-semibold text-white mb-2 flex items-center gap-2">
+              <Spline size={18} className="text-slate-400" /> Linear Regions
+            </h2>
+            {isRegionsPending ? (
+              <p className="text-sm text-slate-400">
+                This network is large enough that finding every linear piece takes a while, so it waits until asked; edits clear it.
+                <button
+                  onClick={() => setRegionsNetwork(network)}
+                  className="ml-2 text-xs text-rose-300 hover:text-white underline"
+                >
+                  Compute
+                </button>
+              </p>
+            ) : !regionAnalysis ? (
+              <p className="text-sm text-slate-400">
+                With only {PIECEWISE_LINEAR_ACTIVATIONS.join(", ")} activations the output is piecewise linear in x, and this panel lists every linear piece exactly.
+                {curvedActivations.length > 0
+                  ? `This network uses ${curvedActivations.join(", ")}, so its curve has no exact linear pieces.`
+                  : "This network uses LayerNorm, which divides by a σ that changes with x, so its curve has no exact linear pieces."}
+              </p>
+            ) : (
+              <>
+                <DescriptionCard title="Why piecewise linear?">
+                  <p>
+                    Each ReLU is linear on both sides of z = 0, so between two <strong>breakpoints</strong> the whole network is one straight line, y = slope · x + intercept.
+                    Every layer can split the pieces it receives, which is why depth and width multiply the number of regions.
+                  </p>
+                </DescriptionCard>
+                <div className="flex flex-wrap gap-2 my-4 text-xs font-mono">
+                  {regionAnalysis.regionsPerLayer.map((count, lIdx) => (
+                    <span key={lIdx} className="bg-slate-900 border border-slate-700 rounded px-3 py-1.5 text-slate-400">
+                      After Layer {lIdx + 1}: <span className="text-white font-bold">{count}</span> {count === 1 ? "region" : "regions"}
+                    </span>
+                  ))}
+                  <span className="bg-slate-900 border border-slate-700 rounded px-3 py-1.5 text-slate-400">
+                    Breakpoints: <span className="text-white font-bold">{regionAnalysis.breakpoints.length}</span>
+                  </span>
+                </div>
+                <div className="max-h-72 overflow-y-auto">
+                  <table className="w-full text-sm border-collapse">
+                    <thead className="bg-slate-800 sticky top-0">
+                      <tr className="text-left text-slate-400 border-b border-slate-700">
+                        <th className="py-2 px-2">Region</th>
+                        <th className="py-2 px-2">x Range</th>
+                        {Array.from({ length: outputCount }, (_, k) => (
+                          <th key={k} className="py-2 px-2">L{neuronsPerLayer.length}N{k + 1} = slope · x + intercept</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="font-mono text-slate-300">
+                      {regionAnalysis.regions.map((region, rIdx) => (
+                        <tr key={rIdx} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                          <td className="py-1.5 px-2 text-slate-500">{rIdx + 1}</td>
+                          <td className="py-1.5 px-2 text-cyan-400">[{region.x1.toFixed(3)}, {region.x2.toFixed(3)}]</td>
+                          {region.slopes.map((slope, k) => (
+                            <td key={k} className="py-1.5 px-2">
+                              <span className="text-blue-400">{slope.toFixed(3)}</span> · x {region.intercepts[k] < 0 ? "−" : "+"} <span className="text-amber-500">{Math.abs(region.intercepts[k]).toFixed(3)}</span>
+                            </td>
+                          ))}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        <LayerStatsPanel
+          stats={layerStats}
+          deadCount={deadCount}
+          activations={network.activations}
+          sampleCount={sweepInputs.length}
+          range={landscapeRange}
+          inputCount={inputs.length}
+          isNeuronAblated={isNeuronAblated}
+        />
+
+        <PrecisionPanel
+          precision={precision}
+          onPrecisionChange={setPrecision}
+          fixedPoint={fixedPoint}
+          onFixedPointChange={setFixedPoint}
+          quantizeActivations={quantizeActivations}
+          onQuantizeActivationsChange={setQuantizeActivations}
+          quantization={quantization}
+          sampleCount={sweepInputs.length}
+          range={landscapeRange}
+        />
+
+        {/* Training Panel */}
+        {showTrainer && (
+          <div className="bg-slate-800 rounded-xl border border-fuchsia-600/50 shadow-2xl overflow-hidden">
+            <div className="bg-slate-900/50 p-4 border-b border-slate-700 flex flex-col md:flex-row justify-between md:items-center gap-4">
+              <div>
+                <h3 className="text-lg font-bold text-fuchsia-400 flex items-center gap-2">
+                  <Dumbbell size={18}/> Training
+                </h3>
+                <p className="text-slate-400 text-xs">Fit an output neuron to a target curve with backpropagation and gradient descent.</p>
+              </div>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setIsTraining(!isTraining)}
+                  disabled={!target.fn}
+                  className={`flex items-center gap-2 text-xs px-3 py-2 rounded text-white transition-colors disabled:opacity-50 ${
+                    isTraining ? "bg-amber-600 hover:bg-amber-500" : "bg-fuchsia-600 hover:bg-fuchsia-500"
+                  }`}
+                >
+                  {isTraining ? <><Pause size={14}/> Pause</> : <><Play size={14}/> Play</>}
+                </button>
+                <button
+                  onClick={runEpoch}
+                  disabled={!target.fn || isTraining}
+                  className="flex items-center gap-2 text-xs bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-white transition-colors disabled:opacity-50"
+                >
+                  <StepForward size={14}/> Step
+                </button>
+                <button
+                  onClick={resetTraining}
+                  className="flex items-center gap-2 text-xs bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-white transition-colors"
+                >
+                  <RotateCcw size={14}/> Reset
+                </button>
+              </div>
+            </div>
+
+            <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <div className="space-y-4 text-sm">
+                <label className="block">
+                  <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Target Function</span>
+                  <select
+                    value={targetName}
+                    onChange={(e) => setTargetName(e.target.value)}
+                    className="mt-1 w-full text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                  >
+                    {Object.entries(targetFunctions).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                  </select>
+                </label>
+                {targetName === "custom" && (
+                  <label className="block">
+                    <span className="text-xs text-slate-500">y = f(x)</span>
+                    <input
+                      type="text"
+                      value={customTarget}
+                      onChange={(e) => setCustomTarget(e.target.value)}
+                      className={`mt-1 w-full font-mono text-xs bg-slate-900 text-slate-200 border rounded px-2 py-1 ${
+                        target.error ? "border-red-500" : "border-slate-700"
+                      }`}
+                    />
+                    {target.error && <span className="block mt-1 text-xs text-red-400">{target.error}</span>}
+                  </label>
+                )}
+                <div className="grid grid-cols-2 gap-3">
+                  <label className="block">
+                    <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Loss</span>
+                    <select
+                      value={lossName}
+                      onChange={(e) => setLossName(e.target.value)}
+                      className="mt-1 w-full text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                    >
+                      {Object.entries(lossFunctions).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Optimizer</span>
+                    <select
+                      value={optimizerName}
+                      onChange={(e) => setOptimizerName(e.target.value)}
+                      className="mt-1 w-full text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                    >
+                      {Object.entries(optimizers).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                    </select>
+                  </label>
+                  <label className="block">
+                    <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Learning Rate</span>
+                    <input
+                      type="number"
+                      min="0.0001"
+                      max="1"
+                      step="0.001"
+                      value={learningRate}
+                      onChange={(e) => {
+                        const val = parseFloat(e.target.value);
+                        if (Number.isFinite(val) && val > 0) setLearningRate(val);
+                      }}
+                      className="mt-1 w-full font-mono text-xs bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                    />
+                  </label>
+                  <label className="block">
+                    <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Fit Neuron</span>
+                    <select
+                      value={trainOutputIdx}
+                      onChange={(e) => setTrainOutput(parseInt(e.target.value))}
+                      className="mt-1 w-full text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                    >
+                      {Array.from({ length: outputCount }, (_, i) => (
+                        <option key={i} value={i}>L{neuronsPerLayer.length}N{i + 1}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <div className="flex justify-between bg-slate-900 rounded px-3 py-2 font-mono text-xs">
+                  <span className="text-slate-400">Epoch <span className="text-white">{lossHistory.length ? lossHistory[lossHistory.length - 1].epoch : 0}</span></span>
+                  <span className="text-slate-400">Loss <span className="text-fuchsia-300">{lossHistory.length ? lossHistory[lossHistory.length - 1].loss.toFixed(5) : "—"}</span></span>
+                </div>
+              </div>
+
+              <div className="lg:col-span-2 h-64">
+                <ResponsiveContainer width="100%" height="100%">
+                  <LineChart data={lossHistory}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                    <XAxis dataKey="epoch" stroke="#94a3b8" />
+                    <YAxis stroke="#94a3b8" />
+                    <Tooltip
+                      contentStyle={{ backgroundColor: "#0f172a", border: "1px solid #334155", color: "#f1f5f9" }}
+                      itemStyle={{ fontSize: "12px" }}
+                      labelStyle={{ color: "#94a3b8", marginBottom: "0.5rem" }}
+                      formatter={(val) => val.toFixed(5)}
+                    />
+                    <Line
+                      name={`${lossFunctions[lossName].label} Loss`}
+                      type="monotone"
+                      dataKey="loss"
+                      stroke="#e879f9"
+                      strokeWidth={2}
+                      dot={false}
+                      isAnimationActive={false}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {showDataset && (
+          <DatasetPanel
+            points={datasetPoints}
+            onPointsChange={setDatasetPoints}
+            fit={datasetFit}
+            isSurface={isSurface}
+            range={landscapeRange}
+            fitNeuron={trainOutputIdx}
+            onFitNeuronChange={setTrainOutput}
+            outputCount={outputCount}
+            outputLayer={neuronsPerLayer.length}
+          />
+        )}
+
         {/* SECTION 2: Manual Parameter Editor */}
         {showEditor && (
           <div className="bg-slate-800 rounded-xl border border-amber-600/50 shadow-2xl overflow-hidden animate-in fade-in slide-in-from-top-4 duration-300">
@@ -417,54 +2859,201 @@ const ActivationVisualizer = () => {
                   <RefreshCw size={14}/> Randomize All
                </button>
             </div>
+
+            <div className="px-6 pt-6 flex flex-wrap items-end gap-4 text-xs">
+               <label className="flex flex-col gap-1">
+                  <span className="font-bold text-slate-400 uppercase tracking-wider">Weight Init</span>
+                  <select
+                    value={weightInit}
+                    onChange={(e) => setWeightInit(e.target.value)}
+                    className="bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                  >
+                    {Object.entries(initializers).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                  </select>
+               </label>
+               {weightInit === "constant" && (
+                 <label className="flex flex-col gap-1">
+                    <span className="text-slate-500">Weight Value</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={weightConstant}
+                      onChange={(e) => {
+                        const val = parseFloat(e.target.value);
+                        if (Number.isFinite(val)) setWeightConstant(val);
+                      }}
+                      className="w-20 font-mono bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                    />
+                 </label>
+               )}
+               <label className="flex flex-col gap-1">
+                  <span className="font-bold text-slate-400 uppercase tracking-wider">Bias Init</span>
+                  <select
+                    value={biasInit}
+                    onChange={(e) => setBiasInit(e.target.value)}
+                    className="bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                  >
+                    {biasInitializerNames.map((name) => <option key={name} value={name}>{initializers[name].label}</option>)}
+                  </select>
+               </label>
+               {biasInit === "constant" && (
+                 <label className="flex flex-col gap-1">
+                    <span className="text-slate-500">Bias Value</span>
+                    <input
+                      type="number"
+                      step="0.1"
+                      value={biasConstant}
+                      onChange={(e) => {
+                        const val = parseFloat(e.target.value);
+                        if (Number.isFinite(val)) setBiasConstant(val);
+                      }}
+                      className="w-20 font-mono bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                    />
+                 </label>
+               )}
+               <label className="flex flex-col gap-1">
+                  <span className="font-bold text-slate-400 uppercase tracking-wider">Seed</span>
+                  <div className="flex gap-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={seed}
+                      onChange={(e) => {
+                        const val = parseInt(e.target.value);
+                        if (Number.isFinite(val) && val >= 0) setSeed(val);
+                      }}
+                      className="w-24 font-mono bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                    />
+                    <button onClick={rerollSeed} title="New random seed" className="bg-slate-700 hover:bg-slate-600 px-2 rounded text-white transition-colors">
+                      <Dices size={14}/>
+                    </button>
+                  </div>
+               </label>
+               <p className="text-slate-500 max-w-xs">
+                 Xavier scales by √(6 / (fan-in + fan-out)), He by √(6 / fan-in). The same seed and settings always produce the same network.
+               </p>
+            </div>
             
             <div className="p-6 grid grid-cols-1 gap-8">
               {weights.map((layerWeights, lIdx) => (
                 <div key={lIdx} className="bg-slate-900 p-6 rounded-lg border border-slate-700">
                   <h4 className="font-mono text-lg text-slate-300 mb-4 border-b border-slate-700 pb-2 flex justify-between">
                     <span>Layer {lIdx + 1} Parameters</span>
+                    {layerBadges[lIdx + 1] && <span className="text-sm text-indigo-300">{layerBadges[lIdx + 1]}</span>}
                   </h4>
                   
-                  <div className="overflow-x-auto">
-                    <table className="w-full text-sm border-separate border-spacing-y-4">
-                      <thead>
-                        <tr>
-                          <th className="text-left text-slate-500 p-2 w-24">Neuron</th>
-                          <th className="text-center text-amber-500 p-2 border-r border-slate-700 w-48">Bias (b)</th>
-                          {layerWeights[0].map((_, i) => (
-                            <th key={i} className="text-center text-blue-400 p-2 min-w-[180px]">
-                              Weight from {lIdx === 0 ? "Input" : `L${lIdx}N${i+1}`}
-                            </th>
-                          ))}
-                        </tr>
-                      </thead>
-                      <tbody>
-                        {layerWeights.map((neuronWeights, nIdx) => (
-                          <tr key={nIdx} className="bg-slate-800/40 hover:bg-slate-800/80 transition-colors">
-                            <td className="font-bold text-slate-300 p-3 rounded-l">L{lIdx+1} Neuron {nIdx + 1}</td>
-                            <td className="p-3 border-r border-slate-700 flex justify-center">
-                              <ParameterScroller 
-                                value={biases[lIdx][nIdx]} 
-                                onChange={(val) => updateBias(lIdx, nIdx, val)}
+                  {layerWeights.length * layerWeights[0].length > HEATMAP_THRESHOLD ? (
+                    <div className="flex flex-col lg:flex-row gap-6">
+                      <div className="overflow-x-auto">
+                        <WeightHeatmap
+                          weights={layerWeights}
+                          biases={biases[lIdx]}
+                          selected={activeHeatmapCell?.layer === lIdx ? activeHeatmapCell : null}
+                          onSelect={(cell) => setHeatmapCell({ layer: lIdx, ...cell })}
+                          describe={(neuron, input) => parameterLabel(lIdx, neuron, input)}
+                        />
+                        <p className="text-xs text-slate-500 mt-1">
+                          One row per neuron: the bias, then a column per input. <span className="text-blue-400">Blue</span> is positive, <span className="text-red-400">Red</span> is negative. Click a cell to edit it.
+                        </p>
+                      </div>
+                      <div className="min-w-[200px]">
+                        {activeHeatmapCell?.layer === lIdx ? (
+                          <>
+                            <div className={`text-xs font-mono font-bold mb-2 ${activeHeatmapCell.input === null ? "text-amber-500" : "text-blue-400"}`}>
+                              {parameterLabel(lIdx, activeHeatmapCell.neuron, activeHeatmapCell.input)}
+                            </div>
+                            {activeHeatmapCell.input === null ? (
+                              <ParameterScroller
+                                value={biases[lIdx][activeHeatmapCell.neuron]}
+                                onChange={(val) => updateBias(lIdx, activeHeatmapCell.neuron, val)}
+                                locked={isParamLocked(lIdx, activeHeatmapCell.neuron, null)}
                                 colorClass="text-amber-300"
                               />
-                            </td>
-                            {neuronWeights.map((w, wIdx) => (
-                              <td key={wIdx} className="p-3">
-                                <div className="flex justify-center">
-                                  <ParameterScroller 
-                                    value={w} 
-                                    onChange={(val) => updateWeight(lIdx, nIdx, wIdx, val)}
-                                    colorClass="text-blue-300"
-                                  />
-                                </div>
-                              </td>
+                            ) : (
+                              <ParameterScroller
+                                value={layerWeights[activeHeatmapCell.neuron][activeHeatmapCell.input]}
+                                onChange={(val) => updateWeight(lIdx, activeHeatmapCell.neuron, activeHeatmapCell.input, val)}
+                                locked={isParamLocked(lIdx, activeHeatmapCell.neuron, activeHeatmapCell.input)}
+                                colorClass="text-blue-300"
+                              />
+                            )}
+                          </>
+                        ) : (
+                          <p className="text-xs text-slate-500">Select a cell to edit it.</p>
+                        )}
+                      </div>
+                    </div>
+                  ) : (
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm border-separate border-spacing-y-4">
+                        <thead>
+                          <tr>
+                            <th className="text-left text-slate-500 p-2 w-24">Neuron</th>
+                            <th className="text-center text-amber-500 p-2 border-r border-slate-700 w-48">Bias (b)</th>
+                            {layerWeights[0].map((_, i) => (
+                              <th key={i} className="text-center text-blue-400 p-2 min-w-[180px]">
+                                Weight from {lIdx === 0 ? (inputs.length === 1 ? "Input" : `Input ${inputLabel(i)}`) : `L${lIdx}N${i+1}`}
+                              </th>
                             ))}
                           </tr>
-                        ))}
-                      </tbody>
-                    </table>
-                  </div>
+                        </thead>
+                        <tbody>
+                          {layerWeights.map((neuronWeights, nIdx) => (
+                            <tr key={nIdx} className="bg-slate-800/40 hover:bg-slate-800/80 transition-colors">
+                              <td className="font-bold text-slate-300 p-3 rounded-l">L{lIdx+1} Neuron {nIdx + 1}</td>
+                              <td className="p-3 border-r border-slate-700 flex justify-center">
+                                <ParameterScroller 
+                                  value={biases[lIdx][nIdx]} 
+                                  onChange={(val) => updateBias(lIdx, nIdx, val)}
+                                  locked={isParamLocked(lIdx, nIdx, null)}
+                                  colorClass="text-amber-300"
+                                />
+                              </td>
+                              {neuronWeights.map((w, wIdx) => (
+                                <td key={wIdx} className="p-3">
+                                  <div className="flex justify-center">
+                                    <ParameterScroller 
+                                      value={w} 
+                                      onChange={(val) => updateWeight(lIdx, nIdx, wIdx, val)}
+                                      locked={isParamLocked(lIdx, nIdx, wIdx)}
+                                      colorClass="text-blue-300"
+                                    />
+                                  </div>
+                                </td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  {/* LayerNorm Parameters */}
+                  {layerOptions[lIdx].norm && (
+                    <div className="mt-4 pt-4 border-t border-slate-700">
+                      <div className="text-xs text-slate-400 mb-2">
+                        <span className="font-bold text-yellow-400 uppercase tracking-wider">LayerNorm</span> ẑ = γ · (z − mean) / σ + β over this layer's z. Training leaves γ and β alone.
+                      </div>
+                      <div className="overflow-x-auto">
+                        <table className="text-sm border-separate border-spacing-x-2">
+                          <tbody>
+                            {[["gain", "Gain (γ)", "text-yellow-300"], ["bias", "Bias (β)", "text-amber-300"]].map(([kind, label, colorClass]) => (
+                              <tr key={kind}>
+                                <td className="text-xs font-bold text-slate-400 pr-2 whitespace-nowrap">{label}</td>
+                                {layerOptions[lIdx].norm[kind].map((v, nIdx) => (
+                                  <td key={nIdx} className="py-1">
+                                    <div className="text-[10px] text-slate-500 text-center">N{nIdx + 1}</div>
+                                    <ParameterScroller value={v} onChange={(val) => updateNormParam(lIdx, kind, nIdx, val)} colorClass={colorClass} />
+                                  </td>
+                                ))}
+                              </tr>
+                            ))}
+                          </tbody>
+                        </table>
+                      </div>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
@@ -474,7 +3063,50 @@ const ActivationVisualizer = () => {
         {/* SECTION 3: Visualizer Diagram */}
         <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow overflow-hidden relative">
           <div className="mb-4">
-             <h2 className="text-lg font-semibold text-white mb-2">Network Diagram</h2>
+             <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+               <h2 className="text-lg font-semibold text-white">Network Diagram</h2>
+               <div className="flex items-center gap-1 bg-slate-900 rounded-lg p-1 border border-slate-700 text-xs" role="group" aria-label="Forward pass playback">
+                 <button onClick={() => stepPlayback(-1)} aria-label="Step back" title="Back" className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-slate-700">
+                   <StepBack size={14} />
+                 </button>
+                 <button
+                   onClick={togglePlayback}
+                   aria-label={isPlaying ? "Pause forward pass" : "Play forward pass"}
+                   title={isPlaying ? "Pause" : "Play the forward pass"}
+                   className={`p-1.5 rounded ${isPlaying ? "bg-amber-500 text-slate-900" : "text-amber-400 hover:bg-slate-700"}`}
+                 >
+                   {isPlaying ? <Pause size={14} /> : <Play size={14} />}
+                 </button>
+                 <button onClick={() => stepPlayback(1)} aria-label="Step forward" title="Step" className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-slate-700">
+                   <StepForward size={14} />
+                 </button>
+                 <button
+                   onClick={stopPlayback}
+                   disabled={playbackStep === null}
+                   aria-label="Exit playback"
+                   title="Show the whole pass again"
+                   className="p-1.5 rounded text-slate-400 hover:text-white hover:bg-slate-700 disabled:opacity-30 disabled:hover:bg-transparent"
+                 >
+                   <Square size={12} />
+                 </button>
+                 <span className="font-mono text-slate-400 px-2 min-w-[4.5rem] text-center">
+                   {playbackStep === null ? "—" : `${Math.min(playbackStep, lastPlaybackStep) + 1} / ${playbackSteps.length}`}
+                 </span>
+                 <label className="flex items-center gap-2 text-slate-400 px-2 border-l border-slate-700">
+                   Speed
+                   <input
+                     type="range"
+                     min="0.5"
+                     max="8"
+                     step="0.5"
+                     value={playbackSpeed}
+                     onChange={(e) => setPlaybackSpeed(parseFloat(e.target.value))}
+                     className="w-20 h-1.5 bg-slate-700 rounded-lg appearance-none cursor-pointer accent-amber-400"
+                   />
+                   <span className="font-mono w-8">{playbackSpeed}/s</span>
+                 </label>
+               </div>
+             </div>
              <DescriptionCard title="Understanding the Diagram">
                 <p>
                   This illustrates the actual architecture.
@@ -483,101 +3115,299 @@ const ActivationVisualizer = () => {
                    <ul className="list-disc list-inside text-slate-400 space-y-1">
                       <li><strong>Circles (Neurons):</strong> Fill opacity represents activation strength. <span className="text-green-400">Green</span> is positive, <span className="text-orange-400">Orange</span> is negative.</li>
                       <li><strong>Lines (Weights):</strong> Thickness represents the weight's magnitude.</li>
+                      <li><strong>Editing:</strong> Hover a node or line for its values, click a neuron to edit its bias and weights, or drag a line up/down to change that weight.</li>
+                      <li><strong>Ablation:</strong> From a neuron's popover or the trace table, force a neuron's output to a constant or cut a connection. Ablated parts are drawn <span className="text-rose-400">dashed</span>.</li>
+                      {isCanvasDiagram && (
+                        <li><strong>Large network:</strong> Drawn on a canvas. Only the {MAX_DRAWN_EDGES} strongest edges per layer pair are drawn{culledEdgeCount > 0 ? ` (${culledEdgeCount} weaker ones form the grey bands)` : ""}. Hover or click nodes as usual, and edit weights in the parameter heatmap.</li>
+                      )}
+                      {(skipArcs.length > 0 || layerBadges.some(Boolean)) && (
+                        <li><strong>Layer options:</strong> <span className="text-emerald-400">Green arcs</span> are skip connections that add a layer's input to its output. "LN" marks a LayerNorm layer, and in dropout's training mode dropped neurons fade out.</li>
+                      )}
+                      {deadCount > 0 && (
+                        <li><strong>Dead neurons:</strong> A <span className="text-red-400">DEAD</span> label (a red dot on large networks) marks a ReLU that outputs 0 across the whole landscape range. See Layer Statistics.</li>
+                      )}
+                      {classification && (
+                        <li><strong>Output head:</strong> The output neurons are logits. {activeOutputHead === "binary" ? "A sigmoid" : "Softmax"} turns them into the class probabilities printed next to them, and ◀ marks the predicted class.</li>
+                      )}
+                      <li><strong>Playback:</strong> <span className="text-amber-400">Play</span> or <span className="text-amber-400">Step</span> through the forward pass one multiply-add at a time. The callout shows the running sum, then z and f(z).</li>
                    </ul>
                    <div className="text-xs text-slate-500 bg-slate-900 p-2 rounded">
                       <strong>Tip:</strong> Toggle the "Weights" view mode (top right) to see the fixed structure (Blue=Positive connection, Red=Negative connection) instead of the active signal flow.
+                      The "Gradients" view shows the backward pass instead: edge thickness is |dL/dw| and nodes show dL/dz (<span className="text-purple-400">Purple</span>=Positive, <span className="text-cyan-400">Cyan</span>=Negative).
                    </div>
                 </div>
              </DescriptionCard>
           </div>
           
           <div className="flex justify-center">
-            <svg width={svgWidth} height={svgHeight} className="overflow-visible">
-              <defs>
-                <marker id="arrow" markerWidth="6" markerHeight="6" refX="16" refY="3" orient="auto">
-                  <path d="M0,0 L0,6 L6,3 z" fill="#64748b" />
-                </marker>
-              </defs>
+            <div className="relative">
+              {canvasDiagram && (
+                <NetworkCanvas
+                  width={svgWidth}
+                  height={svgHeight}
+                  nodes={canvasDiagram.nodes}
+                  edgeGroups={canvasDiagram.edgeGroups}
+                  arcs={canvasDiagram.arcs}
+                  labels={canvasDiagram.labels}
+                  onHoverNode={(layer, neuron) => hoverDiagram(layer === null ? null : { type: "node", layer, neuron })}
+                  onClickNode={(layer, neuron) => {
+                    if (layer === 0) return;
+                    const isOpen = activeSelectedNeuron?.layer === layer - 1 && activeSelectedNeuron.neuron === neuron;
+                    setSelectedNeuron(isOpen ? null : { layer: layer - 1, neuron });
+                  }}
+                />
+              )}
+              {/* In canvas mode the SVG only overlays the tooltip and playback callout. */}
+              <svg
+                width={svgWidth}
+                height={svgHeight}
+                className={`overflow-visible touch-none ${isCanvasDiagram ? "absolute inset-0 pointer-events-none" : ""}`}
+                onPointerMove={dragWeight}
+                onPointerUp={endWeightDrag}
+                onPointerCancel={endWeightDrag}
+              >
+                <defs>
+                  <marker id="arrow" markerWidth="6" markerHeight="6" refX="16" refY="3" orient="auto">
+                    <path d="M0,0 L0,6 L6,3 z" fill="#64748b" />
+                  </marker>
+                </defs>
               
-              {/* Lines */}
-              {visualizationLayers.map((layer, lIdx) =>
-                layer.map((neuron, nIdx) => {
-                  const x = layerSpacing * (lIdx + 1);
-                  const y = svgHeight / 2 - ((layer.length - 1) * neuronSpacing) / 2 + nIdx * neuronSpacing;
-
-                  if (lIdx < visualizationLayers.length - 1) {
-                    return visualizationLayers[lIdx + 1].map((nextNeuron, nextIdx) => {
-                      const nx = layerSpacing * (lIdx + 2);
-                      const ny = svgHeight / 2 - ((visualizationLayers[lIdx + 1].length - 1) * neuronSpacing) / 2 + nextIdx * neuronSpacing;
-
-                      let strokeColor, strokeWidth, opacity;
-
-                      if (viewMode === "weights") {
-                        const wVal = weights[lIdx][nextIdx][nIdx];
-                        const intensity = Math.min(Math.abs(wVal), 1);
-                        strokeColor = wVal >= 0 ? `rgba(59, 130, 246, ${intensity})` : `rgba(239, 68, 68, ${intensity})`;
-                        strokeWidth = Math.max(1, Math.abs(wVal) * 3);
-                        opacity = 0.6;
-                      } else {
-                        const val = neuron.a;
-                        const styles = getNodeColor(val, 'activity');
-                        strokeColor = styles.stroke;
-                        strokeWidth = 2;
-                        opacity = styles.fill.split(',')[3].replace(')', ''); 
-                      }
+                {/* Lines */}
+                {!isCanvasDiagram && visualizationLayers.map((layer, lIdx) =>
+                  layer.map((neuron, nIdx) => {
+                    const { x, y } = nodePosition(lIdx, nIdx);
 
-                      return (
-                        <line
-                          key={`link-${lIdx}-${nIdx}-${nextIdx}`}
-                          x1={x} y1={y} x2={nx} y2={ny}
-                          stroke={strokeColor}
-                          strokeWidth={strokeWidth}
-                          strokeOpacity={opacity}
-                          strokeLinecap="round"
-                          style={{ transition: "stroke 0.2s" }}
-                        />
-                      );
-                    });
-                  }
-                  return null;
-                })
-              )}
+                    if (lIdx < visualizationLayers.length - 1) {
+                      return visualizationLayers[lIdx + 1].map((nextNeuron, nextIdx) => {
+                        const { x: nx, y: ny } = nodePosition(lIdx + 1, nextIdx);
 
-              {/* Nodes */}
-              {visualizationLayers.map((layer, lIdx) =>
-                layer.map((neuron, nIdx) => {
-                  const x = layerSpacing * (lIdx + 1);
-                  const y = svgHeight / 2 - ((layer.length - 1) * neuronSpacing) / 2 + nIdx * neuronSpacing;
-                  
-                  const styles = getNodeColor(neuron.a, viewMode);
+                        const { strokeColor, strokeWidth, opacity } = edgeStyle(lIdx, nIdx, nextIdx);
+                        const isHovered = hoverTarget?.type === "edge" && hoverTarget.layer === lIdx && hoverTarget.neuron === nextIdx && hoverTarget.term === nIdx;
+                        const isCut = isConnectionCut(lIdx, nextIdx, nIdx);
+
+                        return (
+                          <g key={`link-${lIdx}-${nIdx}-${nextIdx}`}>
+                            <line
+                              x1={x} y1={y} x2={nx} y2={ny}
+                              stroke={isHovered ? "#f8fafc" : strokeColor}
+                              strokeWidth={isHovered ? Math.max(strokeWidth, 3) : strokeWidth}
+                              strokeOpacity={isHovered ? 1 : isCut ? 0.35 : opacity}
+                              strokeDasharray={isCut ? "3 5" : undefined}
+                              strokeLinecap="round"
+                              style={{ transition: "stroke 0.2s" }}
+                            />
+                            {/* Wider invisible line so thin edges are easy to hover and drag */}
+                            <line
+                              x1={x} y1={y} x2={nx} y2={ny}
+                              stroke="transparent"
+                              strokeWidth={12}
+                              className="cursor-ns-resize"
+                              onPointerEnter={() => hoverDiagram({ type: "edge", layer: lIdx, neuron: nextIdx, term: nIdx })}
+                              onPointerLeave={() => hoverDiagram(null)}
+                              onPointerDown={(e) => startWeightDrag(e, lIdx, nextIdx, nIdx)}
+                            />
+                          </g>
+                        );
+                      });
+                    }
+                    return null;
+                  })
+                )}
+
+                {/* Skip Connections */}
+                {!isCanvasDiagram && skipArcs.map((arc) => (
+                  <path
+                    key={arc.key}
+                    d={`M${arc.x1},${arc.y1} Q${arc.cx},${arc.cy} ${arc.x2},${arc.y2}`}
+                    fill="none"
+                    stroke="#34d399"
+                    strokeWidth={1.5}
+                    strokeOpacity={0.7}
+                    pointerEvents="none"
+                  />
+                ))}
+
+                {/* Layer Badges */}
+                {!isCanvasDiagram && layerBadges.map((badge, lIdx) => !badge ? null : (
+                  <text key={`badge-${lIdx}`} x={nodePosition(lIdx, 0).x} y={nodePosition(lIdx, 0).y - 46} textAnchor="middle" fontSize="10" fill="#a5b4fc" fontWeight="bold">
+                    {badge}
+                  </text>
+                ))}
+
+                {/* Nodes */}
+                {!isCanvasDiagram && visualizationLayers.map((layer, lIdx) =>
+                  layer.map((neuron, nIdx) => {
+                    const { x, y } = nodePosition(lIdx, nIdx);
+                    const { nodeMode, nodeValue, stepState, isKnown, isAblatedNode, isDropped, isDead, ...styles } = nodeStyle(lIdx, nIdx);
                   
-                  let label = `L${lIdx}N${nIdx+1}`;
-                  if (neuron.isInput) {
-                    label = "Input";
-                  } else if (lIdx === visualizationLayers.length - 1) {
-                    label = "Output";
-                  }
+                    let label = `L${lIdx}N${nIdx+1}`;
+                    if (neuron.isInput) {
+                      label = inputs.length === 1 ? "Input" : `Input ${inputLabel(nIdx)}`;
+                    } else if (lIdx === visualizationLayers.length - 1) {
+                      label = classification ? (activeOutputHead === "binary" ? "P(class 1)" : `Class ${nIdx}`) : "Output";
+                    }
+                    // Output nodes of a classifier also show their class probability.
+                    const probability = classification && lIdx === visualizationLayers.length - 1
+                      ? classification.probabilities[activeOutputHead === "binary" ? 1 : nIdx]
+                      : null;
 
-                  return (
-                    <g key={`node-${lIdx}-${nIdx}`}>
-                      <circle
-                        cx={x} cy={y} r={neuronRadius}
-                        fill={styles.fill}
-                        stroke={styles.stroke}
-                        strokeWidth={2}
-                        className="transition-colors duration-300"
-                      />
-                      <text x={x} y={y} dy={4} textAnchor="middle" fontSize="10" fill="white" fontWeight="bold" pointerEvents="none" style={{textShadow: '0 1px 2px rgba(0,0,0,0.8)'}}>
-                        {neuron.a.toFixed(1)}
+                    return (
+                      <g key={`node-${lIdx}-${nIdx}`} opacity={isDropped ? 0.35 : 1}>
+                        <circle
+                          cx={x} cy={y} r={neuronRadius}
+                          fill={styles.fill}
+                          stroke={stepState === "current" ? "#fbbf24" : isAblatedNode ? "#fb7185" : styles.stroke}
+                          strokeWidth={stepState === "current" ? 3 : 2}
+                          strokeDasharray={isAblatedNode ? "4 3" : undefined}
+                          className={`transition-colors duration-300 ${neuron.isInput ? "" : "cursor-pointer"}`}
+                          onPointerEnter={() => hoverDiagram({ type: "node", layer: lIdx, neuron: nIdx })}
+                          onPointerLeave={() => hoverDiagram(null)}
+                          onClick={() => {
+                            if (neuron.isInput) return;
+                            const isOpen = activeSelectedNeuron?.layer === lIdx - 1 && activeSelectedNeuron.neuron === nIdx;
+                            setSelectedNeuron(isOpen ? null : { layer: lIdx - 1, neuron: nIdx });
+                          }}
+                        />
+                        <text x={x} y={y} dy={4} textAnchor="middle" fontSize="10" fill="white" fontWeight="bold" pointerEvents="none" style={{textShadow: '0 1px 2px rgba(0,0,0,0.8)'}}>
+                          {!isKnown ? "?" : nodeMode === "gradients" ? nodeValue.toFixed(2) : nodeValue.toFixed(1)}
+                        </text>
+                        <text x={x} y={y - 30} textAnchor="middle" fontSize="10" fill="#64748b" fontWeight="bold">
+                          {label}
+                        </text>
+                        {probability !== null && (
+                          <text
+                            x={x + neuronRadius + 6}
+                            y={y}
+                            dy={4}
+                            fontSize="11"
+                            fontWeight="bold"
+                            fill={classColor(activeOutputHead === "binary" ? 1 : nIdx)}
+                            pointerEvents="none"
+                          >
+                            {(probability * 100).toFixed(1)}%{classification.predicted === (activeOutputHead === "binary" ? 1 : nIdx) ? " ◀" : ""}
+                          </text>
+                        )}
+                        {isAblatedNode && (
+                          <text x={x} y={y + 38} textAnchor="middle" fontSize="9" fill="#fb7185" fontWeight="bold" pointerEvents="none">
+                            ABLATED
+                          </text>
+                        )}
+                        {isDead && !isAblatedNode && (
+                          <text x={x} y={y + 38} textAnchor="middle" fontSize="9" fill="#f87171" fontWeight="bold" pointerEvents="none">
+                            DEAD
+                          </text>
+                        )}
+                        {isDropped && !isAblatedNode && !isDead && (
+                          <text x={x} y={y + 38} textAnchor="middle" fontSize="9" fill="#a5b4fc" fontWeight="bold" pointerEvents="none">
+                            DROPPED
+                          </text>
+                        )}
+                      </g>
+                    );
+                  })
+                )}
+
+                {/* Playback Callout */}
+                {playbackCallout && (
+                  <g pointerEvents="none">
+                    <rect x={playbackCallout.x} y={playbackCallout.y} width={playbackCallout.width} height={playbackCallout.height} rx={6} fill="#0f172a" stroke="#fbbf24" strokeOpacity={0.7} />
+                    {playbackCallout.lines.map((line, i) => (
+                      <text key={i} x={playbackCallout.x + 10} y={playbackCallout.y + 20 + i * 16} fontSize="11" fontFamily="monospace" fill={line.fill} xmlSpace="preserve">
+                        {line.text}
                       </text>
-                      <text x={x} y={y - 30} textAnchor="middle" fontSize="10" fill="#64748b" fontWeight="bold">
-                        {label}
+                    ))}
+                  </g>
+                )}
+
+                {/* Hover Tooltip */}
+                {diagramTooltip && (
+                  <g pointerEvents="none">
+                    <rect x={diagramTooltip.x} y={diagramTooltip.y} width={diagramTooltip.width} height={diagramTooltip.height} rx={6} fill="#0f172a" stroke="#475569" />
+                    {diagramTooltip.lines.map((line, i) => (
+                      <text key={i} x={diagramTooltip.x + 10} y={diagramTooltip.y + 20 + i * 16} fontSize="11" fontFamily="monospace" fill={line.fill}>
+                        {line.text}
                       </text>
-                    </g>
-                  );
-                })
+                    ))}
+                  </g>
+                )}
+              </svg>
+
+              {/* Neuron Popover */}
+              {neuronPopover && (
+                <div
+                  role="dialog"
+                  aria-label={`Edit L${activeSelectedNeuron.layer + 1}N${activeSelectedNeuron.neuron + 1}`}
+                  className="absolute z-10 bg-slate-900 border border-slate-600 rounded-lg shadow-2xl p-3 space-y-2 overflow-y-auto"
+                  style={{ left: neuronPopover.left, top: neuronPopover.top, width: neuronPopover.width, maxHeight: neuronPopover.maxHeight }}
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="text-sm font-bold text-white">
+                      L{activeSelectedNeuron.layer + 1}N{activeSelectedNeuron.neuron + 1}
+                      <span className="ml-2 text-xs text-slate-500 uppercase tracking-wider">{activations[activeSelectedNeuron.layer]}</span>
+                    </span>
+                    <button onClick={() => setSelectedNeuron(null)} aria-label="Close neuron editor" className="text-slate-500 hover:text-white">
+                      <X size={14} />
+                    </button>
+                  </div>
+                  <div className="flex items-center gap-2 text-xs">
+                    <button
+                      onClick={() => toggleNeuronAblation(activeSelectedNeuron.layer, activeSelectedNeuron.neuron)}
+                      disabled={isNeuronLocked(activeSelectedNeuron.layer, activeSelectedNeuron.neuron)}
+                      className={`flex items-center gap-1 px-2 py-1 rounded border transition-colors disabled:opacity-40 ${
+                        isNeuronAblated(activeSelectedNeuron.layer, activeSelectedNeuron.neuron)
+                          ? "bg-rose-500/20 border-rose-500/60 text-rose-300"
+                          : "border-slate-700 text-slate-400 hover:text-white"
+                      }`}
+                    >
+                      <Ban size={12} /> {isNeuronAblated(activeSelectedNeuron.layer, activeSelectedNeuron.neuron) ? "Ablated, output =" : "Ablate"}
+                    </button>
+                    {isNeuronAblated(activeSelectedNeuron.layer, activeSelectedNeuron.neuron) && (
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={network.neuronValues[activeSelectedNeuron.layer][activeSelectedNeuron.neuron]}
+                        onChange={(e) => {
+                          const val = parseFloat(e.target.value);
+                          if (Number.isFinite(val)) updateAblationValue(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, val);
+                        }}
+                        className="w-16 bg-slate-800 border border-slate-700 rounded px-1 py-0.5 text-rose-200 font-mono"
+                      />
+                    )}
+                  </div>
+                  <div>
+                    <div className="text-[10px] font-bold text-amber-500 uppercase">Bias</div>
+                    <ParameterScroller
+                      value={biases[activeSelectedNeuron.layer][activeSelectedNeuron.neuron]}
+                      onChange={(val) => updateBias(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, val)}
+                      locked={isParamLocked(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, null)}
+                      colorClass="text-amber-300"
+                    />
+                  </div>
+                  {weights[activeSelectedNeuron.layer][activeSelectedNeuron.neuron].map((w, wIdx) => (
+                    <div key={wIdx}>
+                      <div className="flex justify-between items-center">
+                        <span className="text-[10px] font-bold text-blue-400 uppercase">w from {sourceLabel(activeSelectedNeuron.layer, wIdx)}</span>
+                        <button
+                          onClick={() => toggleConnection(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, wIdx)}
+                          disabled={isParamLocked(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, wIdx)}
+                          aria-label={`Cut connection from ${sourceLabel(activeSelectedNeuron.layer, wIdx)}`}
+                          title={isConnectionCut(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, wIdx) ? "Restore this connection" : "Cut this connection"}
+                          className={isConnectionCut(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, wIdx) ? "text-rose-400" : "text-slate-500 hover:text-white"}
+                        >
+                          <Scissors size={12} />
+                        </button>
+                      </div>
+                      <ParameterScroller
+                        value={w}
+                        onChange={(val) => updateWeight(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, wIdx, val)}
+                        locked={isParamLocked(activeSelectedNeuron.layer, activeSelectedNeuron.neuron, wIdx)}
+                        colorClass="text-blue-300"
+                      />
+                    </div>
+                  ))}
+                </div>
               )}
-            </svg>
+            </div>
           </div>
         </div>
 
@@ -600,33 +3430,268 @@ const ActivationVisualizer = () => {
                     <span className="text-slate-500 block text-[10px] ml-4 italic">(where 'f' is ReLU, Sigmoid, etc.)</span>
                   </li>
                 </ol>
+                {(traceShowsNorm || traceShowsDropout || traceShowsSkip) && (
+                  <p className="mt-3">
+                    With layer options the second step becomes <span className="text-green-400 font-mono">a = f(ẑ) · keep + skip</span>:
+                    LayerNorm rescales the layer's z to ẑ, dropout multiplies by 0 or 1 / (1 − rate) in training mode, and a skip connection adds the layer's input back.
+                  </p>
+                )}
+                <p className="mt-3">
+                  The <strong>backward pass</strong> runs the chain rule in reverse from the loss:
+                </p>
+                <ul className="list-disc list-inside mt-2 space-y-1 text-slate-400 font-mono text-xs md:text-sm">
+                  <li><span className="text-purple-400">dL/dz = dL/da · f'(z)</span></li>
+                  <li><span className="text-purple-400">dL/dw = dL/dz · (input)</span>, <span className="text-purple-400">dL/db = dL/dz</span></li>
+                  <li><span className="text-purple-400">dL/da (previous layer) = Σ w · dL/dz</span></li>
+                </ul>
              </DescriptionCard>
+             <div className="flex flex-wrap items-end gap-4 bg-slate-900 rounded-lg p-3 text-xs">
+                <span className="text-slate-400 font-bold uppercase tracking-wider self-center">Backward Pass</span>
+                {isClassifier ? (
+                  <>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-slate-500">True Class</span>
+                      <select
+                        value={trueClassIdx}
+                        onChange={(e) => setTrueClass(parseInt(e.target.value))}
+                        className="bg-slate-800 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                      >
+                        {Array.from({ length: numClasses }, (_, k) => <option key={k} value={k}>Class {k}</option>)}
+                      </select>
+                    </label>
+                    <span className="text-slate-500 self-center" title="L = -log P(true class)">Loss: cross-entropy</span>
+                  </>
+                ) : (
+                  <>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-slate-500">Output Neuron</span>
+                      <select
+                        value={trainOutputIdx}
+                        onChange={(e) => setTrainOutput(parseInt(e.target.value))}
+                        className="bg-slate-800 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                      >
+                        {Array.from({ length: outputCount }, (_, i) => (
+                          <option key={i} value={i}>L{neuronsPerLayer.length}N{i + 1}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-slate-500">Target (y)</span>
+                      <input
+                        type="number"
+                        step="0.1"
+                        value={gradTarget}
+                        onChange={(e) => {
+                          const val = parseFloat(e.target.value);
+                          if (Number.isFinite(val)) setGradTarget(val);
+                        }}
+                        className="w-24 font-mono bg-slate-800 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className="text-slate-500">Loss</span>
+                      <select
+                        value={lossName}
+                        onChange={(e) => setLossName(e.target.value)}
+                        className="bg-slate-800 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                      >
+                        {Object.entries(lossFunctions).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                      </select>
+                    </label>
+                  </>
+                )}
+                {isTraceByLayer && (
+                  <label className="flex flex-col gap-1">
+                    <span className="text-slate-500">Show Layer</span>
+                    <select
+                      value={activeTraceLayer}
+                      onChange={(e) => setTraceLayer(parseInt(e.target.value))}
+                      className="bg-slate-800 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                    >
+                      {neuronsPerLayer.map((count, l) => (
+                        <option key={l} value={l}>Layer {l + 1} ({count} neurons)</option>
+                      ))}
+                    </select>
+                  </label>
+                )}
+                <span className="font-mono text-slate-400 self-center">
+                  L = <span className="text-purple-300 font-bold">{backward.loss.toFixed(4)}</span>
+                  {backward.dInput.map((g, idx) => (
+                    <span key={idx} className="ml-3">dL/d{inputLabel(idx)} = <span className="text-purple-300">{g.toFixed(4)}</span></span>
+                  ))}
+                </span>
+             </div>
+             {classification && (
+               <div className="mt-4 bg-slate-900 rounded-lg p-3 text-xs">
+                 <div className="flex flex-wrap items-center gap-4 mb-2">
+                   <span className="text-slate-400 font-bold uppercase tracking-wider">{OUTPUT_HEADS[activeOutputHead].label} Head</span>
+                   <span className="text-slate-400">Predicted: <span className="text-cyan-300 font-bold">Class {classification.predicted}</span></span>
+                   <span className="text-slate-400">
+                     Cross-entropy for Class {trueClassIdx}: <span className="text-purple-300 font-bold font-mono">{classification.loss.toFixed(4)}</span>
+                   </span>
+                 </div>
+                 <table className="text-sm border-collapse font-mono">
+                   <thead>
+                     <tr className="text-left text-slate-500 border-b border-slate-700">
+                       <th className="py-1 pr-6">Class</th>
+                       <th className="py-1 pr-6">Logit</th>
+                       <th className="py-1 pr-6">Probability</th>
+                     </tr>
+                   </thead>
+                   <tbody className="text-slate-300">
+                     {classification.probabilities.map((p, k) => {
+                       // The binary head has one logit, for class 1.
+                       const logitIdx = activeOutputHead === "binary" ? (k === 1 ? 0 : null) : k;
+                       return (
+                         <tr key={k} className={`border-b border-slate-800 ${k === classification.predicted ? "bg-cyan-500/10" : ""}`}>
+                           <td className="py-1 pr-6">
+                             Class {k}
+                             {k === classification.predicted && <span className="ml-2 text-cyan-300">predicted</span>}
+                             {k === trueClassIdx && <span className="ml-2 text-purple-300">true</span>}
+                           </td>
+                           <td className="py-1 pr-6 text-yellow-500">
+                             {logitIdx === null ? "—" : `L${neuronsPerLayer.length}N${logitIdx + 1} = ${classification.logits[logitIdx].toFixed(3)}`}
+                           </td>
+                           <td className="py-1 pr-6">
+                             <div className="flex items-center gap-2">
+                               <div className="w-24 h-1.5 bg-slate-700 rounded overflow-hidden">
+                                 <div className="h-full" style={{ width: `${p * 100}%`, backgroundColor: classColor(k) }} />
+                               </div>
+                               {p.toFixed(3)}
+                             </div>
+                           </td>
+                         </tr>
+                       );
+                     })}
+                   </tbody>
+                 </table>
+               </div>
+             )}
           </div>
           <table className="w-full text-sm border-collapse">
             <thead className="bg-slate-800 shadow-sm">
               <tr className="text-left text-slate-400 border-b border-slate-700">
                 <th className="py-2 px-2">Neuron</th>
+                <th className="py-2 px-2">Ablate</th>
                 <th className="py-2 px-2">Activation Function</th>
                 <th className="py-2 px-2">Bias (b)</th>
                 <th className="py-2 px-2">Incoming Weights (w)</th>
                 <th className="py-2 px-2">Net Input (z)</th>
+                {traceShowsNorm && <th className="py-2 px-2" title="z after LayerNorm: γ · (z − mean) / σ + β">Normalized (ẑ)</th>}
+                {traceShowsDropout && <th className="py-2 px-2" title="0 when dropped, 1 / (1 − rate) when kept">Dropout ×</th>}
+                {traceShowsSkip && <th className="py-2 px-2" title="The layer's input, added back by the skip connection">+ Skip</th>}
                 <th className="py-2 px-2">Output (a)</th>
+                <th className="py-2 px-2" title="Mean change of the outputs when this neuron is forced to 0">
+                  Importance
+                  {!importance && (
+                    <button
+                      onClick={() => setImportanceNetwork(network)}
+                      title="Large networks compute importance on request; edits clear it"
+                      className="ml-2 text-xs font-normal text-rose-300 hover:text-white underline"
+                    >
+                      Compute
+                    </button>
+                  )}
+                </th>
+                <th className="py-2 px-2 text-purple-400">dL/da</th>
+                <th className="py-2 px-2 text-purple-400">dL/dz</th>
+                <th className="py-2 px-2 text-purple-400">dL/db</th>
+                <th className="py-2 px-2 text-purple-400">dL/dw</th>
               </tr>
             </thead>
             <tbody className="font-mono text-slate-300">
               {currentOutputs.map((layer, lIdx) =>
-                layer.map((neuron, nIdx) => (
-                  <tr key={`${lIdx}-${nIdx}`} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                isTraceByLayer && lIdx !== activeTraceLayer ? null : layer.map((neuron, nIdx) => {
+                  const stepState = playbackState(lIdx, nIdx);
+                  const rowClass = stepState === "current"
+                    ? "bg-amber-500/10 outline outline-1 outline-amber-500/60"
+                    : stepState === "pending" ? "opacity-40" : "hover:bg-slate-700/30";
+                  return (
+                  <tr key={`${lIdx}-${nIdx}`} className={`border-b border-slate-700/50 ${rowClass}`}>
                     <td className="py-2 px-2 text-slate-400">Layer {lIdx + 1} - Neuron {nIdx + 1}</td>
+                    <td className="py-2 px-2">
+                      <div className="flex items-center gap-1">
+                        <button
+                          onClick={() => toggleNeuronAblation(lIdx, nIdx)}
+                          disabled={isNeuronLocked(lIdx, nIdx)}
+                          aria-label={`Ablate L${lIdx + 1}N${nIdx + 1}`}
+                          aria-pressed={isNeuronAblated(lIdx, nIdx)}
+                          className={`p-1 rounded border transition-colors disabled:opacity-40 ${
+                            isNeuronAblated(lIdx, nIdx) ? "bg-rose-500/20 border-rose-500/60 text-rose-300" : "border-slate-700 text-slate-500 hover:text-white"
+                          }`}
+                        >
+                          <Ban size={12} />
+                        </button>
+                        {isNeuronAblated(lIdx, nIdx) && (
+                          <input
+                            type="number"
+                            step="0.1"
+                            value={network.neuronValues[lIdx][nIdx]}
+                            onChange={(e) => {
+                              const val = parseFloat(e.target.value);
+                              if (Number.isFinite(val)) updateAblationValue(lIdx, nIdx, val);
+                            }}
+                            title="Forced output"
+                            className="w-14 bg-slate-900 border border-slate-700 rounded px-1 py-0.5 text-xs text-rose-200"
+                          />
+                        )}
+                      </div>
+                    </td>
                     <td className="py-2 px-2 text-slate-400 uppercase tracking-wider">{activations[lIdx]}</td>
                     <td className="py-2 px-2 text-amber-500">{biases[lIdx][nIdx].toFixed(2)}</td>
                     <td className="py-2 px-2 text-blue-400 text-xs">
-                      [{weights[lIdx][nIdx].map(w => w.toFixed(2)).join(", ")}]
+                      [{weights[lIdx][nIdx].map((w, j) => {
+                        const isCurrentTerm = stepState === "current" && playback.phase === "term" && playback.term === j;
+                        const isCut = isConnectionCut(lIdx, nIdx, j);
+                        return (
+                          <React.Fragment key={j}>
+                            {j > 0 && ", "}
+                            <button
+                              onClick={() => toggleConnection(lIdx, nIdx, j)}
+                              disabled={isParamLocked(lIdx, nIdx, j)}
+                              title={isCut ? "Restore this connection" : "Cut this connection"}
+                              className={`hover:underline ${isCut ? "line-through text-slate-500" : isCurrentTerm ? "text-amber-300 font-bold" : ""}`}
+                            >
+                              {w.toFixed(2)}
+                            </button>
+                          </React.Fragment>
+                        );
+                      })}]
                     </td>
                     <td className="py-2 px-2 text-yellow-500">{neuron.z.toFixed(3)}</td>
+                    {traceShowsNorm && (
+                      <td className="py-2 px-2 text-yellow-300">{network.norms[lIdx] ? neuron.zHat.toFixed(3) : <span className="text-slate-600">—</span>}</td>
+                    )}
+                    {traceShowsDropout && (
+                      <td className={`py-2 px-2 ${neuron.keep === 0 ? "text-slate-500" : "text-indigo-300"}`}>
+                        {network.dropoutScales[lIdx] ? neuron.keep.toFixed(2) : <span className="text-slate-600">—</span>}
+                      </td>
+                    )}
+                    {traceShowsSkip && (
+                      <td className="py-2 px-2 text-emerald-300">{network.residual[lIdx] ? neuron.skip.toFixed(3) : <span className="text-slate-600">—</span>}</td>
+                    )}
                     <td className={`py-2 px-2 font-bold ${neuron.a >= 0 ? 'text-green-400' : 'text-orange-400'}`}>{neuron.a.toFixed(3)}</td>
+                    <td className="py-2 px-2">
+                      {importance ? (
+                        <div className="flex items-center gap-2">
+                          <div className="w-12 h-1.5 bg-slate-700 rounded overflow-hidden">
+                            <div className="h-full bg-rose-400" style={{ width: `${(importance[lIdx][nIdx] / maxImportance) * 100}%` }} />
+                          </div>
+                          <span className="text-rose-300 text-xs">{importance[lIdx][nIdx].toFixed(3)}</span>
+                        </div>
+                      ) : (
+                        <span className="text-slate-600">—</span>
+                      )}
+                    </td>
+                    <td className="py-2 px-2 text-purple-300">{backward.deltas[lIdx][nIdx].dA.toFixed(3)}</td>
+                    <td className="py-2 px-2 text-purple-300">{backward.deltas[lIdx][nIdx].dZ.toFixed(3)}</td>
+                    <td className="py-2 px-2 text-purple-300">{backward.db[lIdx][nIdx].toFixed(3)}</td>
+                    <td className="py-2 px-2 text-purple-300 text-xs">
+                      [{backward.dW[lIdx][nIdx].map(g => g.toFixed(3)).join(", ")}]
+                    </td>
                   </tr>
-                ))
+                  );
+                })
               )}
             </tbody>
           </table>
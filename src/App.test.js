@@ -3,6 +3,6 @@ import App from './App';
 
 test('renders visualizer title', () => {
   render(<App />);
-  const titleElement = screen.getByText(/DNN Forward Pass Visualizer/i);
+  const titleElement = screen.getByText(/DNN Laboratory/i);
   expect(titleElement).toBeInTheDocument();
-});
\ No newline at end of file
+});
@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { Check, Copy, Download, FileCode, X } from "lucide-react";
+import { CODE_TARGETS, generateCode } from "./codeExport";
+
+// Modal with the current network as PyTorch, NumPy or TensorFlow.js code.
+// `network` is the serialized network (see networkFile.js); `note` is an optional caveat line.
+const CodeExportDialog = ({ network, note, onClose }) => {
+  const [target, setTarget] = useState(CODE_TARGETS[0].id);
+  const [copied, setCopied] = useState(false);
+  const { filename } = CODE_TARGETS.find(({ id }) => id === target);
+  const code = useMemo(() => generateCode(network, target), [network, target]);
+
+  useEffect(() => {
+    const onKeyDown = (e) => e.key === "Escape" && onClose();
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [onClose]);
+
+  useEffect(() => {
+    if (!copied) return;
+    const id = setTimeout(() => setCopied(false), 2000);
+    return () => clearTimeout(id);
+  }, [copied]);
+
+  const copyCode = () => {
+    navigator.clipboard?.writeText(code).then(() => setCopied(true), () => setCopied(false));
+  };
+
+  const downloadCode = () => {
+    const blob = new Blob([code], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 flex items-center justify-center p-4" onClick={onClose}>
+      <div
+        role="dialog"
+        aria-label="Export code"
+        className="bg-slate-800 rounded-xl border border-slate-600 shadow-2xl w-full max-w-4xl max-h-[85vh] flex flex-col"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center gap-3 px-6 py-4 border-b border-slate-700">
+          <FileCode size={18} className="text-sky-400" />
+          <h3 className="text-sm font-bold text-sky-400 uppercase tracking-wider flex-1">Export Code</h3>
+          <button onClick={onClose} aria-label="Close" className="text-slate-400 hover:text-white">
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2 px-6 py-3">
+          {CODE_TARGETS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setTarget(id)}
+              className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+                target === id ? "bg-sky-600 text-white" : "bg-slate-900 border border-slate-600 hover:bg-slate-700"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+          <div className="flex-1" />
+          <button
+            onClick={copyCode}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors bg-slate-900 border border-slate-600 hover:bg-slate-700"
+          >
+            {copied ? <Check size={14} className="text-green-400" /> : <Copy size={14} />} {copied ? "Copied" : "Copy"}
+          </button>
+          <button
+            onClick={downloadCode}
+            className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-sm font-medium transition-colors bg-slate-900 border border-slate-600 hover:bg-slate-700"
+          >
+            <Download size={14} /> {filename}
+          </button>
+        </div>
+
+        {note && <p className="px-6 pb-2 text-xs text-amber-300">{note}</p>}
+
+        <pre className="mx-6 mb-6 flex-1 overflow-auto bg-slate-950 border border-slate-700 rounded-lg p-4 text-xs font-mono text-slate-200">
+          {code}
+        </pre>
+      </div>
+    </div>
+  );
+};
+
+export default CodeExportDialog;
@@ -0,0 +1,244 @@
+import React, { useRef, useState } from "react";
+import { ScatterChart, Scatter, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, ReferenceLine } from "recharts";
+import { AlertTriangle, Database, Shuffle, Trash2, Upload } from "lucide-react";
+import { compileExpression } from "./expression";
+import { targetFunctions } from "./training";
+import { randomSeed } from "./initializers";
+import { generateDataset, parseDataset } from "./dataset";
+
+const toCsv = (points) => ["x,y", ...points.map(({ x, y }) => `${x},${y}`)].join("\n");
+
+// Loads, pastes or generates (x, y) samples and shows how well the output neuron fits them.
+// `points` live in the parent so the chart can overlay them; `fit` is datasetErrors() for them, or null.
+const DatasetPanel = ({ points, onPointsChange, fit, isSurface, range, fitNeuron, onFitNeuronChange, outputCount, outputLayer }) => {
+  const [text, setText] = useState(() => (points.length ? toCsv(points) : ""));
+  const [error, setError] = useState(null);
+  const [fn, setFn] = useState("sin");
+  const [expression, setExpression] = useState("x / 2");
+  const [count, setCount] = useState(40);
+  const [noise, setNoise] = useState(0.1);
+  const fileRef = useRef(null);
+
+  const load = (source) => {
+    try {
+      onPointsChange(parseDataset(source));
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const upload = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      setText(reader.result);
+      load(reader.result);
+    };
+    reader.readAsText(file);
+  };
+
+  // Fresh noise on every click; the points are also written to the text box so they can be copied.
+  const generate = () => {
+    let target = targetFunctions[fn].fn;
+    if (fn === "custom") {
+      try {
+        const compiled = compileExpression(expression, ["x"]);
+        target = (x) => compiled({ x });
+      } catch (err) {
+        setError(err.message);
+        return;
+      }
+    }
+    const generated = generateDataset(target, { count, noise, min: range.min, max: range.max, seed: randomSeed() });
+    onPointsChange(generated);
+    setText(toCsv(generated));
+    setError(null);
+  };
+
+  const clear = () => {
+    onPointsChange([]);
+    setText("");
+    setError(null);
+  };
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-teal-600/50 shadow-2xl overflow-hidden">
+      <div className="bg-slate-900/50 p-4 border-b border-slate-700 flex flex-col md:flex-row justify-between md:items-center gap-4">
+        <div>
+          <h3 className="text-lg font-bold text-teal-400 flex items-center gap-2">
+            <Database size={18}/> Dataset
+          </h3>
+          <p className="text-slate-400 text-xs">Score the network against (x, y) samples. The metrics update live as you tune parameters.</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => fileRef.current.click()}
+            className="flex items-center gap-2 text-xs bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-white transition-colors"
+          >
+            <Upload size={14}/> Upload CSV/JSON
+          </button>
+          <button
+            onClick={clear}
+            disabled={!points.length && !text}
+            className="flex items-center gap-2 text-xs bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-white transition-colors disabled:opacity-50"
+          >
+            <Trash2 size={14}/> Clear
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept=".csv,.tsv,.txt,.json,text/csv,application/json"
+            className="hidden"
+            onChange={(e) => {
+              upload(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </div>
+      </div>
+
+      <div className="p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="space-y-4 text-sm">
+          <label className="block">
+            <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Paste Data</span>
+            <textarea
+              value={text}
+              onChange={(e) => setText(e.target.value)}
+              rows={6}
+              placeholder={"x,y\n-1,0.2\n0,0.9\n1,0.4"}
+              className="mt-1 w-full font-mono text-xs bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+            />
+          </label>
+          <button
+            onClick={() => load(text)}
+            className="w-full text-xs bg-teal-600 hover:bg-teal-500 px-3 py-2 rounded text-white font-bold transition-colors"
+          >
+            Load Pasted Data
+          </button>
+          {error && (
+            <p className="text-xs text-red-400 flex items-start gap-1"><AlertTriangle size={14} className="shrink-0" /> {error}</p>
+          )}
+
+          <div className="border-t border-slate-700 pt-4 space-y-3">
+            <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Generate Noisy Samples</span>
+            <div className="grid grid-cols-3 gap-3">
+              <label className="block">
+                <span className="text-xs text-slate-500">Function</span>
+                <select
+                  value={fn}
+                  onChange={(e) => setFn(e.target.value)}
+                  className="mt-1 w-full text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                >
+                  {Object.entries(targetFunctions).map(([name, { label }]) => <option key={name} value={name}>{label}</option>)}
+                </select>
+              </label>
+              <label className="block">
+                <span className="text-xs text-slate-500">Points</span>
+                <input
+                  type="number"
+                  min="1"
+                  max="500"
+                  step="1"
+                  value={count}
+                  onChange={(e) => {
+                    const val = parseInt(e.target.value);
+                    if (Number.isInteger(val) && val >= 1 && val <= 500) setCount(val);
+                  }}
+                  className="mt-1 w-full font-mono text-xs bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                />
+              </label>
+              <label className="block">
+                <span className="text-xs text-slate-500">Noise σ</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.05"
+                  value={noise}
+                  onChange={(e) => {
+                    const val = parseFloat(e.target.value);
+                    if (Number.isFinite(val) && val >= 0) setNoise(val);
+                  }}
+                  className="mt-1 w-full font-mono text-xs bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                />
+              </label>
+            </div>
+            {fn === "custom" && (
+              <label className="block">
+                <span className="text-xs text-slate-500">y = f(x)</span>
+                <input
+                  type="text"
+                  value={expression}
+                  onChange={(e) => setExpression(e.target.value)}
+                  className="mt-1 w-full font-mono text-xs bg-slate-900 text-slate-200 border border-slate-700 rounded px-2 py-1"
+                />
+              </label>
+            )}
+            <button
+              onClick={generate}
+              className="w-full flex items-center justify-center gap-2 text-xs bg-slate-700 hover:bg-slate-600 px-3 py-2 rounded text-white transition-colors"
+            >
+              <Shuffle size={14}/> Generate over {range.min} to {range.max}
+            </button>
+          </div>
+        </div>
+
+        <div className="lg:col-span-2 space-y-4">
+          {isSurface ? (
+            <p className="text-sm text-slate-400 bg-slate-900 rounded p-4">
+              A dataset holds (x, y) pairs, so scoring needs a network with a single input.
+            </p>
+          ) : !fit ? (
+            <p className="text-sm text-slate-400 bg-slate-900 rounded p-4">
+              Load or generate some points to see how well the output neuron fits them.
+            </p>
+          ) : (
+            <>
+              <div className="flex flex-wrap items-end gap-3">
+                {[["Points", points.length], ["MSE", fit.mse.toFixed(4)], ["MAE", fit.mae.toFixed(4)], ["Max Error", fit.maxError.toFixed(4)]].map(([label, value]) => (
+                  <div key={label} className="bg-slate-900 rounded px-3 py-2 font-mono text-xs">
+                    <div className="text-slate-500">{label}</div>
+                    <div className="text-teal-300 text-base font-bold">{value}</div>
+                  </div>
+                ))}
+                <label className="block text-xs">
+                  <span className="font-bold text-slate-400 uppercase tracking-wider">Fit Neuron</span>
+                  <select
+                    value={fitNeuron}
+                    onChange={(e) => onFitNeuronChange(parseInt(e.target.value))}
+                    className="mt-1 block text-xs bg-slate-900 text-slate-300 border border-slate-700 rounded px-2 py-1"
+                  >
+                    {Array.from({ length: outputCount }, (_, i) => (
+                      <option key={i} value={i}>L{outputLayer}N{i + 1}</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div>
+                <span className="text-xs font-bold text-slate-400 uppercase tracking-wider">Residuals (y − prediction)</span>
+                <div className="h-48 mt-1">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <ScatterChart>
+                      <CartesianGrid strokeDasharray="3 3" stroke="#334155" />
+                      <XAxis dataKey="x" type="number" domain={["dataMin", "dataMax"]} stroke="#94a3b8" />
+                      <YAxis dataKey="residual" type="number" stroke="#94a3b8" />
+                      <Tooltip
+                        contentStyle={{ backgroundColor: "#0f172a", border: "1px solid #334155", color: "#f1f5f9" }}
+                        itemStyle={{ fontSize: "12px" }}
+                        formatter={(val) => val.toFixed(4)}
+                      />
+                      <ReferenceLine y={0} stroke="#64748b" />
+                      <Scatter name="Residual" data={fit.residuals} fill="#2dd4bf" isAnimationActive={false} />
+                    </ScatterChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DatasetPanel;
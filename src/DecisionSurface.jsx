@@ -0,0 +1,88 @@
+import React, { useMemo } from "react";
+import { finiteExtent } from "./sampling";
+
+const PADDING = { top: 10, right: 10, bottom: 40, left: 50 };
+
+// Same diverging palette as the diagram nodes: green for positive, orange for negative.
+const cellColor = (val, scale) => {
+  const intensity = Math.min(Math.abs(val) / scale, 1);
+  return val >= 0 ? `rgba(34, 197, 94, ${intensity})` : `rgba(249, 115, 22, ${intensity})`;
+};
+
+// Heatmap of one neuron's activation over the (x1, x2) plane.
+// `grid` is a row-major list of rows, grid[j][i] = value at (xs[i], ys[j]).
+const DecisionSurface = ({ grid, xs, ys, current, width = 640, height = 400, xLabel = "x1", yLabel = "x2" }) => {
+  const plotWidth = width - PADDING.left - PADDING.right;
+  const plotHeight = height - PADDING.top - PADDING.bottom;
+  const cellWidth = plotWidth / xs.length;
+  const cellHeight = plotHeight / ys.length;
+
+  const xMin = xs[0];
+  const xMax = xs[xs.length - 1];
+  const yMin = ys[0];
+  const yMax = ys[ys.length - 1];
+  const toPx = (x) => PADDING.left + ((x - xMin) / (xMax - xMin)) * (plotWidth - cellWidth) + cellWidth / 2;
+  const toPy = (y) => PADDING.top + (1 - (y - yMin) / (yMax - yMin)) * (plotHeight - cellHeight) + cellHeight / 2;
+
+  const { min, max, scale } = useMemo(() => {
+    const { min: lo, max: hi } = finiteExtent(grid.flat()) ?? { min: 0, max: 0 };
+    return { min: lo, max: hi, scale: Math.max(Math.abs(lo), Math.abs(hi), 1e-9) };
+  }, [grid]);
+
+  const ticks = [xMin, (xMin + xMax) / 2, xMax];
+
+  return (
+    <div className="w-full h-full flex flex-col items-center">
+      <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-full" preserveAspectRatio="xMidYMid meet">
+        <rect x={PADDING.left} y={PADDING.top} width={plotWidth} height={plotHeight} fill="#0f172a" />
+        {grid.map((row, j) =>
+          row.map((val, i) => (
+            <rect
+              key={`${i}-${j}`}
+              x={PADDING.left + i * cellWidth}
+              y={PADDING.top + (ys.length - 1 - j) * cellHeight}
+              width={cellWidth + 0.5}
+              height={cellHeight + 0.5}
+              fill={Number.isFinite(val) ? cellColor(val, scale) : "#000"}
+            >
+              <title>{`${xLabel}=${xs[i].toFixed(2)}, ${yLabel}=${ys[j].toFixed(2)}: ${Number.isFinite(val) ? val.toFixed(4) : "NaN"}`}</title>
+            </rect>
+          ))
+        )}
+
+        {ticks.map((t) => (
+          <g key={`xt-${t}`}>
+            <line x1={toPx(t)} x2={toPx(t)} y1={PADDING.top + plotHeight} y2={PADDING.top + plotHeight + 5} stroke="#94a3b8" />
+            <text x={toPx(t)} y={PADDING.top + plotHeight + 18} textAnchor="middle" fontSize="11" fill="#94a3b8">{t}</text>
+          </g>
+        ))}
+        {ticks.map((t) => (
+          <g key={`yt-${t}`}>
+            <line x1={PADDING.left - 5} x2={PADDING.left} y1={toPy(t)} y2={toPy(t)} stroke="#94a3b8" />
+            <text x={PADDING.left - 8} y={toPy(t)} dy={4} textAnchor="end" fontSize="11" fill="#94a3b8">{t}</text>
+          </g>
+        ))}
+        <text x={PADDING.left + plotWidth / 2} y={height - 4} textAnchor="middle" fontSize="12" fill="#cbd5e1">{xLabel}</text>
+        <text x={14} y={PADDING.top + plotHeight / 2} textAnchor="middle" fontSize="12" fill="#cbd5e1" transform={`rotate(-90 14 ${PADDING.top + plotHeight / 2})`}>{yLabel}</text>
+
+        {current && (
+          <g pointerEvents="none">
+            <line x1={toPx(current[0])} x2={toPx(current[0])} y1={PADDING.top} y2={PADDING.top + plotHeight} stroke="#fbbf24" strokeDasharray="4 4" />
+            <line x1={PADDING.left} x2={PADDING.left + plotWidth} y1={toPy(current[1])} y2={toPy(current[1])} stroke="#fbbf24" strokeDasharray="4 4" />
+            <circle cx={toPx(current[0])} cy={toPy(current[1])} r={5} fill="#fbbf24" stroke="#0f172a" strokeWidth={2} />
+          </g>
+        )}
+      </svg>
+      <div className="flex items-center gap-2 text-xs font-mono text-slate-400 mt-1">
+        <span>{Number.isFinite(min) ? min.toFixed(2) : "—"}</span>
+        <div
+          className="w-40 h-2 rounded"
+          style={{ background: `linear-gradient(to right, rgba(249, 115, 22, ${Math.min(Math.abs(min) / scale, 1)}), rgba(15, 23, 42, 1), rgba(34, 197, 94, ${Math.min(Math.abs(max) / scale, 1)}))` }}
+        />
+        <span>{Number.isFinite(max) ? max.toFixed(2) : "—"}</span>
+      </div>
+    </div>
+  );
+};
+
+export default DecisionSurface;
@@ -0,0 +1,28 @@
+import React from "react";
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+
+// Small bar chart of histogram() bins ({ x0, x1, count }; see layerStats.js) under a title.
+const Histogram = ({ title, bins, color }) => {
+  const data = bins.map(({ x0, x1, count }) => ({ mid: (x0 + x1) / 2, range: `${x0.toFixed(3)} to ${x1.toFixed(3)}`, count }));
+  return (
+    <div className="bg-slate-900 rounded-lg border border-slate-700 p-3">
+      <div className="text-xs font-bold text-slate-400 uppercase tracking-wider mb-2">{title}</div>
+      <div className="h-32">
+        <ResponsiveContainer width="100%" height="100%">
+          <BarChart data={data} barCategoryGap={1}>
+            <XAxis dataKey="mid" tickFormatter={(x) => parseFloat(x.toFixed(2))} stroke="#94a3b8" fontSize={10} />
+            <YAxis allowDecimals={false} stroke="#94a3b8" fontSize={10} width={36} />
+            <Tooltip
+              contentStyle={{ backgroundColor: "#0f172a", border: "1px solid #334155", color: "#f1f5f9" }}
+              labelFormatter={(_, payload) => payload?.[0]?.payload.range}
+              formatter={(count) => [count, "count"]}
+            />
+            <Bar dataKey="count" fill={color} isAnimationActive={false} />
+          </BarChart>
+        </ResponsiveContainer>
+      </div>
+    </div>
+  );
+};
+
+export default Histogram;
@@ -0,0 +1,75 @@
+import React, { useState } from "react";
+import { ChartColumn } from "lucide-react";
+import { SATURATION_THRESHOLD } from "./networkEngine";
+import Histogram from "./Histogram";
+
+// Per-layer histograms and inactive / saturated fractions from layerStatistics() (see layerStats.js),
+// measured over `sampleCount` inputs across `range`. `activations` names each layer's activation.
+// `deadCount` is the number of dead neurons across all layers.
+const LayerStatsPanel = ({ stats, deadCount, activations, sampleCount, range, inputCount, isNeuronAblated }) => {
+  const [layer, setLayer] = useState(0);
+  const activeLayer = Math.min(layer, stats.length - 1);
+
+  return (
+    <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+        <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+          <ChartColumn size={18} className="text-slate-400" /> Layer Statistics
+        </h2>
+        <div className="flex items-center gap-3 text-sm">
+          {deadCount > 0 && (
+            <span className="px-2 py-1 rounded bg-red-900/60 text-red-300 text-xs font-bold">
+              {deadCount} dead {deadCount === 1 ? "neuron" : "neurons"}
+            </span>
+          )}
+          <select
+            value={activeLayer}
+            onChange={(e) => setLayer(Number(e.target.value))}
+            className="bg-slate-900 border border-slate-600 rounded-lg px-3 py-1.5 text-white"
+          >
+            {stats.map((_, lIdx) => (
+              <option key={lIdx} value={lIdx}>Layer {lIdx + 1} ({activations[lIdx]})</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <p className="text-sm text-slate-400 mb-4">
+        Over {sampleCount} inputs spanning the landscape range [{range.min}, {range.max}]{inputCount > 1 ? ` (a grid over all ${inputCount} inputs)` : ""}.
+        A ReLU neuron is <strong>inactive</strong> where its output, skip connection and dropout included, is exactly 0 and a sigmoid/tanh neuron is <strong>saturated</strong> where |z| ≥ {SATURATION_THRESHOLD}, so its gradient nearly vanishes.
+        A neuron that is inactive for every input is <span className="text-red-400 font-bold">dead</span>: no gradient reaches its weights, so training can't revive it.
+      </p>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+        <Histogram title="Weights" bins={stats[activeLayer].weights} color="#60a5fa" />
+        <Histogram title="Biases" bins={stats[activeLayer].biases} color="#f59e0b" />
+        <Histogram title="Activations" bins={stats[activeLayer].activations} color="#34d399" />
+      </div>
+      <div className="max-h-64 overflow-y-auto">
+        <table className="w-full text-sm border-collapse">
+          <thead className="bg-slate-800 sticky top-0">
+            <tr className="text-left text-slate-400 border-b border-slate-700">
+              <th className="py-2 px-2">Neuron</th>
+              <th className="py-2 px-2">Inactive (a = 0)</th>
+              <th className="py-2 px-2">Saturated (|z| ≥ {SATURATION_THRESHOLD})</th>
+              <th className="py-2 px-2" />
+            </tr>
+          </thead>
+          <tbody className="font-mono text-slate-300">
+            {stats[activeLayer].neurons.map((neuron, nIdx) => (
+              <tr key={nIdx} className="border-b border-slate-700/50 hover:bg-slate-700/30">
+                <td className="py-1.5 px-2 text-slate-500">L{activeLayer + 1}N{nIdx + 1}</td>
+                <td className="py-1.5 px-2">{(neuron.inactive * 100).toFixed(1)}%</td>
+                <td className="py-1.5 px-2">{(neuron.saturated * 100).toFixed(1)}%</td>
+                <td className="py-1.5 px-2">
+                  {neuron.dead && <span className="px-2 py-0.5 rounded bg-red-900/60 text-red-300 text-xs font-bold">DEAD</span>}
+                  {isNeuronAblated(activeLayer, nIdx) && <span className="px-2 py-0.5 rounded bg-rose-900/40 text-rose-300 text-xs font-bold">ABLATED</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default LayerStatsPanel;
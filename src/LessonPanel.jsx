@@ -0,0 +1,58 @@
+import React from "react";
+import { CircleCheck, Flag, GraduationCap, Lightbulb, Lock, RotateCcw, X } from "lucide-react";
+
+// The active lesson: its goal with a one-line `status`, the locked parameters and the first
+// `revealedHints` hints. `isPassed` turns the goal green.
+const LessonPanel = ({ lesson, status, isPassed, revealedHints, onRevealHint, onRestart, onExit }) => (
+  <div className={`bg-slate-800 rounded-xl border shadow-xl p-6 space-y-4 ${isPassed ? "border-green-600/60" : "border-violet-600/50"}`}>
+    <div className="flex items-start gap-3">
+      <GraduationCap size={20} className="text-violet-400 shrink-0 mt-1" />
+      <div className="flex-1">
+        <h2 className="text-lg font-semibold text-white">{lesson.title}</h2>
+        {lesson.intro && <p className="text-sm text-slate-300 mt-1">{lesson.intro}</p>}
+      </div>
+      <button
+        onClick={onRestart}
+        title="Reload the lesson's network"
+        className="flex items-center gap-1 text-xs bg-slate-900 border border-slate-600 hover:bg-slate-700 px-3 py-1.5 rounded"
+      >
+        <RotateCcw size={12} /> Restart
+      </button>
+      <button onClick={onExit} title="Leave the lesson and unlock every parameter" className="flex items-center gap-1 text-xs bg-slate-900 border border-slate-600 hover:bg-slate-700 px-3 py-1.5 rounded">
+        <X size={12} /> Exit lesson
+      </button>
+    </div>
+    <div className="bg-slate-900 border border-slate-700 rounded-lg px-4 py-3 space-y-1">
+      <p className="text-sm font-semibold text-white flex items-center gap-2">
+        <Flag size={14} className="text-violet-400" /> {lesson.goal.description}
+      </p>
+      <p className={`text-xs font-mono ${isPassed ? "text-green-400 font-bold" : "text-slate-400"}`}>
+        {isPassed && <CircleCheck size={12} className="inline mr-1" />}{status}
+      </p>
+      {(lesson.unlocked || lesson.locked?.length > 0) && (
+        <p className="text-xs text-slate-500 flex items-center gap-1">
+          <Lock size={12} />
+          {lesson.unlocked
+            ? `Only ${lesson.unlocked.join(", ") || "nothing"} can be edited.`
+            : `Locked: ${lesson.locked.join(", ")}.`}
+        </p>
+      )}
+    </div>
+    {lesson.hints.length > 0 && (
+      <div className="space-y-2">
+        {lesson.hints.slice(0, revealedHints).map((hint, i) => (
+          <p key={i} className="text-sm text-amber-200 flex gap-2">
+            <Lightbulb size={16} className="text-amber-400 shrink-0 mt-0.5" /> {hint}
+          </p>
+        ))}
+        {revealedHints < lesson.hints.length && (
+          <button onClick={onRevealHint} className="text-xs text-amber-400 hover:text-amber-300 underline">
+            Show hint ({revealedHints + 1} of {lesson.hints.length})
+          </button>
+        )}
+      </div>
+    )}
+  </div>
+);
+
+export default LessonPanel;
@@ -0,0 +1,79 @@
+import React, { useRef } from "react";
+import { CircleCheck, Trash2, Upload } from "lucide-react";
+
+// Built-in and imported lessons (see lessons.js), with progress and a lesson file import.
+// `completed` lists the ids of finished lessons.
+const LessonPicker = ({ builtInLessons, userLessons, completed, onStart, onDelete, onImport, onResetProgress }) => {
+  const fileRef = useRef(null);
+
+  return (
+    <div className="bg-slate-800 rounded-xl border border-violet-600/50 shadow-2xl p-6 grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {[
+        { title: "Lessons", lessons: builtInLessons, canDelete: false },
+        { title: "Imported Lessons", lessons: userLessons, canDelete: true },
+      ].map(({ title, lessons, canDelete }) => (
+        <div key={title}>
+          <div className="flex items-center gap-2 mb-3">
+            <h3 className="text-sm font-bold text-violet-400 uppercase tracking-wider flex-1">{title}</h3>
+            {canDelete ? (
+              <button
+                onClick={() => fileRef.current.click()}
+                className="flex items-center gap-2 text-xs bg-violet-600 hover:bg-violet-500 px-3 py-1.5 rounded text-white transition-colors"
+              >
+                <Upload size={14} /> Import lesson file
+              </button>
+            ) : (
+              <>
+                <span className="text-xs text-slate-400">
+                  {builtInLessons.filter(({ id }) => completed.includes(id)).length}/{builtInLessons.length} completed
+                </span>
+                {completed.length > 0 && (
+                  <button onClick={onResetProgress} className="text-xs text-slate-500 hover:text-white underline">
+                    Reset progress
+                  </button>
+                )}
+              </>
+            )}
+          </div>
+          {lessons.length === 0 ? (
+            <p className="text-xs text-slate-500">
+              Instructors can write lessons as a JSON file with "format": "dnn-visualizer/lessons". Each lesson has an id, a title, a network file,
+              the parameters to lock or unlock (like "L2" or "L1N2.w1"), a goal ("match" an expression in x, or make a neuron "dead" over a range) and hints.
+            </p>
+          ) : (
+            <div className="space-y-2">
+              {lessons.map((lesson) => (
+                <div key={lesson.id} className="flex items-center gap-2 bg-slate-900 border border-slate-700 rounded-lg px-4 py-3">
+                  <button onClick={() => onStart(lesson)} className="flex-1 text-left group">
+                    <span className="flex items-center gap-2 text-sm font-bold text-white group-hover:text-violet-300">
+                      {completed.includes(lesson.id) && <CircleCheck size={14} className="text-green-400" aria-label="Completed" />}
+                      {lesson.title}
+                    </span>
+                    <span className="block text-xs text-slate-400">{lesson.goal.description}</span>
+                  </button>
+                  {canDelete && (
+                    <button onClick={() => onDelete(lesson.id)} title={`Delete ${lesson.title}`} className="text-slate-500 hover:text-red-400">
+                      <Trash2 size={14}/>
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+      <input
+        ref={fileRef}
+        type="file"
+        accept="application/json,.json"
+        className="hidden"
+        onChange={(e) => {
+          onImport(e.target.files[0]);
+          e.target.value = "";
+        }}
+      />
+    </div>
+  );
+};
+
+export default LessonPicker;
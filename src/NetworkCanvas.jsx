@@ -0,0 +1,125 @@
+import React, { useEffect, useRef } from "react";
+
+// Canvas renderer for networks too large for one SVG element per edge.
+// `nodes[l][i]` is { x, y, r, fill, stroke, ring, dashed, faded, flagged } for visualization layer l (inputs first).
+// `edgeGroups[l]` covers layer l -> l + 1 as { shown: [{ x1, y1, x2, y2, color, width, alpha, dashed }],
+// hidden: { count }, bandAlpha }: the culled edges are drawn as one band between the two columns.
+// `arcs` are skip connections as quadratic curves { x1, y1, cx, cy, x2, y2 }.
+const NetworkCanvas = ({ width, height, nodes, edgeGroups, arcs = [], labels, onHoverNode, onClickNode }) => {
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext?.("2d");
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.lineCap = "round";
+
+    edgeGroups.forEach(({ shown, hidden, bandAlpha }, l) => {
+      if (hidden.count > 0) {
+        const from = nodes[l];
+        const to = nodes[l + 1];
+        ctx.globalAlpha = bandAlpha;
+        ctx.fillStyle = "#64748b";
+        ctx.beginPath();
+        ctx.moveTo(from[0].x, from[0].y);
+        ctx.lineTo(to[0].x, to[0].y);
+        ctx.lineTo(to[to.length - 1].x, to[to.length - 1].y);
+        ctx.lineTo(from[from.length - 1].x, from[from.length - 1].y);
+        ctx.closePath();
+        ctx.fill();
+      }
+      shown.forEach((edge) => {
+        ctx.globalAlpha = edge.alpha;
+        ctx.strokeStyle = edge.color;
+        ctx.lineWidth = edge.width;
+        ctx.setLineDash(edge.dashed ? [3, 5] : []);
+        ctx.beginPath();
+        ctx.moveTo(edge.x1, edge.y1);
+        ctx.lineTo(edge.x2, edge.y2);
+        ctx.stroke();
+      });
+    });
+    ctx.setLineDash([]);
+
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = "#34d399";
+    ctx.lineWidth = 1.5;
+    arcs.forEach((arc) => {
+      ctx.beginPath();
+      ctx.moveTo(arc.x1, arc.y1);
+      ctx.quadraticCurveTo(arc.cx, arc.cy, arc.x2, arc.y2);
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+
+    nodes.forEach((layer) =>
+      layer.forEach((node) => {
+        ctx.globalAlpha = node.faded ? 0.35 : 1;
+        ctx.fillStyle = "#0f172a";
+        ctx.beginPath();
+        ctx.arc(node.x, node.y, node.r, 0, 2 * Math.PI);
+        ctx.fill();
+        ctx.fillStyle = node.fill;
+        ctx.fill();
+        ctx.strokeStyle = node.ring ? "#fbbf24" : node.stroke;
+        ctx.lineWidth = node.ring ? 2.5 : Math.min(2, node.r / 3);
+        ctx.setLineDash(node.dashed ? [2, 2] : []);
+        ctx.stroke();
+        if (node.flagged) {
+          ctx.fillStyle = "#f87171";
+          ctx.beginPath();
+          ctx.arc(node.x + node.r * 0.8, node.y - node.r * 0.8, Math.max(2, node.r / 3), 0, 2 * Math.PI);
+          ctx.fill();
+        }
+      })
+    );
+    ctx.setLineDash([]);
+    ctx.globalAlpha = 1;
+
+    ctx.fillStyle = "#64748b";
+    ctx.font = "bold 10px sans-serif";
+    ctx.textAlign = "center";
+    labels.forEach((label, l) => {
+      const top = nodes[l][0];
+      ctx.fillText(label, top.x, top.y - top.r - 8);
+    });
+  }, [width, height, nodes, edgeGroups, arcs, labels]);
+
+  // Nearest node within a few pixels of the pointer, as [layer, neuron], or null.
+  const nodeAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const px = ((e.clientX - rect.left) * width) / rect.width;
+    const py = ((e.clientY - rect.top) * height) / rect.height;
+    for (let l = 0; l < nodes.length; l++) {
+      for (let i = 0; i < nodes[l].length; i++) {
+        const { x, y, r } = nodes[l][i];
+        if ((px - x) ** 2 + (py - y) ** 2 <= (r + 3) ** 2) return [l, i];
+      }
+    }
+    return null;
+  };
+
+  return (
+    <canvas
+      ref={canvasRef}
+      style={{ width, height }}
+      className="cursor-pointer"
+      onPointerMove={(e) => {
+        const hit = nodeAt(e);
+        onHoverNode(hit && hit[0], hit && hit[1]);
+      }}
+      onPointerLeave={() => onHoverNode(null)}
+      onClick={(e) => {
+        const hit = nodeAt(e);
+        if (hit) onClickNode(hit[0], hit[1]);
+      }}
+    />
+  );
+};
+
+export default NetworkCanvas;
@@ -0,0 +1,118 @@
+import React from "react";
+import { Binary } from "lucide-react";
+import { PRECISIONS } from "./quantization";
+
+const formatPrecise = (step) => (step === null ? "—" : step === 0 ? "0" : step.toPrecision(3));
+
+// Format picker and per-layer step table for the rounded network. `quantization` is null at float64,
+// otherwise { error: { max, mean }, steps } measured over `sampleCount` inputs across `range`.
+const PrecisionPanel = ({ precision, onPrecisionChange, fixedPoint, onFixedPointChange, quantizeActivations, onQuantizeActivationsChange, quantization, sampleCount, range }) => (
+  <div className="bg-slate-800 rounded-xl p-6 border border-slate-700 shadow">
+    <div className="flex flex-wrap items-center justify-between gap-3 mb-2">
+      <h2 className="text-lg font-semibold text-white flex items-center gap-2">
+        <Binary size={18} className="text-slate-400" /> Reduced Precision
+      </h2>
+      <div className="flex flex-wrap items-center gap-2" role="group" aria-label="Precision">
+        {Object.entries(PRECISIONS).map(([id, { label }]) => (
+          <button
+            key={id}
+            onClick={() => onPrecisionChange(id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium transition-colors ${
+              precision === id ? "bg-pink-600 text-white" : "bg-slate-900 border border-slate-600 hover:bg-slate-700"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+    </div>
+    <p className="text-sm text-slate-400 mb-4">
+      Rounds the weights and biases the way a deployment format stores them and plots the output layer as a <span className="text-pink-400">dotted pink</span> curve next to the float64 one.
+      fp16 and bf16 keep 10 and 7 mantissa bits. int8 maps each layer's largest |value| to 127, so its step is max|v| / 127. Fixed point uses a step of 2<sup>−fraction bits</sup> and saturates at the ends of its range.
+    </p>
+    <div className="flex flex-wrap items-center gap-6 mb-4 text-sm">
+      {precision === "fixed" && (
+        <>
+          <label className="flex items-center gap-2 text-slate-300">
+            Total bits
+            <input
+              type="number"
+              min={2}
+              max={32}
+              value={fixedPoint.bits}
+              onChange={(e) => {
+                const bits = parseInt(e.target.value, 10);
+                if (bits >= 2 && bits <= 32) onFixedPointChange({ bits, fractionBits: Math.min(fixedPoint.fractionBits, bits - 1) });
+              }}
+              className="w-16 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-white font-mono"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-slate-300">
+            Fraction bits
+            <input
+              type="number"
+              min={0}
+              max={fixedPoint.bits - 1}
+              value={fixedPoint.fractionBits}
+              onChange={(e) => {
+                const fractionBits = parseInt(e.target.value, 10);
+                if (fractionBits >= 0 && fractionBits < fixedPoint.bits) onFixedPointChange({ ...fixedPoint, fractionBits });
+              }}
+              className="w-16 bg-slate-900 border border-slate-600 rounded px-2 py-1 text-white font-mono"
+            />
+          </label>
+          <span className="text-xs text-slate-500 font-mono">
+            range [{-(2 ** (fixedPoint.bits - 1 - fixedPoint.fractionBits))}, {(2 ** (fixedPoint.bits - 1) - 1) * 2 ** -fixedPoint.fractionBits}]
+          </span>
+        </>
+      )}
+      <label className="flex items-center gap-2 text-slate-300">
+        <input type="checkbox" checked={quantizeActivations} onChange={(e) => onQuantizeActivationsChange(e.target.checked)} />
+        Round activations too
+        {precision === "int8" && <span className="text-xs text-slate-500">(scales calibrated on the sweep)</span>}
+      </label>
+    </div>
+    {!quantization ? (
+      <p className="text-sm text-slate-500">Pick a format to compare it with the float64 network.</p>
+    ) : (
+      <>
+        <div className="flex flex-wrap gap-2 mb-4 text-xs font-mono">
+          <span className="bg-slate-900 border border-slate-700 rounded px-3 py-1.5 text-slate-400">
+            Max |output error|: <span className="text-white font-bold">{formatPrecise(quantization.error.max)}</span>
+          </span>
+          <span className="bg-slate-900 border border-slate-700 rounded px-3 py-1.5 text-slate-400">
+            Mean |output error|: <span className="text-white font-bold">{formatPrecise(quantization.error.mean)}</span>
+          </span>
+          <span className="bg-slate-900 border border-slate-700 rounded px-3 py-1.5 text-slate-400">
+            Over {sampleCount} inputs in [{range.min}, {range.max}]
+          </span>
+        </div>
+        <table className="w-full text-sm border-collapse">
+          <thead>
+            <tr className="text-left text-slate-400 border-b border-slate-700">
+              <th className="py-2 px-2">Layer</th>
+              <th className="py-2 px-2">Weight step</th>
+              <th className="py-2 px-2">Bias step</th>
+              {quantizeActivations && <th className="py-2 px-2">Activation step</th>}
+            </tr>
+          </thead>
+          <tbody className="font-mono text-slate-300">
+            {quantization.steps.map((step, lIdx) => (
+              <tr key={lIdx} className="border-b border-slate-700/50">
+                <td className="py-1.5 px-2 text-slate-500">Layer {lIdx + 1}</td>
+                <td className="py-1.5 px-2 text-blue-400">{formatPrecise(step.weights)}</td>
+                <td className="py-1.5 px-2 text-amber-500">{formatPrecise(step.biases)}</td>
+                {quantizeActivations && <td className="py-1.5 px-2 text-emerald-400">{formatPrecise(step.activations)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {(precision === "fp16" || precision === "bf16") && (
+          <p className="text-xs text-slate-500 mt-2">A float's step grows with magnitude; these are the steps at each layer's largest value.</p>
+        )}
+      </>
+    )}
+  </div>
+);
+
+export default PrecisionPanel;
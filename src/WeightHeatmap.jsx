@@ -0,0 +1,92 @@
+import React, { useEffect, useRef, useState } from "react";
+
+const MAX_CELL = 22;
+const MIN_CELL = 4;
+const GAP = 6;
+
+// Same palette as the diagram's "Weights" view: blue for positive, red for negative.
+const cellColor = (val) => {
+  const intensity = Math.min(Math.abs(val), 1);
+  return val >= 0 ? `rgba(59, 130, 246, ${intensity})` : `rgba(239, 68, 68, ${intensity})`;
+};
+
+// One layer's parameters as a clickable grid: a bias column, then weights[neuron][input].
+// `selected` is { neuron, input } with input null for the bias; `onSelect` gets the same shape.
+// `describe(neuron, input)` names a cell for the hover readout.
+const WeightHeatmap = ({ weights, biases, selected, onSelect, describe, maxWidth = 720 }) => {
+  const canvasRef = useRef(null);
+  const [hover, setHover] = useState(null);
+  const rows = weights.length;
+  const cols = weights[0].length;
+  const cell = Math.max(MIN_CELL, Math.min(MAX_CELL, Math.floor((maxWidth - GAP) / (cols + 1))));
+  const width = cell * (cols + 1) + GAP;
+  const height = cell * rows;
+  // Grid x of weight column j; the bias column sits at 0.
+  const columnX = (input) => (input === null ? 0 : cell * (input + 1) + GAP);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ctx = canvas?.getContext?.("2d");
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = width * dpr;
+    canvas.height = height * dpr;
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.fillStyle = "#0f172a";
+    ctx.fillRect(0, 0, width, height);
+    const inset = cell > 8 ? 1 : 0;
+    for (let i = 0; i < rows; i++) {
+      ctx.fillStyle = cellColor(biases[i]);
+      ctx.fillRect(inset, i * cell + inset, cell - 2 * inset, cell - 2 * inset);
+      for (let j = 0; j < cols; j++) {
+        ctx.fillStyle = cellColor(weights[i][j]);
+        ctx.fillRect(columnX(j) + inset, i * cell + inset, cell - 2 * inset, cell - 2 * inset);
+      }
+    }
+    if (selected && selected.neuron < rows && (selected.input === null || selected.input < cols)) {
+      ctx.strokeStyle = "#f8fafc";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(columnX(selected.input) + 1, selected.neuron * cell + 1, cell - 2, cell - 2);
+    }
+  });
+
+  const cellAt = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const x = ((e.clientX - rect.left) * width) / rect.width;
+    const neuron = Math.floor(((e.clientY - rect.top) * height) / rect.height);
+    if (neuron < 0 || neuron >= rows) return null;
+    if (x < cell) return { neuron, input: null };
+    const input = Math.floor((x - cell - GAP) / cell);
+    return input >= 0 && input < cols ? { neuron, input } : null;
+  };
+
+  const readout = hover ?? selected;
+
+  return (
+    <div className="space-y-2">
+      <canvas
+        ref={canvasRef}
+        style={{ width, height }}
+        className="cursor-crosshair rounded"
+        onPointerMove={(e) => setHover(cellAt(e))}
+        onPointerLeave={() => setHover(null)}
+        onClick={(e) => {
+          const hit = cellAt(e);
+          if (hit) onSelect(hit);
+        }}
+      />
+      <div className="text-xs font-mono text-slate-400 h-4">
+        {readout && readout.neuron < rows && (
+          <>
+            {describe(readout.neuron, readout.input)} ={" "}
+            <span className={readout.input === null ? "text-amber-300" : "text-blue-300"}>
+              {(readout.input === null ? biases[readout.neuron] : weights[readout.neuron][readout.input])?.toFixed(3)}
+            </span>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WeightHeatmap;
@@ -0,0 +1,480 @@
+// Turns a saved network (see networkFile.js) into runnable PyTorch, NumPy or TensorFlow.js code
+// with the same weights, biases and activations. Layer options (skip connections, LayerNorm and
+// dropout) are exported too; the code runs in eval mode like a freshly loaded network.
+
+import { BINARY_OPS, translateExpression } from "./expression";
+import { canSkip, createActivationRegistry, createNetwork, defaultLayerOptions, predict } from "./networkEngine";
+import { classProbabilities, outputHeadError } from "./outputHead";
+
+export const CODE_TARGETS = [
+  { id: "pytorch", label: "PyTorch", filename: "network_pytorch.py" },
+  { id: "numpy", label: "NumPy", filename: "network_numpy.py" },
+  { id: "tfjs", label: "TensorFlow.js", filename: "network_tfjs.js" },
+];
+
+// Built-ins some targets lack, written in the custom-activation syntax (same formulas as networkEngine).
+const GELU_EXPRESSION = "0.5 * z * (1 + tanh(sqrt(2 / pi) * (z + 0.044715 * z^3)))";
+const SWISH_EXPRESSION = "z / (1 + exp(-z))";
+
+// --- Expression translation ---
+
+// Precedence of emitted Python, loosest first. The JavaScript output is all calls and ignores it.
+const SUM = 1;
+const PRODUCT = 2;
+const UNARY = 3;
+const POWER = 4;
+const ATOM = 5;
+
+const FUNCTION_ARITY = { pow: 2, min: Infinity, max: Infinity };
+
+const wrap = (node, minPrec) => (node.prec >= minPrec ? node.code : `(${node.code})`);
+const atom = (code) => ({ code, prec: ATOM });
+
+// A builder for translateExpression. Nodes are { code, prec, value }, with `value` set on constant
+// subexpressions so they fold into one literal. The target supplies `negate(x)`, `binary(op, a, b)`,
+// `unary(name, x)` and `pair(name, a, b)` for pow, min and max.
+const codeBuilder = ({ formatNumber, negate, binary, unary, pair }) => {
+  const number = (value) => ({ code: formatNumber(value), prec: value < 0 ? UNARY : ATOM, value });
+  const isConstant = (node) => node.value !== undefined;
+  return {
+    number,
+    variable: atom,
+    negate: (x) => (isConstant(x) ? number(-x.value) : negate(x)),
+    binary: (op, lhs, rhs) => (isConstant(lhs) && isConstant(rhs) ? number(BINARY_OPS[op](lhs.value, rhs.value)) : binary(op, lhs, rhs)),
+    call: (name, fn, allArgs) => {
+      const arity = FUNCTION_ARITY[name] || 1;
+      const args = allArgs.slice(0, arity);
+      if (args.every(isConstant) || (arity < Infinity && args.length < arity)) {
+        return number(fn(...args.map((arg) => arg.value)));
+      }
+      if (arity === 1) return unary(name, args[0]);
+      // min and max fold left over any number of arguments; the targets' versions take two.
+      return args.slice(1).reduce((a, b) => (isConstant(a) && isConstant(b) ? number(fn(a.value, b.value)) : pair(name, a, b)), args[0]);
+    },
+  };
+};
+
+const pythonNumber = (v) => {
+  if (Number.isNaN(v)) return "float(\"nan\")";
+  if (!Number.isFinite(v)) return v > 0 ? "float(\"inf\")" : "-float(\"inf\")";
+  return String(v);
+};
+
+const pythonNegate = (x) => ({ code: `-${wrap(x, UNARY)}`, prec: UNARY });
+
+const pythonBinary = (op, lhs, rhs) => {
+  if (op === "^") return { code: `${wrap(lhs, ATOM)} ** ${wrap(rhs, UNARY)}`, prec: POWER };
+  const prec = op === "+" || op === "-" ? SUM : PRODUCT;
+  // a - (b - c) and a / (b * c) keep their parentheses.
+  const rightPrec = op === "-" || op === "/" ? prec + 1 : prec;
+  return { code: `${wrap(lhs, prec)} ${op} ${wrap(rhs, rightPrec)}`, prec };
+};
+
+const NUMPY_NAMES = { asin: "arcsin", acos: "arccos", atan: "arctan", pow: "power", min: "minimum", max: "maximum" };
+
+const numpyBuilder = codeBuilder({
+  formatNumber: pythonNumber,
+  negate: pythonNegate,
+  binary: pythonBinary,
+  unary: (name, x) => atom(`np.${NUMPY_NAMES[name] || name}(${x.code})`),
+  pair: (name, a, b) => atom(`np.${NUMPY_NAMES[name]}(${a.code}, ${b.code})`),
+});
+
+// torch.minimum and torch.maximum want two tensors, so a constant bound becomes a clamp.
+const torchPair = (name, a, b) => {
+  if (name === "pow") return atom(`torch.pow(${a.code}, ${b.code})`);
+  const bound = name === "min" ? "max" : "min";
+  if (b.value !== undefined) return atom(`torch.clamp(${a.code}, ${bound}=${b.code})`);
+  if (a.value !== undefined) return atom(`torch.clamp(${b.code}, ${bound}=${a.code})`);
+  return atom(`torch.${name === "min" ? "minimum" : "maximum"}(${a.code}, ${b.code})`);
+};
+
+const torchBuilder = codeBuilder({
+  formatNumber: pythonNumber,
+  negate: pythonNegate,
+  binary: pythonBinary,
+  unary: (name, x) => atom(`torch.${name}(${x.code})`),
+  pair: torchPair,
+});
+
+const TFJS_OPS = { "+": "add", "-": "sub", "*": "mul", "/": "div", "^": "pow" };
+const TFJS_PAIRS = { pow: "pow", min: "minimum", max: "maximum" };
+
+const tfjsBuilder = codeBuilder({
+  formatNumber: String,
+  negate: (x) => atom(`tf.neg(${x.code})`),
+  binary: (op, a, b) => atom(`tf.${TFJS_OPS[op]}(${a.code}, ${b.code})`),
+  unary: (name, x) => atom(`tf.${name}(${x.code})`),
+  pair: (name, a, b) => atom(`tf.${TFJS_PAIRS[name]}(${a.code}, ${b.code})`),
+});
+
+// An expression that doesn't depend on z still has to return a tensor shaped like z.
+const CONSTANT_FILL = {
+  pytorch: (code) => `torch.full_like(z, ${code})`,
+  numpy: (code) => `np.full_like(z, ${code})`,
+  tfjs: (code) => `tf.fill(z.shape, ${code})`,
+};
+
+const BUILDERS = { pytorch: torchBuilder, numpy: numpyBuilder, tfjs: tfjsBuilder };
+
+// Code computing `expression` (in z) for a target. Throws on a malformed expression.
+export const translateActivation = (expression, target) => {
+  const node = translateExpression(expression, ["z"], BUILDERS[target]);
+  return node.value === undefined ? node.code : CONSTANT_FILL[target](node.code);
+};
+
+// --- Layout helpers ---
+
+const indent = (text, spaces) => text.split("\n").map((line) => (line ? " ".repeat(spaces) + line : line)).join("\n");
+
+const formatVector = (vec) => `[${vec.map(String).join(", ")}]`;
+
+// One row per line, so large matrices stay diffable and readable.
+const formatMatrix = (matrix, step = 4) => `[\n${matrix.map((row) => `${" ".repeat(step)}${formatVector(row)},`).join("\n")}\n]`;
+
+const formatOutput = (values) => formatVector(values.map((v) => Number(v.toPrecision(6))));
+
+// Classifier heads append their squashing function; the binary head yields P(class 1) only.
+const HEAD_FUNCTIONS = { binary: "sigmoid", softmax: "softmax" };
+
+// Layer options as the engine applies them: a skip connection only where the width is unchanged.
+const effectiveLayerOptions = ({ inputs, neuronsPerLayer, layerOptions = [] }) =>
+  neuronsPerLayer.map((_, l) => {
+    const { residual, norm, dropout } = { ...defaultLayerOptions(), ...layerOptions[l] };
+    return { residual: residual && canSkip([inputs.length, ...neuronsPerLayer], l), norm, dropout };
+  });
+
+const describeLayer = (n, activation, { residual, norm, dropout }) =>
+  `${n} (${[norm && "LayerNorm", activation, dropout > 0 && `dropout ${dropout}`, residual && "+skip"].filter(Boolean).join(", ")})`;
+
+const describeArchitecture = ({ inputs, neuronsPerLayer, activations, outputHead, options }) =>
+  [
+    `${inputs.length} input${inputs.length === 1 ? "" : "s"}`,
+    ...neuronsPerLayer.map((n, l) => describeLayer(n, activations[l], options[l])),
+    ...(HEAD_FUNCTIONS[outputHead] ? [HEAD_FUNCTIONS[outputHead]] : []),
+  ].join(" -> ");
+
+// The visualizer's own output for the saved input, quoted in the generated code as a check.
+const expectedOutput = ({ inputs, neuronsPerLayer, activations, weights, biases, customActivations = [], leakySlope, outputHead, options }) => {
+  const registry = createActivationRegistry({ leakySlope, custom: customActivations });
+  const network = createNetwork({ inputSize: inputs.length, neuronsPerLayer, activations, weights, biases, registry, layerOptions: options });
+  const outputs = predict(network, inputs);
+  if (outputHead === "binary") return classProbabilities(outputHead, outputs).slice(1);
+  return outputHead === "softmax" ? classProbabilities(outputHead, outputs) : outputs;
+};
+
+const customExpression = (data, name) => data.customActivations?.find((def) => def.name === name)?.expression;
+
+// --- Targets ---
+
+const usedActivations = (data) => [...new Set(data.activations)];
+
+const TORCH_MODULES = {
+  relu: () => "nn.ReLU()",
+  leaky_relu: (slope) => `nn.LeakyReLU(${slope})`,
+  elu: () => "nn.ELU()",
+  gelu: () => "nn.GELU(approximate=\"tanh\")",
+  swish: () => "nn.SiLU()",
+  softplus: () => "nn.Softplus()",
+  sigmoid: () => "nn.Sigmoid()",
+  hard_sigmoid: () => "nn.Hardsigmoid()",
+  tanh: () => "nn.Tanh()",
+  sin: () => "Lambda(torch.sin)",
+  linear: () => "nn.Identity()",
+};
+
+const pythonBool = (v) => (v ? "True" : "False");
+
+// Linear layer plus LayerNorm, activation, dropout and skip connection, for networks using layer options.
+const TORCH_BLOCK = [
+  "class Block(nn.Module):",
+  "    \"\"\"Linear -> LayerNorm -> activation -> dropout, plus the input when residual.\"\"\"",
+  "",
+  "    def __init__(self, linear, norm, activation, dropout, residual):",
+  "        super().__init__()",
+  "        self.linear = linear",
+  "        self.norm = norm",
+  "        self.activation = activation",
+  "        self.dropout = dropout",
+  "        self.residual = residual",
+  "",
+  "    def forward(self, x):",
+  "        a = self.dropout(self.activation(self.norm(self.linear(x))))",
+  "        return x + a if self.residual else a",
+].join("\n");
+
+const pytorchCode = (data, header, expected) => {
+  const { inputs, neuronsPerLayer, activations, weights, biases, leakySlope, options, hasLayerOptions } = data;
+  const customs = usedActivations(data).filter((name) => !TORCH_MODULES[name]);
+  const needsLambda = customs.length > 0 || activations.includes("sin");
+  const sizes = [inputs.length, ...neuronsPerLayer];
+  const activationModule = (l) => (TORCH_MODULES[activations[l]] ? TORCH_MODULES[activations[l]](leakySlope) : `Lambda(act_${activations[l]})`);
+  const modules = neuronsPerLayer.flatMap((n, l) => {
+    if (!hasLayerOptions) return [`nn.Linear(${sizes[l]}, ${n}),`, `${activationModule(l)},`];
+    const { residual, norm, dropout } = options[l];
+    return [
+      "Block(",
+      `    nn.Linear(${sizes[l]}, ${n}),`,
+      `    ${norm ? `nn.LayerNorm(${n})` : "nn.Identity()"},`,
+      `    ${activationModule(l)},`,
+      `    ${dropout > 0 ? `nn.Dropout(${dropout})` : "nn.Identity()"},`,
+      `    residual=${pythonBool(residual)},`,
+      "),",
+    ];
+  });
+  if (data.outputHead === "binary") modules.push("nn.Sigmoid(),  # output head: P(class 1)");
+  if (data.outputHead === "softmax") modules.push("nn.Softmax(dim=-1),  # output head: class probabilities");
+  const helpers = [
+    hasLayerOptions && TORCH_BLOCK,
+    needsLambda &&
+      [
+        "class Lambda(nn.Module):",
+        "    \"\"\"Applies an elementwise function, for activations torch.nn doesn't provide.\"\"\"",
+        "",
+        "    def __init__(self, fn):",
+        "        super().__init__()",
+        "        self.fn = fn",
+        "",
+        "    def forward(self, z):",
+        "        return self.fn(z)",
+      ].join("\n"),
+    ...customs.map((name) =>
+      [`def act_${name}(z):`, `    # ${name}(z) = ${customExpression(data, name)}`, `    return ${translateActivation(customExpression(data, name), "pytorch")}`].join("\n")
+    ),
+  ].filter(Boolean);
+
+  return [
+    header("#"),
+    "import torch",
+    "from torch import nn",
+    ...helpers.map((helper) => `\n\n${helper}`),
+    "",
+    "",
+    "model = nn.Sequential(",
+    indent(modules.join("\n"), 4),
+    ").double()",
+    "",
+    "# weights[l][neuron][input] and biases[l][neuron], as in the visualizer",
+    `weights = [\n${indent(weights.map((W) => `${formatMatrix(W)},`).join("\n"), 4)}\n]`,
+    `biases = [\n${indent(biases.map((b) => `${formatVector(b)},`).join("\n"), 4)}\n]`,
+    "",
+    ...(hasLayerOptions
+      ? [
+          "# LayerNorm (gain, bias) per layer, or None",
+          `layer_norms = [\n${indent(options.map(({ norm }) => (norm ? `(${formatVector(norm.gain)}, ${formatVector(norm.bias)}),` : "None,")).join("\n"), 4)}\n]`,
+          "",
+          "with torch.no_grad():",
+          "    for block, W, b, norm in zip(model, weights, biases, layer_norms):",
+          "        block.linear.weight.copy_(torch.tensor(W, dtype=torch.float64))",
+          "        block.linear.bias.copy_(torch.tensor(b, dtype=torch.float64))",
+          "        if norm is not None:",
+          "            block.norm.weight.copy_(torch.tensor(norm[0], dtype=torch.float64))",
+          "            block.norm.bias.copy_(torch.tensor(norm[1], dtype=torch.float64))",
+          "model.eval()  # dropout off; call model.train() to turn it on",
+        ]
+      : [
+          "with torch.no_grad():",
+          "    for linear, W, b in zip(model[0::2], weights, biases):",
+          "        linear.weight.copy_(torch.tensor(W, dtype=torch.float64))",
+          "        linear.bias.copy_(torch.tensor(b, dtype=torch.float64))",
+        ]),
+    "",
+    `x = torch.tensor([${formatVector(inputs)}], dtype=torch.float64)`,
+    `print(model(x))  # the visualizer gives [${expected}]`,
+    "",
+  ].join("\n");
+};
+
+const NUMPY_FUNCTIONS = {
+  relu: () => "np.maximum(0, z)",
+  leaky_relu: (slope) => `np.where(z > 0, z, ${slope} * z)`,
+  elu: () => "np.where(z > 0, z, np.expm1(np.minimum(z, 0)))",
+  gelu: () => translateActivation(GELU_EXPRESSION, "numpy"),
+  swish: () => translateActivation(SWISH_EXPRESSION, "numpy"),
+  softplus: () => "np.logaddexp(0, z)",
+  sigmoid: () => "1 / (1 + np.exp(-z))",
+  hard_sigmoid: () => "np.clip(z / 6 + 0.5, 0, 1)",
+  tanh: () => "np.tanh(z)",
+  sin: () => "np.sin(z)",
+  linear: () => "z",
+};
+
+// Custom activations get a prefix so a name like "forward" can't shadow the generated code.
+const functionName = (name) => (NUMPY_FUNCTIONS[name] ? name : `act_${name}`);
+
+const NUMPY_LAYER_NORM = [
+  "def layer_norm(z, gain, bias, eps=1e-5):",
+  "    mean = z.mean(axis=-1, keepdims=True)",
+  "    return gain * (z - mean) / np.sqrt(z.var(axis=-1, keepdims=True) + eps) + bias",
+].join("\n");
+
+const numpyCode = (data, header, expected) => {
+  const { inputs, activations, weights, biases, leakySlope, options, hasLayerOptions } = data;
+  const head = HEAD_FUNCTIONS[data.outputHead];
+  const names = head === "sigmoid" ? [...new Set([...usedActivations(data), "sigmoid"])] : usedActivations(data);
+  const functions = names.map((name) => {
+    const custom = !NUMPY_FUNCTIONS[name];
+    return [
+      `def ${functionName(name)}(z):`,
+      ...(custom ? [`    # ${name}(z) = ${customExpression(data, name)}`] : []),
+      `    return ${custom ? translateActivation(customExpression(data, name), "numpy") : NUMPY_FUNCTIONS[name](leakySlope)}`,
+    ].join("\n");
+  });
+  if (head === "softmax") {
+    functions.push([
+      "def softmax(z):",
+      "    e = np.exp(z - z.max(axis=-1, keepdims=True))",
+      "    return e / e.sum(axis=-1, keepdims=True)",
+    ].join("\n"));
+  }
+  if (options.some(({ norm }) => norm)) functions.push(NUMPY_LAYER_NORM);
+
+  const forward = hasLayerOptions
+    ? [
+        "def forward(x, training=False, rng=np.random.default_rng()):",
+        "    \"\"\"x is one input vector or a batch of them, one per row. `training` turns dropout on.\"\"\"",
+        "    a = np.asarray(x, dtype=float)",
+        "    for W, b, activation, norm, rate, skip in zip(weights, biases, activations, layer_norms, dropout_rates, skips):",
+        "        z = a @ W.T + b",
+        "        if norm is not None:",
+        "            z = layer_norm(z, *norm)",
+        "        out = activation(z)",
+        "        if training and rate > 0:",
+        "            out = out * (rng.random(out.shape) >= rate) / (1 - rate)",
+        "        a = a + out if skip else out",
+      ]
+    : [
+        "def forward(x):",
+        "    \"\"\"x is one input vector or a batch of them, one per row.\"\"\"",
+        "    a = np.asarray(x, dtype=float)",
+        "    for W, b, activation in zip(weights, biases, activations):",
+        "        a = activation(a @ W.T + b)",
+      ];
+
+  return [
+    header("#"),
+    "import numpy as np",
+    ...functions.map((fn) => `\n\n${fn}`),
+    "",
+    "",
+    "# weights[l][neuron][input] and biases[l][neuron], as in the visualizer",
+    `weights = [\n${indent(weights.map((W) => `np.array(${formatMatrix(W)}),`).join("\n"), 4)}\n]`,
+    `biases = [\n${indent(biases.map((b) => `np.array(${formatVector(b)}),`).join("\n"), 4)}\n]`,
+    `activations = [${activations.map(functionName).join(", ")}]`,
+    ...(hasLayerOptions
+      ? [
+          "# LayerNorm (gain, bias) per layer or None, dropout rates and skip connections",
+          `layer_norms = [\n${indent(options.map(({ norm }) => (norm ? `(np.array(${formatVector(norm.gain)}), np.array(${formatVector(norm.bias)})),` : "None,")).join("\n"), 4)}\n]`,
+          `dropout_rates = ${formatVector(options.map(({ dropout }) => dropout))}`,
+          `skips = [${options.map(({ residual }) => pythonBool(residual)).join(", ")}]`,
+        ]
+      : []),
+    "",
+    "",
+    ...forward,
+    `    return ${head ? `${head}(a)` : "a"}`,
+    "",
+    "",
+    `print(forward(${formatVector(inputs)}))  # the visualizer gives ${expected}`,
+    "",
+  ].join("\n");
+};
+
+const TFJS_FUNCTIONS = {
+  relu: () => "tf.relu(z)",
+  leaky_relu: (slope) => `tf.leakyRelu(z, ${slope})`,
+  elu: () => "tf.elu(z)",
+  gelu: () => translateActivation(GELU_EXPRESSION, "tfjs"),
+  swish: () => "tf.mul(z, tf.sigmoid(z))",
+  softplus: () => "tf.softplus(z)",
+  sigmoid: () => "tf.sigmoid(z)",
+  hard_sigmoid: () => "tf.clipByValue(tf.add(tf.div(z, 6), 0.5), 0, 1)",
+  tanh: () => "tf.tanh(z)",
+  sin: () => "tf.sin(z)",
+  linear: () => "z",
+};
+
+const TFJS_LAYER_NORM = [
+  "const layerNorm = (z, { gain, bias }) => {",
+  "  const { mean, variance } = tf.moments(z, -1, true);",
+  "  return tf.add(tf.mul(gain, tf.div(tf.sub(z, mean), tf.sqrt(tf.add(variance, 1e-5)))), bias);",
+  "};",
+].join("\n");
+
+const tfjsCode = (data, header, expected) => {
+  const { inputs, activations, weights, biases, leakySlope, options, hasLayerOptions } = data;
+  const layers = weights.map((W, l) => {
+    const name = activations[l];
+    const custom = !TFJS_FUNCTIONS[name];
+    const body = custom ? translateActivation(customExpression(data, name), "tfjs") : TFJS_FUNCTIONS[name](leakySlope);
+    return [
+      "{",
+      `  weights: tf.tensor2d(${indent(formatMatrix(W, 2), 2).trimStart()}),`,
+      `  biases: tf.tensor1d(${formatVector(biases[l])}),`,
+      `  activation: (z) => ${body}, // ${custom ? `${name}(z) = ${customExpression(data, name)}` : name}`,
+      ...(hasLayerOptions
+        ? [
+            `  norm: ${options[l].norm ? `{ gain: tf.tensor1d(${formatVector(options[l].norm.gain)}), bias: tf.tensor1d(${formatVector(options[l].norm.bias)}) }` : "null"},`,
+            `  dropout: ${options[l].dropout},`,
+            `  skip: ${options[l].residual},`,
+          ]
+        : []),
+      "},",
+    ].join("\n");
+  });
+  const head = HEAD_FUNCTIONS[data.outputHead] ? `tf.${HEAD_FUNCTIONS[data.outputHead]}(outputs)` : "outputs";
+  const model = hasLayerOptions
+    ? [
+        TFJS_LAYER_NORM,
+        "",
+        "// x has shape [batch, inputs]; the product uses each weight matrix transposed. `training` turns dropout on.",
+        "const model = (x, training = false) =>",
+        "  tf.tidy(() => {",
+        "    const outputs = layers.reduce((a, { weights, biases, activation, norm, dropout, skip }) => {",
+        "      const z = tf.add(tf.matMul(a, weights, false, true), biases);",
+        "      let out = activation(norm ? layerNorm(z, norm) : z);",
+        "      if (training && dropout > 0) out = tf.dropout(out, dropout);",
+        "      return skip ? tf.add(a, out) : out;",
+        "    }, x);",
+        `    return ${head};`,
+        "  });",
+      ]
+    : [
+        "// x has shape [batch, inputs]; the product uses each weight matrix transposed.",
+        "const model = (x) =>",
+        "  tf.tidy(() => {",
+        "    const outputs = layers.reduce((a, { weights, biases, activation }) => activation(tf.add(tf.matMul(a, weights, false, true), biases)), x);",
+        `    return ${head};`,
+        "  });",
+      ];
+
+  return [
+    header("//"),
+    "import * as tf from \"@tensorflow/tfjs\";",
+    "",
+    "// Each weight matrix is [neurons, inputs], as in the visualizer.",
+    `const layers = [\n${indent(layers.join("\n"), 2)}\n];`,
+    "",
+    ...model,
+    "",
+    `model(tf.tensor2d([${formatVector(inputs)}])).print(); // the visualizer gives [${expected}] (TensorFlow.js uses float32)`,
+    "",
+  ].join("\n");
+};
+
+const GENERATORS = { pytorch: pytorchCode, numpy: numpyCode, tfjs: tfjsCode };
+
+// Source code for `target` (an id from CODE_TARGETS) that rebuilds the network in `saved`, a
+// serialized network. Ablations aren't part of the saved format, so the code is the full network.
+export const generateCode = (saved, target) => {
+  const generate = GENERATORS[target];
+  if (!generate) throw new Error(`Unknown export target "${target}"`);
+  // Like the visualizer, a head that doesn't fit the output layer reads it as regression.
+  const outputCount = saved.neuronsPerLayer[saved.neuronsPerLayer.length - 1];
+  const outputHead = saved.outputHead && !outputHeadError(saved.outputHead, outputCount) ? saved.outputHead : "regression";
+  const options = effectiveLayerOptions(saved);
+  const hasLayerOptions = options.some(({ residual, norm, dropout }) => residual || norm || dropout > 0);
+  const data = { ...saved, outputHead, options, hasLayerOptions };
+  const header = (comment) => `${comment} Exported from DNN Visualizer: ${describeArchitecture(data)}`;
+  return generate(data, header, formatOutput(expectedOutput(data)));
+};
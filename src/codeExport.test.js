@@ -0,0 +1,104 @@
+import { generateCode, translateActivation, CODE_TARGETS } from "./codeExport";
+
+const network = {
+  inputs: [0.5, -1],
+  neuronsPerLayer: [3, 1],
+  activations: ["leaky_relu", "softsign"],
+  weights: [[[0.1, -0.2], [1e-7, 2], [-1.5, 0.25]], [[0.3, -0.7, 1]]],
+  biases: [[0, 0.1, -0.2], [0.05]],
+  customActivations: [{ name: "softsign", expression: "z / (1 + abs(z))" }],
+  leakySlope: 0.2,
+};
+
+describe("translateActivation", () => {
+  test("keeps Python precedence with as few parentheses as possible", () => {
+    expect(translateActivation("-(z - 1)^2 + 2^-z", "numpy")).toBe("-(z - 1) ** 2 + 2 ** -z");
+    expect(translateActivation("z - (z - 1) / (2 * z)", "numpy")).toBe("z - (z - 1) / (2 * z)");
+  });
+
+  test("folds constants and maps functions per target", () => {
+    expect(translateActivation("max(z, 0) * sqrt(4) + asin(z)", "numpy")).toBe("np.maximum(z, 0) * 2 + np.arcsin(z)");
+    expect(translateActivation("max(z, 0) * sqrt(4) + asin(z)", "pytorch")).toBe("torch.clamp(z, min=0) * 2 + torch.asin(z)");
+    expect(translateActivation("max(z, 0) * sqrt(4) + asin(z)", "tfjs")).toBe("tf.add(tf.mul(tf.maximum(z, 0), 2), tf.asin(z))");
+  });
+
+  test("a constant expression still returns a tensor shaped like z", () => {
+    expect(translateActivation("2 * pi", "pytorch")).toBe(`torch.full_like(z, ${2 * Math.PI})`);
+  });
+});
+
+describe("generateCode", () => {
+  test("builds an nn.Sequential with the network's layers and parameters", () => {
+    const code = generateCode(network, "pytorch");
+    expect(code).toContain("nn.Linear(2, 3),\n    nn.LeakyReLU(0.2),\n    nn.Linear(3, 1),\n    Lambda(act_softsign),");
+    expect(code).toContain("return z / (1 + torch.abs(z))");
+    expect(code).toContain("[1e-7, 2],");
+    expect(code).toContain("x = torch.tensor([[0.5, -1]], dtype=torch.float64)");
+  });
+
+  test("quotes the visualizer's output for the saved input", () => {
+    // Layer 1: z ≈ [0.25, -1.9, -1.2] -> leaky [0.25, -0.38, -0.24]; layer 2: z ≈ 0.151 -> softsign.
+    const expected = Number((0.151 / 1.151).toPrecision(6));
+    expect(generateCode(network, "numpy")).toContain(`# the visualizer gives [${expected}]`);
+  });
+
+  test("emits one activation function per distinct activation in NumPy", () => {
+    const code = generateCode({ ...network, activations: ["tanh", "tanh"] }, "numpy");
+    expect(code.match(/def tanh\(z\)/g)).toHaveLength(1);
+    expect(code).toContain("activations = [tanh, tanh]");
+    expect(code).not.toContain("act_softsign");
+  });
+
+  test("writes each TensorFlow.js layer as tensors and an activation", () => {
+    const code = generateCode(network, "tfjs");
+    expect(code).toContain("biases: tf.tensor1d([0, 0.1, -0.2]),");
+    expect(code).toContain("activation: (z) => tf.leakyRelu(z, 0.2), // leaky_relu");
+    expect(code).toContain("activation: (z) => tf.div(z, tf.add(1, tf.abs(z))), // softsign(z) = z / (1 + abs(z))");
+  });
+
+  test("appends the output head and quotes its probabilities", () => {
+    const softmaxNet = { ...network, activations: ["leaky_relu", "linear"], neuronsPerLayer: [3, 2], weights: [network.weights[0], [[1, 0, 0], [0, 1, 0]]], biases: [network.biases[0], [0, 0]], outputHead: "softmax" };
+    const code = generateCode(softmaxNet, "pytorch");
+    expect(code).toContain("nn.Softmax(dim=-1),");
+    // Logits [0.25, -0.38] after leaky_relu.
+    const p = 1 / (1 + Math.exp(-0.63));
+    expect(code).toContain(`# the visualizer gives [[${Number(p.toPrecision(6))}, ${Number((1 - p).toPrecision(6))}]]`);
+    expect(generateCode(softmaxNet, "numpy")).toContain("    return softmax(a)");
+    expect(generateCode(softmaxNet, "tfjs")).toContain("    return tf.softmax(outputs);");
+  });
+
+  test("the binary head reuses sigmoid and a misfit head falls back to regression", () => {
+    const binary = generateCode({ ...network, activations: ["sigmoid", "linear"], outputHead: "binary" }, "numpy");
+    expect(binary.match(/def sigmoid\(z\)/g)).toHaveLength(1);
+    expect(binary).toContain("    return sigmoid(a)");
+    expect(generateCode({ ...network, outputHead: "softmax" }, "numpy")).toContain("    return a\n");
+  });
+
+  test("exports skip connections, LayerNorm and dropout in eval mode", () => {
+    // The skip only fits the second layer of a 2 -> 2 -> 2 network.
+    const optioned = {
+      ...network,
+      neuronsPerLayer: [2, 2],
+      activations: ["tanh", "linear"],
+      weights: [[[0.5, -1], [1.5, 0.25]], [[1, -2], [0.7, 0.4]]],
+      biases: [[0.1, -0.2], [0.3, -0.1]],
+      layerOptions: [
+        { residual: false, norm: { gain: [1.5, 0.5], bias: [0.1, -0.2] }, dropout: 0.25 },
+        { residual: true, norm: null, dropout: 0 },
+      ],
+    };
+    const pytorch = generateCode(optioned, "pytorch");
+    expect(pytorch).toMatch(/^# Exported from DNN Visualizer: 2 inputs -> 2 \(LayerNorm, tanh, dropout 0.25\) -> 2 \(linear, \+skip\)/);
+    expect(pytorch).toContain("        nn.LayerNorm(2),\n        nn.Tanh(),\n        nn.Dropout(0.25),\n        residual=False,");
+    expect(pytorch).toContain("model.eval()");
+    expect(generateCode(optioned, "numpy")).toContain("skips = [False, True]");
+    expect(generateCode(optioned, "tfjs")).toContain("  norm: { gain: tf.tensor1d([1.5, 0.5]), bias: tf.tensor1d([0.1, -0.2]) },");
+    // Plain networks keep the plain layout.
+    expect(generateCode(network, "pytorch")).not.toContain("Block");
+  });
+
+  test("every target is supported and unknown ones throw", () => {
+    CODE_TARGETS.forEach(({ id }) => expect(generateCode(network, id)).toMatch(/^(#|\/\/) Exported from DNN Visualizer: 2 inputs -> 3 \(leaky_relu\) -> 1 \(softsign\)/));
+    expect(() => generateCode(network, "jax")).toThrow('Unknown export target "jax"');
+  });
+});
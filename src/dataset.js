@@ -0,0 +1,81 @@
+// (x, y) sample sets to score a network against: parsing pasted or uploaded data,
+// generating noisy samples of a function, and fit metrics.
+
+import { createRng, gaussian } from "./initializers";
+
+export const MAX_DATASET_POINTS = 2000;
+
+const isNumberCell = (cell) => cell !== "" && Number.isFinite(Number(cell));
+
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Data is not valid JSON: ${err.message}`);
+  }
+  const entries = Array.isArray(data) ? data : data?.points;
+  if (!Array.isArray(entries)) throw new Error(`JSON data must be an array of [x, y] pairs or { "x", "y" } objects.`);
+  return entries.map((entry, i) => {
+    const [x, y] = Array.isArray(entry) ? entry : [entry?.x, entry?.y];
+    if (typeof x !== "number" || typeof y !== "number" || !Number.isFinite(x) || !Number.isFinite(y)) {
+      throw new Error(`Entry ${i + 1} is not an (x, y) pair of finite numbers.`);
+    }
+    return { x, y };
+  });
+};
+
+// One pair per line, separated by commas, semicolons, tabs or spaces. Extra columns are ignored,
+// as are blank lines, # comments and a header row.
+const parseCsv = (text) => {
+  const points = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    const trimmed = line.trim();
+    if (!trimmed || trimmed.startsWith("#")) return;
+    const cells = trimmed.split(/\s*[,;\t]\s*|\s+/);
+    if (isNumberCell(cells[0]) && isNumberCell(cells[1])) {
+      points.push({ x: Number(cells[0]), y: Number(cells[1]) });
+    } else if (points.length > 0 || cells.some(isNumberCell)) {
+      throw new Error(`Line ${i + 1}: expected two numbers, got "${trimmed}".`);
+    }
+  });
+  return points;
+};
+
+// Accepts JSON ([[x, y], ...], [{ x, y }, ...] or { "points": [...] }) or CSV text.
+// Throws an Error that points at the first bad line or entry.
+export const parseDataset = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) throw new Error("No data to load.");
+  const points = /^[[{]/.test(trimmed) ? parseJson(trimmed) : parseCsv(trimmed);
+  if (!points.length) throw new Error("No (x, y) points found.");
+  if (points.length > MAX_DATASET_POINTS) {
+    throw new Error(`Too many points (${points.length}); the limit is ${MAX_DATASET_POINTS}.`);
+  }
+  return points.sort((a, b) => a.x - b.x);
+};
+
+// `count` samples of fn at random x in [min, max], with Gaussian noise of standard deviation `noise`.
+export const generateDataset = (fn, { count, noise, min, max, seed }) => {
+  const rng = createRng(seed);
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const x = min + rng() * (max - min);
+    const y = fn(x) + noise * gaussian(rng);
+    if (Number.isFinite(y)) points.push({ x: parseFloat(x.toFixed(4)), y: parseFloat(y.toFixed(4)) });
+  }
+  return points.sort((a, b) => a.x - b.x);
+};
+
+// Fit of `predict(x)` to the points; residuals are y − prediction.
+export const datasetErrors = (points, predict) => {
+  const residuals = points.map(({ x, y }) => ({ x, residual: y - predict(x) }));
+  const absolute = residuals.map(({ residual }) => Math.abs(residual));
+  const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+  return {
+    mse: mean(absolute.map((e) => e * e)),
+    mae: mean(absolute),
+    maxError: absolute.reduce((worst, e) => Math.max(worst, e), 0),
+    residuals,
+  };
+};
@@ -0,0 +1,48 @@
+import { parseDataset, generateDataset, datasetErrors } from "./dataset";
+
+describe("parseDataset", () => {
+  test("reads CSV with a header, comments and mixed separators", () => {
+    const text = "x,y\n# comment\n1, 2\n\n0;-1\n2\t4.5\n3 9";
+    expect(parseDataset(text)).toEqual([
+      { x: 0, y: -1 },
+      { x: 1, y: 2 },
+      { x: 2, y: 4.5 },
+      { x: 3, y: 9 },
+    ]);
+  });
+
+  test("reads JSON pairs and objects", () => {
+    expect(parseDataset("[[1, 2], [0, 1]]")).toEqual([{ x: 0, y: 1 }, { x: 1, y: 2 }]);
+    expect(parseDataset('{"points": [{"x": 1, "y": 2}]}')).toEqual([{ x: 1, y: 2 }]);
+  });
+
+  test("names the first bad line or entry", () => {
+    expect(() => parseDataset("1,2\n3,abc")).toThrow(/Line 2/);
+    expect(() => parseDataset('[[1, 2], [3, "4"]]')).toThrow(/Entry 2/);
+    expect(() => parseDataset("   ")).toThrow(/No data/);
+  });
+});
+
+describe("generateDataset", () => {
+  test("is reproducible for a seed and stays in range", () => {
+    const options = { count: 20, noise: 0.1, min: -1, max: 1, seed: 7 };
+    const points = generateDataset((x) => 2 * x, options);
+    expect(points).toHaveLength(20);
+    expect(points).toEqual(generateDataset((x) => 2 * x, options));
+    points.forEach(({ x, y }) => {
+      expect(Math.abs(x)).toBeLessThanOrEqual(1);
+      expect(Math.abs(y - 2 * x)).toBeLessThan(1);
+    });
+  });
+});
+
+describe("datasetErrors", () => {
+  test("computes MSE, MAE, max error and residuals", () => {
+    const points = [{ x: 0, y: 1 }, { x: 1, y: 1 }];
+    const errors = datasetErrors(points, (x) => x * 3);
+    expect(errors.residuals).toEqual([{ x: 0, residual: 1 }, { x: 1, residual: -2 }]);
+    expect(errors.mse).toBeCloseTo(2.5);
+    expect(errors.mae).toBeCloseTo(1.5);
+    expect(errors.maxError).toBe(2);
+  });
+});
@@ -0,0 +1,24 @@
+// Sizing and edge culling for the Network Diagram, so large networks stay readable and fast.
+
+// Node spacing and radius for `layerSizes` (inputs first) so the tallest layer fits `height`.
+export const diagramLayout = (layerSizes, { width, height, padding = 25, maxSpacing = 70, maxRadius = 24 }) => {
+  const tallest = Math.max(...layerSizes);
+  const neuronSpacing = tallest > 1 ? Math.min(maxSpacing, (height - 2 * padding) / (tallest - 1)) : maxSpacing;
+  return {
+    layerSpacing: width / (layerSizes.length + 1),
+    neuronSpacing,
+    radius: Math.min(maxRadius, neuronSpacing * 0.4),
+  };
+};
+
+// Splits one layer pair's edges ({ magnitude, ... }) into the `limit` strongest, drawn one by one,
+// and a summary of the rest, drawn as a single band. `meanMagnitude` is 0 when nothing is hidden.
+export const cullEdges = (edges, limit) => {
+  if (edges.length <= limit) return { shown: edges, hidden: { count: 0, meanMagnitude: 0 } };
+  const sorted = [...edges].sort((a, b) => b.magnitude - a.magnitude);
+  const rest = sorted.slice(limit);
+  return {
+    shown: sorted.slice(0, limit),
+    hidden: { count: rest.length, meanMagnitude: rest.reduce((sum, e) => sum + e.magnitude, 0) / rest.length },
+  };
+};
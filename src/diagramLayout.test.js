@@ -0,0 +1,28 @@
+import { diagramLayout, cullEdges } from "./diagramLayout";
+
+describe("diagramLayout", () => {
+  test("up to six neurons per layer keep the default spacing and radius", () => {
+    expect(diagramLayout([1, 6, 2], { width: 800, height: 400 })).toEqual({ layerSpacing: 200, neuronSpacing: 70, radius: 24 });
+  });
+
+  test("tall layers shrink spacing and radius to fit", () => {
+    const { neuronSpacing, radius } = diagramLayout([1, 64, 1], { width: 800, height: 720 });
+    expect(neuronSpacing).toBeCloseTo(670 / 63);
+    expect(radius).toBeCloseTo(0.4 * (670 / 63));
+  });
+});
+
+describe("cullEdges", () => {
+  const edges = [0.1, 2, -0.5, 0.9, 0.3].map((w, i) => ({ id: i, magnitude: Math.abs(w) }));
+
+  test("keeps everything under the limit", () => {
+    expect(cullEdges(edges, 10)).toEqual({ shown: edges, hidden: { count: 0, meanMagnitude: 0 } });
+  });
+
+  test("keeps the strongest edges and summarizes the rest", () => {
+    const { shown, hidden } = cullEdges(edges, 2);
+    expect(shown.map((e) => e.id)).toEqual([1, 3]);
+    expect(hidden.count).toBe(3);
+    expect(hidden.meanMagnitude).toBeCloseTo(0.3);
+  });
+});
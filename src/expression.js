@@ -0,0 +1,200 @@
+// Small recursive-descent parser for user-typed math, e.g. "sin(x) * abs(x)".
+// Expressions compile to plain closures, so nothing is ever passed to eval.
+
+const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  exp: Math.exp,
+  log: Math.log,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  sign: Math.sign,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  round: Math.round,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E,
+};
+
+// Own keys only, so names like "constructor" or "toString" don't resolve through Object.prototype.
+const lookup = (table, name) => (Object.hasOwn(table, name) ? table[name] : undefined);
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (/[0-9.]/.test(ch)) {
+      const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+      if (!match) throw new Error(`Invalid number at position ${i + 1}`);
+      tokens.push({ type: "number", value: parseFloat(match[0]), pos: i });
+      i += match[0].length;
+    } else if (/[a-z_]/i.test(ch)) {
+      const match = /^[a-z_][a-z0-9_]*/i.exec(source.slice(i));
+      tokens.push({ type: "name", value: match[0], pos: i });
+      i += match[0].length;
+    } else if (source.startsWith("**", i)) {
+      tokens.push({ type: "op", value: "^", pos: i });
+      i += 2;
+    } else if ("+-*/^(),".includes(ch)) {
+      tokens.push({ type: "op", value: ch, pos: i });
+      i++;
+    } else {
+      throw new Error(`Unexpected character "${ch}" at position ${i + 1}`);
+    }
+  }
+  return tokens;
+};
+
+const parse = (tokens, variables, build) => {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek() && peek().type === "op" && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      const found = peek() ? `"${peek().value}"` : "end of expression";
+      throw new Error(`Expected "${value}" but found ${found}`);
+    }
+    pos++;
+  };
+
+  // expression := term (("+" | "-") term)*
+  const parseExpression = () => {
+    let left = parseTerm();
+    while (isOp("+") || isOp("-")) {
+      const op = tokens[pos++].value;
+      left = build.binary(op, left, parseTerm());
+    }
+    return left;
+  };
+
+  // term := unary (("*" | "/") unary)*
+  const parseTerm = () => {
+    let left = parseUnary();
+    while (isOp("*") || isOp("/")) {
+      const op = tokens[pos++].value;
+      left = build.binary(op, left, parseUnary());
+    }
+    return left;
+  };
+
+  // unary := ("-" | "+") unary | power
+  const parseUnary = () => {
+    if (isOp("-")) {
+      pos++;
+      return build.negate(parseUnary());
+    }
+    if (isOp("+")) {
+      pos++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary ("^" unary)?   (right-associative, binds tighter than unary minus on its left)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOp("^")) {
+      pos++;
+      return build.binary("^", base, parseUnary());
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error("Unexpected end of expression");
+
+    if (token.type === "number") {
+      pos++;
+      return build.number(token.value);
+    }
+
+    if (isOp("(")) {
+      pos++;
+      const inner = parseExpression();
+      expect(")");
+      return inner;
+    }
+
+    if (token.type === "name") {
+      pos++;
+      const name = token.value;
+      if (isOp("(")) {
+        const fn = lookup(FUNCTIONS, name);
+        if (!fn) throw new Error(`Unknown function "${name}"`);
+        pos++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(parseExpression());
+          while (isOp(",")) {
+            pos++;
+            args.push(parseExpression());
+          }
+        }
+        expect(")");
+        return build.call(name, fn, args);
+      }
+      if (variables.includes(name)) return build.variable(name);
+      const constant = lookup(CONSTANTS, name);
+      if (constant !== undefined) return build.number(constant);
+      throw new Error(`Unknown name "${name}"`);
+    }
+
+    throw new Error(`Unexpected "${token.value}" at position ${token.pos + 1}`);
+  };
+
+  const root = parseExpression();
+  if (pos < tokens.length) {
+    throw new Error(`Unexpected "${tokens[pos].value}" at position ${tokens[pos].pos + 1}`);
+  }
+  return root;
+};
+
+// The binary operators the grammar knows, as plain functions.
+export const BINARY_OPS = {
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "^": Math.pow,
+};
+
+// Builds the closures compileExpression returns.
+const closureBuilder = {
+  number: (value) => () => value,
+  variable: (name) => (scope) => scope[name],
+  negate: (operand) => (scope) => -operand(scope),
+  binary: (op, lhs, rhs) => {
+    const apply = BINARY_OPS[op];
+    return (scope) => apply(lhs(scope), rhs(scope));
+  },
+  call: (name, fn, args) => (scope) => fn(...args.map((arg) => arg(scope))),
+};
+
+// Parses `source` and hands each node to `build`, whose methods mirror closureBuilder:
+// number(value), variable(name), negate(x), binary(op, lhs, rhs) with op one of + - * / ^,
+// and call(name, fn, args) where fn is the Math function. Constants arrive as numbers.
+export const translateExpression = (source, variables, build) => {
+  if (!source || !source.trim()) throw new Error("Expression is empty");
+  return parse(tokenize(source), variables, build);
+};
+
+// Compiles `source` into a function taking a scope object, e.g. fn({ x: 1.5 }).
+// Throws an Error with a readable message when the expression is malformed.
+export const compileExpression = (source, variables = ["x"]) => translateExpression(source, variables, closureBuilder);
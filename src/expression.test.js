@@ -0,0 +1,43 @@
+import { compileExpression } from "./expression";
+
+const evaluate = (source, scope = {}) => compileExpression(source, ["x", "y"])(scope);
+
+describe("compileExpression", () => {
+  test("* and / bind tighter than + and -, and both associate left", () => {
+    expect(evaluate("1 + 2 * 3")).toBe(7);
+    expect(evaluate("(1 + 2) * 3")).toBe(9);
+    expect(evaluate("10 - 4 - 3")).toBe(3);
+    expect(evaluate("24 / 4 / 2")).toBe(3);
+  });
+
+  test("^ is right-associative and binds tighter than unary minus on its left", () => {
+    expect(evaluate("2 ^ 3 ^ 2")).toBe(512);
+    expect(evaluate("2 ** 3")).toBe(8);
+    expect(evaluate("-2 ^ 2")).toBe(-4);
+    expect(evaluate("2 ^ -1")).toBe(0.5);
+    expect(evaluate("--3")).toBe(3);
+    expect(evaluate("+x * -x", { x: 3 })).toBe(-9);
+  });
+
+  test("functions, constants and variables", () => {
+    expect(evaluate("max(x, 2 * pi) + abs(-e)", { x: 1 })).toBeCloseTo(2 * Math.PI + Math.E);
+    expect(evaluate("x * y", { x: 2, y: 4 })).toBe(8);
+    expect(evaluate("1.5e2 + .5")).toBe(150.5);
+  });
+
+  test("reports unknown names and malformed input", () => {
+    expect(() => compileExpression("foo(x)")).toThrow('Unknown function "foo"');
+    expect(() => compileExpression("y + 1")).toThrow('Unknown name "y"');
+    expect(() => compileExpression("sin(x")).toThrow('Expected ")" but found end of expression');
+    expect(() => compileExpression("1 +")).toThrow("Unexpected end of expression");
+    expect(() => compileExpression("2 $ 3")).toThrow('Unexpected character "$" at position 3');
+    expect(() => compileExpression("  ")).toThrow("Expression is empty");
+  });
+
+  test("Object.prototype keys are not functions or constants", () => {
+    expect(() => compileExpression("constructor(x)")).toThrow('Unknown function "constructor"');
+    expect(() => compileExpression("toString(x)")).toThrow('Unknown function "toString"');
+    expect(() => compileExpression("valueOf")).toThrow('Unknown name "valueOf"');
+    expect(() => compileExpression("__proto__ + 1")).toThrow('Unknown name "__proto__"');
+  });
+});
@@ -0,0 +1,32 @@
+// Undo/redo stacks of immutable editor states.
+
+export const HISTORY_LIMIT = 100;
+// Edits with the same merge key closer together than this (ms) form one entry, e.g. a slider drag.
+export const MERGE_WINDOW = 1000;
+
+export const createHistory = () => ({ past: [], future: [], lastKey: null, lastTime: 0 });
+
+// Saves `state` (the value before an edit) as an undo point and drops the redo stack.
+export const recordHistory = (history, state, { key = null, now = Date.now() } = {}) => {
+  if (key !== null && key === history.lastKey && now - history.lastTime < MERGE_WINDOW) {
+    return { ...history, lastTime: now };
+  }
+  return { past: [...history.past, state].slice(-HISTORY_LIMIT), future: [], lastKey: key, lastTime: now };
+};
+
+// Both return { history, state } with the state to show, or null when there is nothing to step to.
+export const undoHistory = (history, current) => {
+  if (!history.past.length) return null;
+  return {
+    history: { past: history.past.slice(0, -1), future: [current, ...history.future], lastKey: null, lastTime: 0 },
+    state: history.past[history.past.length - 1],
+  };
+};
+
+export const redoHistory = (history, current) => {
+  if (!history.future.length) return null;
+  return {
+    history: { past: [...history.past, current], future: history.future.slice(1), lastKey: null, lastTime: 0 },
+    state: history.future[0],
+  };
+};
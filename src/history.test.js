@@ -0,0 +1,42 @@
+import { createHistory, recordHistory, undoHistory, redoHistory, HISTORY_LIMIT, MERGE_WINDOW } from "./history";
+
+describe("history", () => {
+  test("undo and redo walk back and forth between states", () => {
+    let history = recordHistory(createHistory(), "a");
+    history = recordHistory(history, "b");
+    const undone = undoHistory(history, "c");
+    expect(undone.state).toBe("b");
+    const redone = redoHistory(undone.history, "b");
+    expect(redone.state).toBe("c");
+    expect(undoHistory(redone.history, "c").state).toBe("b");
+  });
+
+  test("nothing to undo or redo returns null", () => {
+    expect(undoHistory(createHistory(), "a")).toBeNull();
+    expect(redoHistory(createHistory(), "a")).toBeNull();
+  });
+
+  test("a new edit clears the redo stack", () => {
+    const { history } = undoHistory(recordHistory(createHistory(), "a"), "b");
+    expect(history.future).toEqual(["b"]);
+    expect(recordHistory(history, "a").future).toEqual([]);
+  });
+
+  test("rapid edits with the same key merge into one entry", () => {
+    let history = recordHistory(createHistory(), "start", { key: "w", now: 0 });
+    history = recordHistory(history, "mid", { key: "w", now: MERGE_WINDOW / 2 });
+    history = recordHistory(history, "late", { key: "w", now: MERGE_WINDOW / 2 + 10 });
+    expect(history.past).toEqual(["start"]);
+    // A pause or a different key starts a new entry.
+    history = recordHistory(history, "later", { key: "w", now: 10 * MERGE_WINDOW });
+    history = recordHistory(history, "other", { key: "b", now: 10 * MERGE_WINDOW });
+    expect(history.past).toEqual(["start", "later", "other"]);
+  });
+
+  test("keeps at most HISTORY_LIMIT entries", () => {
+    let history = createHistory();
+    for (let i = 0; i < HISTORY_LIMIT + 5; i++) history = recordHistory(history, i);
+    expect(history.past).toHaveLength(HISTORY_LIMIT);
+    expect(history.past[0]).toBe(5);
+  });
+});
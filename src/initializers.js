@@ -0,0 +1,40 @@
+// Seeded weight/bias initialization schemes.
+
+// mulberry32: tiny, fast and good enough to make "same seed, same network" hold.
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+export const randomSeed = () => Math.floor(Math.random() * 1000000);
+
+// Standard normal sample via Box-Muller.
+export const gaussian = (rng) => {
+  const u = 1 - rng();
+  const v = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+export const initializers = {
+  uniform: { label: "Uniform [-1, 1]", sample: (rng) => rng() * 2 - 1 },
+  normal: { label: "Normal (σ = 1)", sample: (rng) => gaussian(rng) },
+  xavier: {
+    label: "Xavier / Glorot",
+    sample: (rng, fanIn, fanOut) => (rng() * 2 - 1) * Math.sqrt(6 / (fanIn + fanOut)),
+  },
+  he: { label: "He", sample: (rng, fanIn) => (rng() * 2 - 1) * Math.sqrt(6 / fanIn) },
+  zeros: { label: "Zeros", sample: () => 0 },
+  constant: { label: "Constant", sample: (rng, fanIn, fanOut, constant) => constant },
+};
+
+// Fan-based schemes make no sense for a bias vector.
+export const biasInitializerNames = ["uniform", "normal", "zeros", "constant"];
+
+// Returns a () => number sampler for one layer, rounded like the slider values.
+export const createSampler = (name, rng, fanIn, fanOut, constant = 0) => () =>
+  parseFloat(initializers[name].sample(rng, fanIn, fanOut, constant).toFixed(2));
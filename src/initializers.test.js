@@ -0,0 +1,39 @@
+import { createRng, createSampler, initializers } from "./initializers";
+
+const draw = (sampler, n = 1000) => Array.from({ length: n }, sampler);
+
+describe("createRng", () => {
+  test("the same seed gives the same stream and another seed a different one", () => {
+    expect(draw(createRng(42), 20)).toEqual(draw(createRng(42), 20));
+    expect(draw(createRng(42), 20)).not.toEqual(draw(createRng(43), 20));
+    draw(createRng(7)).forEach((v) => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+  });
+
+  test("a seeded sampler rebuilds the same rounded weights", () => {
+    const weights = (seed) => draw(createSampler("normal", createRng(seed), 3, 2), 10);
+    expect(weights(5)).toEqual(weights(5));
+    weights(5).forEach((w) => expect(w).toBe(parseFloat(w.toFixed(2))));
+  });
+});
+
+describe("initializers", () => {
+  const rng = createRng(1);
+
+  test("Xavier stays within √(6 / (fan_in + fan_out)) and He within √(6 / fan_in)", () => {
+    const xavier = draw(() => initializers.xavier.sample(rng, 8, 4));
+    const he = draw(() => initializers.he.sample(rng, 8, 4));
+    expect(Math.max(...xavier.map(Math.abs))).toBeLessThanOrEqual(Math.sqrt(6 / 12));
+    expect(Math.max(...he.map(Math.abs))).toBeLessThanOrEqual(Math.sqrt(6 / 8));
+    // Both spread out to most of their range rather than collapsing near 0.
+    expect(Math.max(...xavier.map(Math.abs))).toBeGreaterThan(0.9 * Math.sqrt(6 / 12));
+    expect(Math.max(...he.map(Math.abs))).toBeGreaterThan(0.9 * Math.sqrt(6 / 8));
+  });
+
+  test("zeros is always 0 and constant always its value", () => {
+    expect(draw(createSampler("zeros", rng, 3, 2), 5)).toEqual([0, 0, 0, 0, 0]);
+    expect(draw(createSampler("constant", rng, 3, 2, 0.25), 3)).toEqual([0.25, 0.25, 0.25]);
+  });
+});
@@ -0,0 +1,63 @@
+// Per-layer statistics over a sweep of inputs: histograms of the parameters and activations, and
+// how often each neuron sits in a flat regime (see neuronRegime in networkEngine.js).
+
+import { compileNetwork, evaluateBatch, neuronRegime } from "./networkEngine";
+
+// Equal-width bins spanning `values` (any iterable of numbers) as [{ x0, x1, count }].
+// All-equal values make a single bin; no values make none.
+export const histogram = (values, binCount = 20) => {
+  let min = Infinity;
+  let max = -Infinity;
+  let total = 0;
+  for (const v of values) {
+    if (v < min) min = v;
+    if (v > max) max = v;
+    total++;
+  }
+  if (total === 0) return [];
+  if (min === max) return [{ x0: min, x1: max, count: total }];
+  const width = (max - min) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ x0: min + i * width, x1: min + (i + 1) * width, count: 0 }));
+  for (const v of values) bins[Math.min(binCount - 1, Math.floor((v - min) / width))].count++;
+  return bins;
+};
+
+// Runs `inputs` (input vectors) through the network in one batch. Per layer returns
+// { weights, biases, activations } histograms and per neuron { inactive, saturated, dead }:
+// the fractions of inputs where a ReLU's output a is 0 or a squashing unit is saturated, and
+// whether a ReLU outputs 0 for every input. Inactive goes by a itself, so a skip connection that
+// keeps the output up counts as active and a dropped neuron as inactive. Ablated and dropped
+// neurons are never reported dead or saturated, since their output isn't theirs to decide.
+export const layerStatistics = (network, inputs, { binCount = 20 } = {}) => {
+  const count = inputs.length;
+  const batch = evaluateBatch(compileNetwork(network), inputs.flat(), count);
+  return network.weights.map((Wl, l) => {
+    const activation = network.activations[l];
+    const zHat = batch.zHat[l];
+    const a = batch.a[l];
+    const neurons = Wl.map((_, i) => {
+      const isOwnOutput = network.neuronValues[l][i] === null && network.dropoutScales[l]?.[i] !== 0;
+      let inactive = 0;
+      let saturated = 0;
+      for (let p = 0; p < count; p++) {
+        const k = i * count + p;
+        if (activation === "relu") {
+          if (a[k] === 0) inactive++;
+        } else if (isOwnOutput && neuronRegime(activation, zHat[k]) === "saturated") {
+          saturated++;
+        }
+      }
+      return {
+        inactive: count ? inactive / count : 0,
+        saturated: count ? saturated / count : 0,
+        dead: count > 0 && inactive === count && isOwnOutput,
+      };
+    });
+    return {
+      weights: histogram(Wl.flat(), binCount),
+      biases: histogram(network.biases[l], binCount),
+      activations: histogram(batch.a[l], binCount),
+      neurons,
+    };
+  });
+};
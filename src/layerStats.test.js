@@ -0,0 +1,80 @@
+import { createNetwork } from "./networkEngine";
+import { histogram, layerStatistics } from "./layerStats";
+
+describe("histogram", () => {
+  test("splits the range into equal bins and keeps the maximum in the last one", () => {
+    const bins = histogram([0, 1, 1.5, 4], 4);
+    expect(bins.map((b) => b.count)).toEqual([1, 2, 0, 1]);
+    expect(bins[3]).toEqual({ x0: 3, x1: 4, count: 1 });
+  });
+
+  test("all-equal values make one bin and no values make none", () => {
+    expect(histogram([2, 2, 2])).toEqual([{ x0: 2, x1: 2, count: 3 }]);
+    expect(histogram([])).toEqual([]);
+  });
+});
+
+describe("layerStatistics", () => {
+  // 1 input -> 3 hidden with z = [x, -x - 10, 2x] -> 1 linear
+  const spec = {
+    inputSize: 1,
+    neuronsPerLayer: [3, 1],
+    activations: ["relu", "linear"],
+    weights: [[[1], [-1], [2]], [[1, 1, 1]]],
+    biases: [[0, -10, 0], [0]],
+  };
+  const reluNet = createNetwork(spec);
+  const network = createNetwork({ ...spec, activations: ["tanh", "linear"] });
+  const inputs = [-4, -2, -1, 0.5, 1, 3].map((x) => [x]);
+
+  test("counts inactive ReLUs and flags the ones that never fire", () => {
+    const [hidden] = layerStatistics(reluNet, inputs);
+    expect(hidden.neurons[0].inactive).toBeCloseTo(3 / 6);
+    expect(hidden.neurons[1]).toEqual({ inactive: 1, saturated: 0, dead: true });
+    expect(hidden.neurons[0].dead).toBe(false);
+  });
+
+  test("measures tanh saturation at |z| ≥ 3", () => {
+    const [hidden] = layerStatistics(network, inputs);
+    // 2x reaches |z| ≥ 3 at x = -4, -2 and 3.
+    expect(hidden.neurons[2].saturated).toBeCloseTo(3 / 6);
+    expect(hidden.neurons.every((neuron) => !neuron.dead)).toBe(true);
+  });
+
+  test("histograms cover every weight, bias and activation", () => {
+    const [hidden, output] = layerStatistics(reluNet, inputs, { binCount: 5 });
+    const total = (bins) => bins.reduce((sum, b) => sum + b.count, 0);
+    expect(total(hidden.weights)).toBe(3);
+    expect(total(hidden.biases)).toBe(3);
+    expect(total(hidden.activations)).toBe(3 * inputs.length);
+    expect(total(output.activations)).toBe(inputs.length);
+  });
+
+  test("goes by the output a layer emits, skip connections and dropout included", () => {
+    // 1 input -> 1 relu with z = -x - 10 and a skip -> 1 tanh with z = 5a, dropped
+    const options = {
+      inputSize: 1,
+      neuronsPerLayer: [1, 1],
+      activations: ["relu", "tanh"],
+      weights: [[[-1]], [[5]]],
+      biases: [[-10], [0]],
+      layerOptions: [{ residual: true }, { dropout: 0.5 }],
+      dropoutMasks: [[true], [false]],
+    };
+    const [skipped, dropped] = layerStatistics(createNetwork(options), inputs);
+    // z ≤ 0 everywhere, but the skip passes x through: a = 0 only at x = 0, which isn't sampled.
+    expect(skipped.neurons[0]).toEqual({ inactive: 0, saturated: 0, dead: false });
+    // Saturated by z, but dropped, so its output is 0 rather than ±1.
+    expect(dropped.neurons[0]).toEqual({ inactive: 0, saturated: 0, dead: false });
+
+    // A dropped ReLU outputs 0 without being dead.
+    const droppedRelu = createNetwork({ ...spec, layerOptions: [{ dropout: 0.5 }], dropoutMasks: [[true, true, false]] });
+    const [hidden] = layerStatistics(droppedRelu, inputs);
+    expect(hidden.neurons[2]).toEqual({ inactive: 1, saturated: 0, dead: false });
+  });
+
+  test("an ablated neuron is not reported dead", () => {
+    const ablated = createNetwork({ ...spec, ablation: { neurons: [{ layer: 0, neuron: 1, value: 0 }] } });
+    expect(layerStatistics(ablated, inputs)[0].neurons[1].dead).toBe(false);
+  });
+});
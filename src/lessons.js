@@ -0,0 +1,228 @@
+// Guided lessons: a scripted network, which of its parameters may be edited, a goal that is
+// checked along x over its own range, and hints. Lesson files are JSON:
+//
+// {
+//   "format": "dnn-visualizer/lessons",
+//   "version": 1,
+//   "lessons": [{
+//     "id": "abs-value",                          // unique; progress is saved under it
+//     "title": "Fold a ReLU into |x|",
+//     "intro": "…",                               // optional
+//     "network": { … },                           // a network file (see networkFile.js) with one input
+//     "locked": ["L2", "L1N1.w1"],                // optional: these parameters can't be edited…
+//     "unlocked": ["L1N2.b"],                     // …or, instead, only these can
+//     "goal": {
+//       "type": "match",                          // "match": the neuron's curve follows "expression"
+//       "neuron": "L2N1",                         // "dead": the neuron outputs 0 everywhere in range
+//       "expression": "abs(x)",                   // "match" only, in x
+//       "range": [-3, 3],                         // x range the goal is checked over
+//       "tolerance": 0.05,                        // optional, largest allowed |error|
+//       "description": "Make the output |x|"      // optional, shown to the student
+//     },
+//     "hints": ["…", "…"]                         // optional, revealed one at a time
+//   }]
+// }
+//
+// Parameter references: "L1" is a whole layer, "L1N2" one neuron's bias and weights, "L1N2.b" its
+// bias and "L1N2.w3" its weight from input (or previous-layer neuron) 3. All are 1-based.
+
+import { compileExpression } from "./expression";
+import { compileNetwork, evaluateBatch } from "./networkEngine";
+import { readNetwork, validateNetwork } from "./networkFile";
+import { uniformPoints } from "./sampling";
+
+export const LESSON_FORMAT = "dnn-visualizer/lessons";
+export const LESSON_VERSION = 1;
+// Goals are checked at this many evenly spaced steps across their range.
+export const GOAL_STEPS = 400;
+
+export const GOAL_TYPES = {
+  match: { defaultTolerance: 0.05 },
+  // Checked values are rounded to 4 decimals like the graph's, so anything below that reads as 0.
+  dead: { defaultTolerance: 1e-4 },
+};
+
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isStringList = (v) => Array.isArray(v) && v.every((s) => typeof s === "string");
+
+// { layer, neuron, input } (0-based) for a parameter reference, or null when malformed.
+// `neuron` is null for a whole layer; `input` is undefined for every parameter of the neuron
+// and null for its bias.
+export const parseParameterRef = (ref) => {
+  const match = typeof ref === "string" && ref.match(/^L(\d+)(?:N(\d+)(?:\.(b|w(\d+)))?)?$/);
+  if (!match) return null;
+  const [, layer, neuron, term, input] = match;
+  return {
+    layer: Number(layer) - 1,
+    neuron: neuron === undefined ? null : Number(neuron) - 1,
+    input: term === undefined ? undefined : term === "b" ? null : Number(input) - 1,
+  };
+};
+
+const refExists = ({ layer, neuron, input }, layerSizes) => {
+  if (layer < 0 || layer >= layerSizes.length - 1) return false;
+  if (neuron === null) return true;
+  if (neuron < 0 || neuron >= layerSizes[layer + 1]) return false;
+  return input === undefined || input === null || (input >= 0 && input < layerSizes[layer]);
+};
+
+const refCovers = ({ layer, neuron, input }, l, i, j) =>
+  layer === l && (neuron === null || neuron === i) && (input === undefined || input === j);
+
+// Checks one lesson object and returns a list of human-readable problems (empty when valid).
+export const validateLesson = (lesson, limits) => {
+  if (!lesson || typeof lesson !== "object" || Array.isArray(lesson)) return ["Lesson is not a JSON object."];
+  const { id, title, intro, network, locked, unlocked, goal, hints } = lesson;
+  const errors = [];
+  if (typeof id !== "string" || !id.trim()) errors.push(`"id" must be a non-empty string.`);
+  if (typeof title !== "string" || !title.trim()) errors.push(`"title" must be a non-empty string.`);
+  if (intro !== undefined && typeof intro !== "string") errors.push(`"intro" must be a string.`);
+  if (hints !== undefined && !isStringList(hints)) errors.push(`"hints" must be an array of strings.`);
+
+  const networkErrors = validateNetwork(network, limits);
+  if (networkErrors.length) return [...errors, ...networkErrors.map((e) => `Network: ${e}`)];
+  if (network.inputs.length !== 1) return [...errors, "Lesson networks must have exactly 1 input, since goals are checked along x."];
+  const layerSizes = [1, ...network.neuronsPerLayer];
+
+  if (locked !== undefined && unlocked !== undefined) errors.push(`Use either "locked" or "unlocked", not both.`);
+  [["locked", locked], ["unlocked", unlocked]].forEach(([field, refs]) => {
+    if (refs === undefined) return;
+    if (!isStringList(refs)) {
+      errors.push(`"${field}" must be an array of parameter references like "L1N2.w1".`);
+      return;
+    }
+    refs.forEach((ref) => {
+      const parsed = parseParameterRef(ref);
+      if (!parsed) errors.push(`"${ref}" is not a parameter reference (e.g. "L1", "L1N2", "L1N2.b" or "L1N2.w1").`);
+      else if (!refExists(parsed, layerSizes)) errors.push(`"${ref}" does not exist in this network.`);
+    });
+  });
+
+  if (!goal || typeof goal !== "object") return [...errors, `"goal" must be an object.`];
+  if (!Object.keys(GOAL_TYPES).includes(goal.type)) errors.push(`Unknown goal type "${goal.type}" (expected ${Object.keys(GOAL_TYPES).join(" or ")}).`);
+  const target = parseParameterRef(goal.neuron);
+  if (!target || target.neuron === null || target.input !== undefined || !refExists(target, layerSizes)) {
+    errors.push(`Goal "neuron" must name a neuron of this network, like "L1N2".`);
+  }
+  if (!Array.isArray(goal.range) || goal.range.length !== 2 || !goal.range.every(isFiniteNumber) || goal.range[0] >= goal.range[1]) {
+    errors.push(`Goal "range" must be [min, max] with min < max.`);
+  }
+  if (goal.tolerance !== undefined && !(isFiniteNumber(goal.tolerance) && goal.tolerance > 0)) {
+    errors.push(`Goal "tolerance" must be a positive number.`);
+  }
+  if (goal.description !== undefined && typeof goal.description !== "string") errors.push(`Goal "description" must be a string.`);
+  if (goal.type === "match") {
+    try {
+      compileExpression(goal.expression, ["x"]);
+    } catch (err) {
+      errors.push(`Goal "expression": ${err.message}.`);
+    }
+  }
+  return errors;
+};
+
+const defaultDescription = ({ type, neuron, expression, range: [min, max] }) =>
+  type === "dead"
+    ? `Make ${neuron} output 0 for every x in [${min}, ${max}].`
+    : `Make ${neuron} follow ${expression} for x in [${min}, ${max}].`;
+
+// Validates one lesson and fills in defaults. Throws an Error listing every problem, one per line.
+export const readLesson = (lesson, limits) => {
+  const errors = validateLesson(lesson, limits);
+  if (errors.length) throw new Error(errors.join("\n"));
+  const { goal } = lesson;
+  const { layer, neuron } = parseParameterRef(goal.neuron);
+  return {
+    ...lesson,
+    intro: lesson.intro ?? "",
+    hints: lesson.hints ?? [],
+    network: readNetwork(lesson.network, limits),
+    goal: {
+      ...goal,
+      key: `L${layer + 1}_N${neuron + 1}`,
+      tolerance: goal.tolerance ?? GOAL_TYPES[goal.type].defaultTolerance,
+      description: goal.description ?? defaultDescription(goal),
+    },
+  };
+};
+
+// Reads a parsed lesson file. Problems are reported per lesson, prefixed with its number.
+export const readLessons = (data, limits) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) throw new Error("File does not contain a JSON object.");
+  if (data.format !== LESSON_FORMAT) throw new Error(`Unrecognized file format "${data.format}" (expected "${LESSON_FORMAT}").`);
+  if (data.version !== LESSON_VERSION) throw new Error(`Unsupported lesson file version ${data.version} (this app reads version ${LESSON_VERSION}).`);
+  if (!Array.isArray(data.lessons) || data.lessons.length === 0) throw new Error(`"lessons" must be a non-empty array.`);
+
+  const errors = [];
+  const lessons = [];
+  data.lessons.forEach((lesson, n) => {
+    try {
+      lessons.push(readLesson(lesson, limits));
+    } catch (err) {
+      errors.push(...err.message.split("\n").map((line) => `Lesson ${n + 1}: ${line}`));
+    }
+  });
+  const ids = lessons.map(({ id }) => id);
+  ids.forEach((id, n) => {
+    if (ids.indexOf(id) !== n) errors.push(`Lesson id "${id}" is used more than once.`);
+  });
+  if (errors.length) throw new Error(errors.join("\n"));
+  return lessons;
+};
+
+export const parseLessons = (text, limits) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`File is not valid JSON: ${err.message}`);
+  }
+  return readLessons(data, limits);
+};
+
+// (layer, neuron, input) => whether the lesson locks that parameter; input is null for the bias.
+export const createLockCheck = ({ locked, unlocked }) => {
+  if (unlocked) {
+    const refs = unlocked.map(parseParameterRef);
+    return (l, i, j) => !refs.some((ref) => refCovers(ref, l, i, j));
+  }
+  const refs = (locked ?? []).map(parseParameterRef);
+  return (l, i, j) => refs.some((ref) => refCovers(ref, l, i, j));
+};
+
+// `next` [weights, biases] with every locked entry put back to its value in `previous`.
+export const keepLocked = ([weights, biases], [prevWeights, prevBiases], isLocked) => [
+  weights.map((layer, l) => layer.map((row, i) => row.map((w, j) => (isLocked(l, i, j) ? prevWeights[l]?.[i]?.[j] ?? w : w)))),
+  biases.map((layer, l) => layer.map((b, i) => (isLocked(l, i, null) ? prevBiases[l]?.[i] ?? b : b))),
+];
+
+// The goal neuron's output across the goal's range in a single-input `network`, as checkGoal's
+// points ([{ x, L1_N1: a }]). A neuron the network doesn't have yields NaN, which checkGoal skips.
+export const goalPoints = (goal, network) => {
+  const { layer, neuron } = parseParameterRef(goal.neuron);
+  const [min, max] = goal.range;
+  const xs = uniformPoints(min, max, (max - min) / GOAL_STEPS);
+  const { a } = evaluateBatch(compileNetwork(network), xs, xs.length);
+  return xs.map((x, p) => ({ x, [goal.key]: parseFloat(a[layer]?.[neuron * xs.length + p]?.toFixed(4)) }));
+};
+
+// Checks `goal` against points ([{ x, L1_N1: a, … }], usually from goalPoints).
+// Returns { passed, checked, worst } where worst is the point furthest off ({ x, value, expected,
+// error }), or null when no point falls inside the goal's range.
+export const checkGoal = (goal, points) => {
+  const [min, max] = goal.range;
+  const compiled = goal.type === "match" ? compileExpression(goal.expression, ["x"]) : null;
+  const expectedAt = (x) => (compiled ? compiled({ x }) : 0);
+  let worst = null;
+  let checked = 0;
+  points.forEach((point) => {
+    const value = point[goal.key];
+    if (point.x < min || point.x > max || !Number.isFinite(value)) return;
+    const expected = expectedAt(point.x);
+    if (!Number.isFinite(expected)) return;
+    checked++;
+    const error = Math.abs(value - expected);
+    if (!worst || error > worst.error) worst = { x: point.x, value, expected, error };
+  });
+  return { passed: checked > 0 && worst.error <= goal.tolerance, checked, worst };
+};
@@ -0,0 +1,72 @@
+import { builtInActivationNames, createNetwork } from "./networkEngine";
+import { builtInLessonFile } from "./presets";
+import { checkGoal, createLockCheck, goalPoints, keepLocked, parseParameterRef, readLessons } from "./lessons";
+
+const limits = { activations: builtInActivationNames, maxLayers: 10, maxNeurons: 64, maxInputs: 4 };
+
+const toNetwork = ({ neuronsPerLayer, activations, weights, biases }) =>
+  createNetwork({ inputSize: 1, neuronsPerLayer, activations, weights, biases });
+
+describe("lesson files", () => {
+  test("parameter references are 1-based layers, neurons, biases and weights", () => {
+    expect(parseParameterRef("L2")).toEqual({ layer: 1, neuron: null, input: undefined });
+    expect(parseParameterRef("L1N3.b")).toEqual({ layer: 0, neuron: 2, input: null });
+    expect(parseParameterRef("L1N3.w2")).toEqual({ layer: 0, neuron: 2, input: 1 });
+    expect(parseParameterRef("N1")).toBeNull();
+  });
+
+  test("reports problems per lesson", () => {
+    const [lesson] = builtInLessonFile.lessons;
+    const broken = { ...lesson, locked: ["L3"], unlocked: [], goal: { ...lesson.goal, expression: "abs(" } };
+    expect(() => readLessons({ ...builtInLessonFile, lessons: [lesson, broken] }, limits)).toThrow(
+      /^Lesson 2: Use either "locked" or "unlocked", not both\.\nLesson 2: "L3" does not exist in this network\.\nLesson 2: Goal "expression": /
+    );
+    expect(() => readLessons({ ...builtInLessonFile, lessons: [lesson, lesson] }, limits)).toThrow('Lesson id "abs-value" is used more than once.');
+  });
+
+  test("locks either the listed parameters or everything but them", () => {
+    const locked = createLockCheck({ locked: ["L2", "L1N1.w1"] });
+    expect([locked(1, 0, 2), locked(0, 0, 0), locked(0, 0, null), locked(0, 1, 0)]).toEqual([true, true, false, false]);
+    const unlocked = createLockCheck({ unlocked: ["L1N2.b"] });
+    expect([unlocked(0, 1, null), unlocked(0, 1, 0), unlocked(1, 0, 0)]).toEqual([false, true, true]);
+    const previous = [[[[1], [2]]], [[3, 4]]];
+    expect(keepLocked([[[[9], [9]]], [[9, 9]]], previous, unlocked)).toEqual([[[[1], [2]]], [[3, 9]]]);
+  });
+});
+
+describe("goals", () => {
+  test("match reports the point furthest from the expression", () => {
+    const goal = { type: "match", key: "L1_N1", expression: "abs(x)", range: [-1, 1], tolerance: 0.05 };
+    const points = [{ x: -2, L1_N1: 0 }, { x: -1, L1_N1: 1 }, { x: 0, L1_N1: 0.2 }, { x: 1, L1_N1: 1.01 }];
+    expect(checkGoal(goal, points)).toEqual({ passed: false, checked: 3, worst: { x: 0, value: 0.2, expected: 0, error: 0.2 } });
+    expect(checkGoal({ ...goal, tolerance: 0.25 }, points).passed).toBe(true);
+    // Nothing plotted inside the range can't pass.
+    expect(checkGoal({ ...goal, range: [5, 6] }, points)).toEqual({ passed: false, checked: 0, worst: null });
+  });
+
+  test("every built-in lesson starts unsolved and its last hint solves it", () => {
+    const lessons = readLessons(builtInLessonFile, limits);
+    const solutions = {
+      "abs-value": ({ weights }) => { weights[0][1][0] = -1; },
+      "dead-for-negative": ({ weights, biases }) => { weights[0][1][0] = 1; biases[0][1] = 0; },
+      "relu-bump": ({ biases }) => { biases[0] = [1, 0, -1]; },
+    };
+    lessons.forEach(({ id, network, goal }) => {
+      expect(checkGoal(goal, goalPoints(goal, toNetwork(network))).passed).toBe(false);
+      const solved = JSON.parse(JSON.stringify(network));
+      solutions[id](solved);
+      expect(checkGoal(goal, goalPoints(goal, toNetwork(solved))).passed).toBe(true);
+    });
+  });
+
+  test("goal points span the goal's whole range", () => {
+    // relu(x - 7) is dead everywhere but the far end of [-8, 8].
+    const network = createNetwork({ inputSize: 1, neuronsPerLayer: [1], activations: ["relu"], weights: [[[1]]], biases: [[-7]] });
+    const goal = { type: "dead", neuron: "L1N1", key: "L1_N1", range: [-8, 8], tolerance: 1e-4 };
+    const points = goalPoints(goal, network);
+    expect([points[0].x, points[points.length - 1].x]).toEqual([-8, 8]);
+    expect(checkGoal(goal, points).worst).toEqual({ x: 8, value: 1, expected: 0, error: 1 });
+    const missing = { ...goal, neuron: "L2N1", key: "L2_N1" };
+    expect(checkGoal(missing, goalPoints(missing, network)).checked).toBe(0);
+  });
+});
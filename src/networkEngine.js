@@ -0,0 +1,459 @@
+// Headless network engine: activations, parameter shapes and forward passes.
+// Nothing in here knows about React, so it can be reused and unit-tested on its own.
+
+import { compileExpression } from "./expression";
+
+export const DEFAULT_LEAKY_SLOPE = 0.01;
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+const GELU_K = Math.sqrt(2 / Math.PI);
+
+// Each activation is { fn, derivative }; the derivative feeds the backward pass.
+const builtInActivations = (leakySlope) => ({
+  relu: { fn: (z) => Math.max(0, z), derivative: (z) => (z > 0 ? 1 : 0) },
+  leaky_relu: { fn: (z) => (z > 0 ? z : leakySlope * z), derivative: (z) => (z > 0 ? 1 : leakySlope) },
+  elu: { fn: (z) => (z > 0 ? z : Math.exp(z) - 1), derivative: (z) => (z > 0 ? 1 : Math.exp(z)) },
+  // tanh approximation, as used by GPT-2 and PyTorch's approximate="tanh"
+  gelu: {
+    fn: (z) => 0.5 * z * (1 + Math.tanh(GELU_K * (z + 0.044715 * z ** 3))),
+    derivative: (z) => {
+      const t = Math.tanh(GELU_K * (z + 0.044715 * z ** 3));
+      return 0.5 * (1 + t) + 0.5 * z * (1 - t * t) * GELU_K * (1 + 3 * 0.044715 * z * z);
+    },
+  },
+  swish: {
+    fn: (z) => z * sigmoid(z),
+    derivative: (z) => {
+      const s = sigmoid(z);
+      return s + z * s * (1 - s);
+    },
+  },
+  softplus: { fn: (z) => (z > 30 ? z : Math.log1p(Math.exp(z))), derivative: sigmoid },
+  sigmoid: {
+    fn: sigmoid,
+    derivative: (z) => {
+      const s = sigmoid(z);
+      return s * (1 - s);
+    },
+  },
+  // PyTorch's definition: relu6(z + 3) / 6
+  hard_sigmoid: {
+    fn: (z) => Math.min(1, Math.max(0, z / 6 + 0.5)),
+    derivative: (z) => (z > -3 && z < 3 ? 1 / 6 : 0),
+  },
+  tanh: { fn: (z) => Math.tanh(z), derivative: (z) => 1 - Math.tanh(z) ** 2 },
+  sin: { fn: (z) => Math.sin(z), derivative: (z) => Math.cos(z) },
+  linear: { fn: (z) => z, derivative: () => 1 },
+});
+
+const defaultBuiltIns = builtInActivations(DEFAULT_LEAKY_SLOPE);
+
+export const builtInActivationNames = Object.keys(defaultBuiltIns);
+
+export const activationFunctions = Object.fromEntries(
+  Object.entries(defaultBuiltIns).map(([name, { fn }]) => [name, fn])
+);
+
+export const activationDerivatives = Object.fromEntries(
+  Object.entries(defaultBuiltIns).map(([name, { derivative }]) => [name, derivative])
+);
+
+// Turns a user-typed expression in z into an activation. Throws on a malformed expression.
+// The derivative is a central difference, which is plenty for plots and gradient descent.
+export const customActivation = (expression) => {
+  const compiled = compileExpression(expression, ["z"]);
+  const fn = (z) => compiled({ z });
+  const h = 1e-4;
+  return { fn, derivative: (z) => (fn(z + h) - fn(z - h)) / (2 * h), expression };
+};
+
+// Checks a proposed custom activation name; returns an error message or null.
+export const validateActivationName = (name, taken = []) => {
+  if (!/^[a-z_][a-z0-9_]*$/i.test(name)) return "Name must start with a letter and use only letters, digits and _";
+  if (builtInActivationNames.includes(name)) return `"${name}" is a built-in activation`;
+  if (taken.includes(name)) return `"${name}" is already defined`;
+  return null;
+};
+
+// All activations a network may use: the built-ins plus custom [{ name, expression }] definitions.
+export const createActivationRegistry = ({ leakySlope = DEFAULT_LEAKY_SLOPE, custom = [] } = {}) => ({
+  ...builtInActivations(leakySlope),
+  ...Object.fromEntries(custom.map(({ name, expression }) => [name, customActivation(expression)])),
+});
+
+const defaultRegistry = createActivationRegistry();
+
+// --- Parameter shapes ---
+
+export const fillMatrix = (rows, cols, sample) => Array.from({ length: rows }, () => Array.from({ length: cols }, () => sample()));
+
+// Keep existing entries and sample only new ones, so shape edits are incremental.
+export const resizeVector = (vec, length, sample) => Array.from({ length }, (_, i) => vec[i] ?? sample());
+export const resizeMatrix = (matrix, rows, cols, sample) =>
+  Array.from({ length: rows }, (_, i) => resizeVector(matrix[i] || [], cols, sample));
+
+// Builds [weights, biases] for the given sizes. `makeSamplers(fanIn, fanOut)` returns
+// { weight, bias } functions producing one value per call.
+export const initializeParams = (layerSizes, makeSamplers) => {
+  const W = [];
+  const b = [];
+  for (let l = 1; l < layerSizes.length; l++) {
+    const rows = layerSizes[l];
+    const cols = layerSizes[l - 1];
+    const { weight, bias } = makeSamplers(cols, rows);
+    W.push(fillMatrix(rows, cols, weight));
+    b.push(resizeVector([], rows, bias));
+  }
+  return [W, b];
+};
+
+// --- Layer options ---
+
+// Per-layer extras around the dense Wl·x + bl and its activation, applied in this order:
+//   norm:     LayerNorm of the layer's z as { gain, bias } vectors, or null for none
+//   dropout:  drop rate in [0, 1); inverted dropout, so kept outputs are scaled by 1 / (1 - rate)
+//   residual: add the layer's input back onto its output; only possible when the width is unchanged
+export const defaultLayerOptions = () => ({ residual: false, norm: null, dropout: 0 });
+
+// PyTorch's nn.LayerNorm default.
+export const LAYER_NORM_EPSILON = 1e-5;
+
+export const canSkip = (layerSizes, l) => layerSizes[l] === layerSizes[l + 1];
+
+// Keeps `options` in step with the layer sizes; LayerNorm vectors resize like biases (gain 1, bias 0).
+export const resizeLayerOptions = (options, neuronsPerLayer) =>
+  neuronsPerLayer.map((rows, l) => {
+    const current = { ...defaultLayerOptions(), ...options[l] };
+    if (!current.norm) return current;
+    const { gain, bias } = current.norm;
+    return { ...current, norm: { gain: resizeVector(gain, rows, () => 1), bias: resizeVector(bias, rows, () => 0) } };
+  });
+
+// Mean and 1/σ of one layer's z values, as LayerNorm uses them.
+export const layerNormStats = (zs) => {
+  const mean = zs.reduce((sum, z) => sum + z, 0) / zs.length;
+  const variance = zs.reduce((sum, z) => sum + (z - mean) ** 2, 0) / zs.length;
+  return { mean, invStd: 1 / Math.sqrt(variance + LAYER_NORM_EPSILON) };
+};
+
+// Fresh dropout masks: masks[l][i] is false when neuron i of layer l is dropped.
+export const sampleDropoutMasks = (layerOptions, neuronsPerLayer, random = Math.random) =>
+  neuronsPerLayer.map((rows, l) => Array.from({ length: rows }, () => random() >= (layerOptions[l]?.dropout ?? 0)));
+
+// --- Network ---
+
+// Ablations as the UI stores them: { "layer:neuron": value } for forced neurons and a Set of
+// "layer:neuron:input" cuts. Removing layer `idx` drops its keys and moves later layers down one;
+// cuts into the layer after it are dropped as well, since that layer's incoming weights are rebuilt.
+export const removeLayerAblations = ({ neurons, connections }, idx) => {
+  const remap = (key, dropNextLayer) => {
+    const [layer, ...rest] = key.split(":").map(Number);
+    if (layer < idx) return key;
+    if (layer === idx || (dropNextLayer && layer === idx + 1)) return null;
+    return [layer - 1, ...rest].join(":");
+  };
+  const nextNeurons = {};
+  Object.entries(neurons).forEach(([key, value]) => {
+    const next = remap(key, false);
+    if (next !== null) nextNeurons[next] = value;
+  });
+  const nextConnections = new Set([...connections].map((key) => remap(key, true)).filter((key) => key !== null));
+  return { neurons: nextNeurons, connections: nextConnections };
+};
+
+// Validates a spec and returns a network the forward functions accept.
+// Throws an Error naming the first layer whose parameters don't fit the architecture.
+// `ablation` optionally forces neuron outputs to constants ({ layer, neuron, value }) and cuts
+// connections ({ layer, neuron, input }); entries that don't fit the architecture are ignored.
+// `layerOptions` adds skip connections, LayerNorm and dropout per layer (see defaultLayerOptions).
+// Dropout only acts in training mode, which is on when `dropoutMasks` are given.
+// `activationRounding[l]`, when set, rounds every output of layer l (see quantization.js).
+export const createNetwork = ({
+  inputSize,
+  neuronsPerLayer,
+  activations,
+  weights,
+  biases,
+  registry = defaultRegistry,
+  ablation = {},
+  layerOptions = [],
+  dropoutMasks = null,
+  activationRounding = [],
+}) => {
+  const layerSizes = [inputSize, ...neuronsPerLayer];
+
+  if (weights.length !== neuronsPerLayer.length || biases.length !== neuronsPerLayer.length) {
+    throw new Error(`Expected parameters for ${neuronsPerLayer.length} layers`);
+  }
+  neuronsPerLayer.forEach((rows, l) => {
+    const cols = layerSizes[l];
+    if (weights[l].length !== rows || weights[l].some((row) => row.length !== cols)) {
+      throw new Error(`Layer ${l + 1} weights must be ${rows}×${cols}`);
+    }
+    if (biases[l].length !== rows) {
+      throw new Error(`Layer ${l + 1} biases must have ${rows} entries`);
+    }
+  });
+
+  const layerActivations = neuronsPerLayer.map((_, l) => activations[l] || "relu");
+  const layerFunctions = layerActivations.map((name, l) => {
+    if (!registry[name]) throw new Error(`Layer ${l + 1} uses unknown activation "${name}"`);
+    return registry[name];
+  });
+
+  // neuronValues[l][i] is the forced output or null; cut connections act as a weight of 0
+  // while `weights` keeps the real values, so training never overwrites them.
+  const neuronValues = neuronsPerLayer.map((size) => Array(size).fill(null));
+  (ablation.neurons || []).forEach(({ layer, neuron, value }) => {
+    if (neuronValues[layer]?.[neuron] !== undefined) neuronValues[layer][neuron] = value;
+  });
+  const connectionMask = weights.map((Wl) => Wl.map((row) => row.map(() => 1)));
+  (ablation.connections || []).forEach(({ layer, neuron, input }) => {
+    if (connectionMask[layer]?.[neuron]?.[input] !== undefined) connectionMask[layer][neuron][input] = 0;
+  });
+  const effectiveWeights = weights.map((Wl, l) => Wl.map((row, i) => row.map((w, j) => w * connectionMask[l][i][j])));
+
+  const options = neuronsPerLayer.map((rows, l) => {
+    const { residual, norm, dropout } = { ...defaultLayerOptions(), ...layerOptions[l] };
+    if (norm && (norm.gain.length !== rows || norm.bias.length !== rows)) {
+      throw new Error(`Layer ${l + 1} LayerNorm gain and bias must have ${rows} entries`);
+    }
+    if (!(dropout >= 0 && dropout < 1)) throw new Error(`Layer ${l + 1} dropout rate must be in [0, 1)`);
+    return { residual: residual && canSkip(layerSizes, l), norm, dropout };
+  });
+  // dropoutScales[l][i] multiplies the activation: 0 when dropped, 1 / (1 - rate) when kept.
+  const training = dropoutMasks !== null;
+  const dropoutScales = options.map(({ dropout }, l) =>
+    training && dropout > 0 ? neuronValues[l].map((_, i) => (dropoutMasks[l]?.[i] === false ? 0 : 1 / (1 - dropout))) : null
+  );
+
+  return {
+    inputSize,
+    layerSizes,
+    activations: layerActivations,
+    layerFunctions,
+    weights,
+    biases,
+    neuronValues,
+    connectionMask,
+    effectiveWeights,
+    residual: options.map((o) => o.residual),
+    norms: options.map((o) => o.norm),
+    dropoutRates: options.map((o) => o.dropout),
+    dropoutScales,
+    training,
+    activationRounding: neuronsPerLayer.map((_, l) => activationRounding[l] ?? null),
+  };
+};
+
+// Full trace of one forward pass: trace[l][i] = { z, zHat, a, inputs, keep, skip } for neuron i of
+// layer l, where `inputs` is the vector that layer received. zHat is z after LayerNorm (z itself
+// without one), keep the dropout scale and skip the input added back by a skip connection, so
+// a = f(zHat) · keep + skip (then rounded, if the layer rounds) unless the neuron is ablated.
+export const forward = (network, x) => {
+  if (x.length !== network.inputSize) {
+    throw new Error(`Expected ${network.inputSize} inputs but got ${x.length}`);
+  }
+  const trace = [];
+  let inputVector = [...x];
+  network.effectiveWeights.forEach((Wl, l) => {
+    const bl = network.biases[l];
+    const actFn = network.layerFunctions[l].fn;
+    const forced = network.neuronValues[l];
+    const norm = network.norms[l];
+    const scales = network.dropoutScales[l];
+    const round = network.activationRounding[l] ?? ((v) => v);
+    const layerInput = inputVector;
+    const zs = Wl.map((row, i) => row.reduce((sum, w, j) => sum + w * layerInput[j], 0) + bl[i]);
+    const stats = norm && layerNormStats(zs);
+    const layer = zs.map((z, i) => {
+      const zHat = norm ? norm.gain[i] * (z - stats.mean) * stats.invStd + norm.bias[i] : z;
+      const keep = scales ? scales[i] : 1;
+      const skip = network.residual[l] ? layerInput[i] : 0;
+      return { z, zHat, a: forced[i] === null ? round(actFn(zHat) * keep + skip) : forced[i], inputs: layerInput, keep, skip };
+    });
+    trace.push(layer);
+    inputVector = layer.map((neuron) => neuron.a);
+  });
+  return trace;
+};
+
+// The same pass broken into small steps for animation: per neuron, one step for each
+// weighted input, then one for adding the bias and one for applying the activation.
+export const forwardSteps = (network) => {
+  const steps = [];
+  network.weights.forEach((Wl, layer) => {
+    Wl.forEach((row, neuron) => {
+      row.forEach((_, term) => steps.push({ layer, neuron, phase: "term", term }));
+      steps.push({ layer, neuron, phase: "bias" });
+      steps.push({ layer, neuron, phase: "activate" });
+    });
+  });
+  return steps;
+};
+
+export const forwardBatch = (network, xs) => xs.map((x) => forward(network, x));
+
+// Output-layer activations only.
+export const predict = (network, x) => {
+  const trace = forward(network, x);
+  return trace[trace.length - 1].map((neuron) => neuron.a);
+};
+
+// --- Batched evaluation ---
+
+// Flat typed-array copy of a network for sweeping many points at once. Per layer, `weights` is
+// row-major (weights[i * cols + j]), `forced` the ablation constants (null when free), `norm`,
+// `scales` and `residual` the layer options and `round` the activation rounding as in forward().
+export const compileNetwork = (network) => ({
+  inputSize: network.inputSize,
+  layerSizes: network.layerSizes,
+  layers: network.effectiveWeights.map((Wl, l) => ({
+    rows: Wl.length,
+    cols: network.layerSizes[l],
+    weights: Float64Array.from(Wl.flat()),
+    biases: Float64Array.from(network.biases[l]),
+    forced: network.neuronValues[l],
+    norm: network.norms[l] && { gain: Float64Array.from(network.norms[l].gain), bias: Float64Array.from(network.norms[l].bias) },
+    scales: network.dropoutScales[l] && Float64Array.from(network.dropoutScales[l]),
+    residual: network.residual[l],
+    round: network.activationRounding[l],
+    ...network.layerFunctions[l],
+  })),
+});
+
+// LayerNorm across a layer's neurons at every point. With `dz` (the tangent of z) also returns
+// the tangent of the result, dẑ_i = g_i·σ⁻¹·(dz_i - mean(dz) - x̂_i·mean(x̂·dz)).
+const layerNormBatch = (z, dz, { gain, bias }, rows, count) => {
+  const zHat = new Float64Array(rows * count);
+  const dzHat = dz && new Float64Array(rows * count);
+  for (let p = 0; p < count; p++) {
+    let mean = 0;
+    for (let i = 0; i < rows; i++) mean += z[i * count + p];
+    mean /= rows;
+    let variance = 0;
+    for (let i = 0; i < rows; i++) variance += (z[i * count + p] - mean) ** 2;
+    const invStd = 1 / Math.sqrt(variance / rows + LAYER_NORM_EPSILON);
+    let dzMean = 0;
+    let dzDotXHat = 0;
+    if (dz) {
+      for (let i = 0; i < rows; i++) {
+        dzMean += dz[i * count + p];
+        dzDotXHat += dz[i * count + p] * (z[i * count + p] - mean) * invStd;
+      }
+      dzMean /= rows;
+      dzDotXHat /= rows;
+    }
+    for (let i = 0; i < rows; i++) {
+      const k = i * count + p;
+      const xHat = (z[k] - mean) * invStd;
+      zHat[k] = gain[i] * xHat + bias[i];
+      if (dz) dzHat[k] = gain[i] * invStd * (dz[k] - dzMean - xHat * dzDotXHat);
+    }
+  }
+  return { zHat, dzHat };
+};
+
+// Batch values are neuron-major: values[i * count + p] is neuron i at point p, so the inner
+// loops run over points. `prev` and `prevTangent` hold the activations feeding layer `from`.
+const runLayers = (layers, from, prev, prevTangent, count) => {
+  const z = [];
+  const zHat = [];
+  const a = [];
+  const da = prevTangent ? [] : null;
+  let input = prev;
+  let inputTangent = prevTangent;
+  for (let l = from; l < layers.length; l++) {
+    const { rows, cols, weights, biases, forced, norm, scales, residual, round, fn, derivative } = layers[l];
+    const zl = new Float64Array(rows * count);
+    const al = new Float64Array(rows * count);
+    const dal = inputTangent && new Float64Array(rows * count);
+    for (let i = 0; i < rows; i++) {
+      const out = i * count;
+      zl.fill(biases[i], out, out + count);
+      for (let j = 0; j < cols; j++) {
+        const w = weights[i * cols + j];
+        if (w === 0) continue;
+        const src = j * count;
+        for (let p = 0; p < count; p++) zl[out + p] += w * input[src + p];
+        if (dal) for (let p = 0; p < count; p++) dal[out + p] += w * inputTangent[src + p];
+      }
+    }
+    // LayerNorm needs every z of the layer, so activations wait for the whole layer.
+    const normed = norm ? layerNormBatch(zl, dal, norm, rows, count) : { zHat: zl, dzHat: dal };
+    for (let i = 0; i < rows; i++) {
+      const out = i * count;
+      const isFree = forced[i] === null;
+      const keep = scales ? scales[i] : 1;
+      for (let p = 0; p < count; p++) {
+        const k = out + p;
+        const zk = normed.zHat[k];
+        al[k] = isFree ? fn(zk) * keep + (residual ? input[k] : 0) : forced[i];
+        if (round && isFree) al[k] = round(al[k]);
+        // Rounding is a staircase, so tangents pass straight through it.
+        if (dal) dal[k] = isFree ? derivative(zk) * keep * normed.dzHat[k] + (residual ? inputTangent[k] : 0) : 0;
+      }
+    }
+    z[l - from] = zl;
+    zHat[l - from] = normed.zHat;
+    a[l - from] = al;
+    if (da) da[l - from] = dal;
+    input = al;
+    inputTangent = dal;
+  }
+  return { z, zHat, a, da };
+};
+
+// One forward sweep over `count` points. `points` holds the input vectors back to back
+// (points[p * inputSize + j]). Returns per-layer { z, zHat, a } in neuron-major layout, zHat being
+// z after LayerNorm (the same array for layers without one); with `tangents`
+// also da = d(a)/d(x1), carried forward with the values instead of one backward pass per output.
+export const evaluateBatch = (compiled, points, count, { tangents = false } = {}) => {
+  const { inputSize } = compiled;
+  const input = new Float64Array(inputSize * count);
+  for (let p = 0; p < count; p++) {
+    for (let j = 0; j < inputSize; j++) input[j * count + p] = points[p * inputSize + j];
+  }
+  let tangent = null;
+  if (tangents) {
+    tangent = new Float64Array(inputSize * count);
+    tangent.fill(1, 0, count);
+  }
+  return runLayers(compiled.layers, 0, input, tangent, count);
+};
+
+// How much each neuron matters: importance[l][i] is the mean absolute change of the outputs
+// over `inputs` when that neuron alone is forced to 0, on top of the network's own ablations.
+// Only the layers after the zeroed neuron are re-run.
+export const neuronImportance = (network, inputs) => {
+  const compiled = compileNetwork(network);
+  const count = inputs.length;
+  const base = evaluateBatch(compiled, inputs.flat(), count);
+  const last = compiled.layers.length - 1;
+  const baseOutput = base.a[last];
+  return compiled.layers.map(({ rows }, layer) =>
+    Array.from({ length: rows }, (_, neuron) => {
+      const zeroed = Float64Array.from(base.a[layer]);
+      zeroed.fill(0, neuron * count, (neuron + 1) * count);
+      const output = layer === last ? zeroed : runLayers(compiled.layers, layer + 1, zeroed, null, count).a[last - layer - 1];
+      let total = 0;
+      for (let k = 0; k < output.length; k++) total += Math.abs(output[k] - baseOutput[k]);
+      return total / output.length;
+    })
+  );
+};
+
+// --- Regimes ---
+
+// Past |z| = 3 sigmoid and tanh have almost no slope left (f'(z) < 0.05).
+export const SATURATION_THRESHOLD = 3;
+
+// "inactive" for a ReLU that outputs 0, "saturated" for a squashing activation
+// on one of its flat tails, otherwise null. Other activations never report a regime.
+export const neuronRegime = (activation, z) => {
+  if (activation === "relu") return z <= 0 ? "inactive" : null;
+  if (activation === "sigmoid" || activation === "tanh" || activation === "hard_sigmoid") {
+    return Math.abs(z) >= SATURATION_THRESHOLD ? "saturated" : null;
+  }
+  return null;
+};
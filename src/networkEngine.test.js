@@ -0,0 +1,359 @@
+import {
+  activationFunctions,
+  activationDerivatives,
+  createActivationRegistry,
+  validateActivationName,
+  createNetwork,
+  forward,
+  forwardBatch,
+  forwardSteps,
+  predict,
+  removeLayerAblations,
+  initializeParams,
+  resizeMatrix,
+  neuronRegime,
+  neuronImportance,
+  compileNetwork,
+  evaluateBatch,
+  resizeLayerOptions,
+  sampleDropoutMasks,
+} from "./networkEngine";
+
+// 1 input -> 2 hidden (relu) -> 1 output (linear)
+const spec = {
+  inputSize: 1,
+  neuronsPerLayer: [2, 1],
+  activations: ["relu", "linear"],
+  weights: [[[1], [-1]], [[2, 3]]],
+  biases: [[0.5, 0], [-1]],
+};
+
+describe("activation functions", () => {
+  test("relu clips negatives to zero", () => {
+    expect(activationFunctions.relu(-2)).toBe(0);
+    expect(activationFunctions.relu(0)).toBe(0);
+    expect(activationFunctions.relu(1.5)).toBe(1.5);
+  });
+
+  test("sigmoid is 0.5 at zero and saturates towards 0 and 1", () => {
+    expect(activationFunctions.sigmoid(0)).toBe(0.5);
+    expect(activationFunctions.sigmoid(10)).toBeCloseTo(1, 4);
+    expect(activationFunctions.sigmoid(-10)).toBeCloseTo(0, 4);
+  });
+
+  test("tanh is odd and bounded by ±1", () => {
+    expect(activationFunctions.tanh(0)).toBe(0);
+    expect(activationFunctions.tanh(-1)).toBeCloseTo(-activationFunctions.tanh(1));
+    expect(activationFunctions.tanh(20)).toBeCloseTo(1);
+  });
+
+  test("linear is the identity", () => {
+    expect(activationFunctions.linear(-3.25)).toBe(-3.25);
+  });
+
+  test("the smooth built-ins have their textbook values", () => {
+    expect(activationFunctions.elu(-1)).toBeCloseTo(Math.exp(-1) - 1);
+    expect(activationFunctions.softplus(0)).toBeCloseTo(Math.log(2));
+    expect(activationFunctions.swish(0)).toBe(0);
+    expect(activationFunctions.gelu(1)).toBeCloseTo(0.8412, 4);
+    expect(activationFunctions.hard_sigmoid(0)).toBe(0.5);
+    expect(activationFunctions.hard_sigmoid(4)).toBe(1);
+    expect(activationFunctions.sin(Math.PI / 2)).toBe(1);
+  });
+
+  test("derivatives match finite differences", () => {
+    const h = 1e-5;
+    Object.keys(activationFunctions).forEach((name) => {
+      [-2, -0.3, 0.7, 2].forEach((z) => {
+        const fn = activationFunctions[name];
+        const numeric = (fn(z + h) - fn(z - h)) / (2 * h);
+        expect(activationDerivatives[name](z)).toBeCloseTo(numeric, 5);
+      });
+    });
+  });
+});
+
+describe("createNetwork", () => {
+  test("records layer sizes including the input", () => {
+    expect(createNetwork(spec).layerSizes).toEqual([1, 2, 1]);
+  });
+
+  test("rejects a weight matrix with the wrong shape", () => {
+    expect(() => createNetwork({ ...spec, weights: [[[1, 2], [3, 4]], [[2, 3]]] })).toThrow("Layer 1 weights must be 2×1");
+  });
+
+  test("rejects a bias vector with the wrong length", () => {
+    expect(() => createNetwork({ ...spec, biases: [[0.5], [-1]] })).toThrow("Layer 1 biases must have 2 entries");
+  });
+
+  test("rejects a missing layer", () => {
+    expect(() => createNetwork({ ...spec, weights: [spec.weights[0]] })).toThrow("Expected parameters for 2 layers");
+  });
+
+  test("rejects unknown activations and defaults missing ones to relu", () => {
+    expect(() => createNetwork({ ...spec, activations: ["relu", "nope"] })).toThrow('unknown activation "nope"');
+    expect(createNetwork({ ...spec, activations: ["linear"] }).activations).toEqual(["linear", "relu"]);
+  });
+});
+
+describe("forward", () => {
+  const network = createNetwork(spec);
+
+  test("matches a hand-computed pass", () => {
+    // x = 1: z1 = [1.5, -1], a1 = [1.5, 0]; z2 = 2*1.5 + 3*0 - 1 = 2
+    const trace = forward(network, [1]);
+    expect(trace[0].map((n) => n.z)).toEqual([1.5, -1]);
+    expect(trace[0].map((n) => n.a)).toEqual([1.5, 0]);
+    expect(trace[1][0].z).toBe(2);
+    expect(trace[1][0].a).toBe(2);
+  });
+
+  test("records the vector each layer received", () => {
+    const trace = forward(network, [-2]);
+    expect(trace[0][0].inputs).toEqual([-2]);
+    // z1 = [-1.5, 2] -> a1 = [0, 2]
+    expect(trace[1][0].inputs).toEqual([0, 2]);
+  });
+
+  test("handles several inputs", () => {
+    const twoInputs = createNetwork({
+      inputSize: 2,
+      neuronsPerLayer: [1],
+      activations: ["sigmoid"],
+      weights: [[[1, -1]]],
+      biases: [[0]],
+    });
+    expect(predict(twoInputs, [3, 3])).toEqual([0.5]);
+  });
+
+  test("rejects an input vector of the wrong length", () => {
+    expect(() => forward(network, [1, 2])).toThrow("Expected 1 inputs but got 2");
+  });
+
+  test("forwardBatch runs one pass per input", () => {
+    const traces = forwardBatch(network, [[1], [-2], [0]]);
+    expect(traces).toHaveLength(3);
+    expect(traces.map((t) => t[1][0].a)).toEqual([2, 5, 0]);
+  });
+});
+
+describe("ablation", () => {
+  test("forced neurons output their constant and cut connections act as zero weights", () => {
+    // hidden = [relu(1.5), relu(-1)] = [1.5, 0]; with neuron 0 forced to 0.25: 2*0.25 + 3*0 - 1
+    const forcedNet = createNetwork({ ...spec, ablation: { neurons: [{ layer: 0, neuron: 0, value: 0.25 }] } });
+    expect(predict(forcedNet, [1])).toEqual([-0.5]);
+    // cutting hidden 0 -> output leaves 3*0 - 1
+    const cutNet = createNetwork({ ...spec, ablation: { connections: [{ layer: 1, neuron: 0, input: 0 }] } });
+    expect(predict(cutNet, [1])).toEqual([-1]);
+    expect(cutNet.weights[1][0][0]).toBe(2);
+  });
+
+  test("ignores ablations that don't fit the architecture", () => {
+    const network = createNetwork({ ...spec, ablation: { neurons: [{ layer: 4, neuron: 0, value: 1 }], connections: [{ layer: 0, neuron: 9, input: 0 }] } });
+    expect(predict(network, [1])).toEqual(predict(createNetwork(spec), [1]));
+  });
+
+  test("removing a layer moves later ablations down with it", () => {
+    // 3 layers: L3N1 forced to 0.5, L1N2 forced, a cut into L2 and a cut into L3.
+    const ablations = { neurons: { "2:0": 0.5, "0:1": 0 }, connections: new Set(["1:0:1", "2:0:1"]) };
+    const { neurons, connections } = removeLayerAblations(ablations, 0);
+    expect(neurons).toEqual({ "1:0": 0.5 });
+    // L2 now reads straight from the inputs with fresh weights, so its cut goes; L3's moves to L2.
+    expect([...connections]).toEqual(["1:0:1"]);
+    expect(removeLayerAblations(ablations, 2)).toEqual({ neurons: { "0:1": 0 }, connections: new Set(["1:0:1"]) });
+  });
+
+  test("importance is the mean output change when each neuron is zeroed", () => {
+    const importance = neuronImportance(createNetwork(spec), [[1], [2]]);
+    // Zeroing hidden 0 removes 2*relu(x+0.5): 3 at x=1, 5 at x=2. Hidden 1 is dead for x > 0.
+    expect(importance[0]).toEqual([4, 0]);
+    // Zeroing the output itself removes the whole prediction (2 and 4).
+    expect(importance[1]).toEqual([3]);
+  });
+});
+
+describe("evaluateBatch", () => {
+  // 2 inputs -> 3 tanh -> 2 linear, with one forced neuron and one cut connection.
+  const network = createNetwork({
+    inputSize: 2,
+    neuronsPerLayer: [3, 2],
+    activations: ["tanh", "linear"],
+    weights: [[[0.5, -1], [1.5, 0.25], [-0.75, 1]], [[1, -2, 0.5], [0.3, 0.6, -0.9]]],
+    biases: [[0.1, -0.2, 0.3], [0, 0.4]],
+    ablation: { neurons: [{ layer: 0, neuron: 2, value: 0.7 }], connections: [{ layer: 1, neuron: 0, input: 0 }] },
+  });
+  const points = [[-1, 2], [0, 0], [0.5, -1.5]];
+
+  test("matches forward() at every point, neuron-major", () => {
+    const batch = evaluateBatch(compileNetwork(network), points.flat(), points.length);
+    points.forEach((x, p) => {
+      forward(network, x).forEach((layer, l) => {
+        layer.forEach((neuron, i) => {
+          expect(batch.z[l][i * points.length + p]).toBeCloseTo(neuron.z, 12);
+          expect(batch.a[l][i * points.length + p]).toBeCloseTo(neuron.a, 12);
+        });
+      });
+    });
+  });
+
+  test("tangents are the derivative of every activation with respect to the first input", () => {
+    const h = 1e-6;
+    const batch = evaluateBatch(compileNetwork(network), points.flat(), points.length, { tangents: true });
+    points.forEach(([x1, x2], p) => {
+      const up = predict(network, [x1 + h, x2]);
+      const down = predict(network, [x1 - h, x2]);
+      up.forEach((y, k) => {
+        expect(batch.da[1][k * points.length + p]).toBeCloseTo((y - down[k]) / (2 * h), 6);
+      });
+    });
+    // The forced neuron doesn't move.
+    expect(Array.from(batch.da[0].subarray(2 * points.length))).toEqual([0, 0, 0]);
+  });
+});
+
+describe("layer options", () => {
+  // 2 inputs -> 2 tanh with LayerNorm, a skip and dropout -> 1 linear
+  const options = [{ residual: true, norm: { gain: [1.5, 0.5], bias: [0.1, -0.2] }, dropout: 0.5 }];
+  const optionSpec = {
+    inputSize: 2,
+    neuronsPerLayer: [2, 1],
+    activations: ["tanh", "linear"],
+    weights: [[[0.5, -1], [1.5, 0.25]], [[1, -2]]],
+    biases: [[0.1, -0.2], [0.3]],
+    layerOptions: options,
+  };
+
+  test("LayerNorm, dropout and the skip combine as f(ẑ)·keep + input", () => {
+    const network = createNetwork({ ...optionSpec, dropoutMasks: [[true, false]] });
+    const [hidden] = forward(network, [1, 2]);
+    // z = [-1.4, 1.8]: mean 0.2, σ ≈ 1.6, so ẑ ≈ [1.5 · -1 + 0.1, 0.5 · 1 - 0.2].
+    expect(hidden[0].zHat).toBeCloseTo(-1.4, 4);
+    expect(hidden[1].zHat).toBeCloseTo(0.3, 4);
+    expect(hidden[0].a).toBeCloseTo(Math.tanh(hidden[0].zHat) * 2 + 1, 12);
+    expect(hidden[1].a).toBe(2);
+  });
+
+  test("dropout only acts in training mode", () => {
+    const evalNet = createNetwork(optionSpec);
+    expect(evalNet.training).toBe(false);
+    expect(forward(evalNet, [1, 2])[0].every((neuron) => neuron.keep === 1)).toBe(true);
+  });
+
+  test("skip connections need a layer that keeps its width", () => {
+    const network = createNetwork({ ...optionSpec, layerOptions: [{ residual: true }, { residual: true }] });
+    expect(network.residual).toEqual([true, false]);
+  });
+
+  test("rejects LayerNorm vectors of the wrong length and bad dropout rates", () => {
+    expect(() => createNetwork({ ...optionSpec, layerOptions: [{ norm: { gain: [1], bias: [0] } }] })).toThrow("LayerNorm gain and bias must have 2 entries");
+    expect(() => createNetwork({ ...optionSpec, layerOptions: [{ dropout: 1 }] })).toThrow("dropout rate must be in [0, 1)");
+  });
+
+  test("evaluateBatch matches forward() and its tangents through every option", () => {
+    const network = createNetwork({ ...optionSpec, dropoutMasks: [[false, true]] });
+    const points = [[-1, 2], [0.3, 0.1], [0.5, -1.5]];
+    const batch = evaluateBatch(compileNetwork(network), points.flat(), points.length, { tangents: true });
+    const h = 1e-6;
+    points.forEach(([x1, x2], p) => {
+      forward(network, [x1, x2]).forEach((layer, l) => {
+        layer.forEach((neuron, i) => {
+          expect(batch.zHat[l][i * points.length + p]).toBeCloseTo(neuron.zHat, 12);
+          expect(batch.a[l][i * points.length + p]).toBeCloseTo(neuron.a, 12);
+        });
+      });
+      const slope = (predict(network, [x1 + h, x2])[0] - predict(network, [x1 - h, x2])[0]) / (2 * h);
+      expect(batch.da[1][p]).toBeCloseTo(slope, 6);
+    });
+  });
+
+  test("resizing keeps LayerNorm entries and adds gain 1, bias 0", () => {
+    expect(resizeLayerOptions(options, [3, 1])).toEqual([
+      { residual: true, norm: { gain: [1.5, 0.5, 1], bias: [0.1, -0.2, 0] }, dropout: 0.5 },
+      { residual: false, norm: null, dropout: 0 },
+    ]);
+  });
+
+  test("dropout masks drop neurons with the layer's rate", () => {
+    const draws = [0.2, 0.7, 0.4];
+    const masks = sampleDropoutMasks([{ dropout: 0.5 }, {}], [2, 1], () => draws.shift());
+    expect(masks).toEqual([[false, true], [true]]);
+  });
+});
+
+describe("activation rounding", () => {
+  test("rounds each free neuron's output in forward() and evaluateBatch alike", () => {
+    const round = (v) => Math.round(v);
+    const network = createNetwork({ ...spec, activationRounding: [round, null], ablation: { neurons: [{ layer: 0, neuron: 1, value: 0.25 }] } });
+    // Layer 1: relu(0.3 + 0.5) = 0.8 -> 1, and the forced 0.25 stays; layer 2: 2·1 + 3·0.25 - 1.
+    const trace = forward(network, [0.3]);
+    expect(trace[0].map((neuron) => neuron.a)).toEqual([1, 0.25]);
+    expect(trace[1][0].a).toBeCloseTo(1.75);
+    const batch = evaluateBatch(compileNetwork(network), [0.3], 1);
+    expect(Array.from(batch.a[0])).toEqual([1, 0.25]);
+    expect(batch.a[1][0]).toBeCloseTo(1.75);
+  });
+});
+
+describe("forwardSteps", () => {
+  test("walks every neuron term by term, then bias, then activation", () => {
+    const steps = forwardSteps(createNetwork(spec));
+    // 2 hidden neurons with 1 input each, 1 output neuron with 2 inputs.
+    expect(steps).toHaveLength(2 * 3 + 4);
+    expect(steps.slice(0, 3)).toEqual([
+      { layer: 0, neuron: 0, phase: "term", term: 0 },
+      { layer: 0, neuron: 0, phase: "bias" },
+      { layer: 0, neuron: 0, phase: "activate" },
+    ]);
+    expect(steps[steps.length - 1]).toEqual({ layer: 1, neuron: 0, phase: "activate" });
+  });
+});
+
+describe("parameter shapes", () => {
+  test("initializeParams builds one matrix and bias vector per layer", () => {
+    const [W, b] = initializeParams([3, 4, 2], () => ({ weight: () => 1, bias: () => 0 }));
+    expect(W.map((m) => [m.length, m[0].length])).toEqual([[4, 3], [2, 4]]);
+    expect(b.map((v) => v.length)).toEqual([4, 2]);
+  });
+
+  test("resizeMatrix keeps existing entries and samples only new ones", () => {
+    expect(resizeMatrix([[1, 2], [3, 4]], 3, 1, () => 9)).toEqual([[1], [3], [9]]);
+  });
+});
+
+describe("activation registry", () => {
+  test("custom activations are parsed from expressions in z", () => {
+    const registry = createActivationRegistry({ custom: [{ name: "softsign", expression: "z / (1 + abs(z))" }] });
+    expect(registry.softsign.fn(1)).toBe(0.5);
+    expect(registry.softsign.derivative(1)).toBeCloseTo(0.25, 5);
+  });
+
+  test("networks can use custom activations from their registry", () => {
+    const registry = createActivationRegistry({ custom: [{ name: "double", expression: "2 * z" }] });
+    const network = createNetwork({ ...spec, activations: ["relu", "double"], registry });
+    expect(predict(network, [1])).toEqual([4]);
+  });
+
+  test("leaky_relu uses the configured slope", () => {
+    const registry = createActivationRegistry({ leakySlope: 0.2 });
+    expect(registry.leaky_relu.fn(-2)).toBeCloseTo(-0.4);
+    expect(registry.leaky_relu.derivative(-2)).toBe(0.2);
+  });
+
+  test("names may not shadow built-ins or repeat", () => {
+    expect(validateActivationName("relu")).toMatch(/built-in/);
+    expect(validateActivationName("mine", ["mine"])).toMatch(/already defined/);
+    expect(validateActivationName("2fast")).toMatch(/must start with a letter/);
+    expect(validateActivationName("softsign")).toBeNull();
+  });
+});
+
+describe("neuronRegime", () => {
+  test("flags inactive ReLUs and saturated squashing units", () => {
+    expect(neuronRegime("relu", -0.5)).toBe("inactive");
+    expect(neuronRegime("relu", 0.5)).toBeNull();
+    expect(neuronRegime("sigmoid", 4)).toBe("saturated");
+    expect(neuronRegime("tanh", -3.5)).toBe("saturated");
+    expect(neuronRegime("tanh", 1)).toBeNull();
+    expect(neuronRegime("linear", -10)).toBeNull();
+  });
+});
@@ -0,0 +1,209 @@
+// Versioned JSON save format for a network.
+//
+// {
+//   "format": "dnn-visualizer/network",
+//   "version": 3,
+//   "neuronsPerLayer": [3, 2],                 // hidden + output layer sizes
+//   "activations": ["tanh", "sigmoid"],        // one per layer
+//   "weights": [[[w, ...], ...], ...],         // weights[l][neuron][input]
+//   "biases": [[b, ...], ...],                 // biases[l][neuron]
+//   "inputs": [0.5],                           // current input vector (its length is the input count)
+//   "view": { "viewMode": "activity", "hiddenLines": ["L1_N2"] },
+//   "customActivations": [{ "name": "softsign", "expression": "z / (1 + abs(z))" }],  // optional
+//   "leakySlope": 0.01,                        // optional, slope of leaky_relu for z < 0
+//   "outputHead": "softmax",                   // optional: "regression" (default), "binary" or "softmax"
+//   "layerOptions": [                          // optional, one per layer
+//     { "residual": true, "norm": { "gain": [1, ...], "bias": [0, ...] }, "dropout": 0.2 }
+//   ]
+// }
+//
+// A skip connection is only applied while the layer keeps its width, so "residual" may be set on
+// any layer. Dropout masks and the train/eval mode are not saved; a loaded network is in eval mode.
+//
+// Version 1 picked up "customActivations" and "leakySlope" as optional fields without a bump.
+// Version 2 added "outputHead" and version 3 "layerOptions". Older files are read too: each added
+// field defaults to how earlier networks behaved, so an older file means the same thing in 3.
+
+import { DEFAULT_LEAKY_SLOPE, customActivation, resizeLayerOptions, validateActivationName } from "./networkEngine";
+import { OUTPUT_HEADS } from "./outputHead";
+
+export const FILE_FORMAT = "dnn-visualizer/network";
+export const SCHEMA_VERSION = 3;
+const OLDEST_READABLE_VERSION = 1;
+
+const VIEW_MODES = ["activity", "weights", "gradients"];
+
+export const serializeNetwork = ({ neuronsPerLayer, activations, weights, biases, inputs, viewMode, hiddenLines, customActivations, leakySlope, outputHead, layerOptions }) => ({
+  format: FILE_FORMAT,
+  version: SCHEMA_VERSION,
+  neuronsPerLayer,
+  activations,
+  weights,
+  biases,
+  inputs,
+  view: { viewMode, hiddenLines: [...hiddenLines] },
+  customActivations,
+  leakySlope,
+  outputHead,
+  layerOptions,
+});
+
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isCount = (v, max) => Number.isInteger(v) && v >= 1 && v <= max;
+
+// Checks a parsed file object and returns a list of human-readable problems (empty when valid).
+export const validateNetwork = (data, { activations: known, maxLayers, maxNeurons, maxInputs }) => {
+  if (!data || typeof data !== "object" || Array.isArray(data)) return ["File does not contain a JSON object."];
+  if (data.format !== FILE_FORMAT) return [`Unrecognized file format "${data.format}" (expected "${FILE_FORMAT}").`];
+  if (!Number.isInteger(data.version) || data.version < OLDEST_READABLE_VERSION || data.version > SCHEMA_VERSION) {
+    return [`Unsupported schema version ${data.version} (this app reads versions ${OLDEST_READABLE_VERSION} to ${SCHEMA_VERSION}).`];
+  }
+
+  const errors = [];
+  const { neuronsPerLayer, activations, weights, biases, inputs, view, customActivations = [], leakySlope, outputHead, layerOptions } = data;
+
+  if (!Array.isArray(neuronsPerLayer) || neuronsPerLayer.length < 1 || neuronsPerLayer.length > maxLayers) {
+    return [`"neuronsPerLayer" must be an array of 1 to ${maxLayers} layer sizes.`];
+  }
+  neuronsPerLayer.forEach((n, l) => {
+    if (!isCount(n, maxNeurons)) errors.push(`Layer ${l + 1} size must be an integer from 1 to ${maxNeurons}.`);
+  });
+  if (!Array.isArray(inputs) || !isCount(inputs.length, maxInputs)) {
+    return [...errors, `"inputs" must be an array of 1 to ${maxInputs} numbers.`];
+  }
+  inputs.forEach((v, i) => {
+    if (!isFiniteNumber(v)) errors.push(`Input ${i + 1} is not a finite number.`);
+  });
+  if (errors.length) return errors;
+
+  const customNames = [];
+  if (!Array.isArray(customActivations)) {
+    errors.push(`"customActivations" must be an array of { name, expression } objects.`);
+  } else {
+    customActivations.forEach((def, i) => {
+      if (!def || typeof def.name !== "string" || typeof def.expression !== "string") {
+        errors.push(`Custom activation ${i + 1} needs a "name" and an "expression" string.`);
+        return;
+      }
+      const nameError = validateActivationName(def.name, customNames);
+      if (nameError) errors.push(`Custom activation ${i + 1}: ${nameError}.`);
+      try {
+        customActivation(def.expression);
+      } catch (err) {
+        errors.push(`Custom activation "${def.name}": ${err.message}.`);
+      }
+      customNames.push(def.name);
+    });
+  }
+  if (leakySlope !== undefined && !isFiniteNumber(leakySlope)) {
+    errors.push(`"leakySlope" must be a finite number.`);
+  }
+  if (outputHead !== undefined && !Object.keys(OUTPUT_HEADS).includes(outputHead)) {
+    errors.push(`Unknown output head "${outputHead}".`);
+  }
+
+  const knownActivations = [...known, ...customNames];
+  if (!Array.isArray(activations) || activations.length !== neuronsPerLayer.length) {
+    errors.push(`"activations" must list one activation per layer (${neuronsPerLayer.length}).`);
+  } else {
+    activations.forEach((name, l) => {
+      if (!knownActivations.includes(name)) errors.push(`Layer ${l + 1} uses unknown activation "${name}".`);
+    });
+  }
+
+  const layerSizes = [inputs.length, ...neuronsPerLayer];
+  if (!Array.isArray(weights) || weights.length !== neuronsPerLayer.length) {
+    errors.push(`"weights" must contain one matrix per layer (${neuronsPerLayer.length}).`);
+  } else {
+    weights.forEach((matrix, l) => {
+      const rows = layerSizes[l + 1];
+      const cols = layerSizes[l];
+      const shapeOk = Array.isArray(matrix) && matrix.length === rows &&
+        matrix.every((row) => Array.isArray(row) && row.length === cols);
+      if (!shapeOk) {
+        errors.push(`Layer ${l + 1} weights must be a ${rows}×${cols} matrix.`);
+      } else if (!matrix.flat().every(isFiniteNumber)) {
+        errors.push(`Layer ${l + 1} weights contain a value that is not a finite number.`);
+      }
+    });
+  }
+
+  if (!Array.isArray(biases) || biases.length !== neuronsPerLayer.length) {
+    errors.push(`"biases" must contain one vector per layer (${neuronsPerLayer.length}).`);
+  } else {
+    biases.forEach((vec, l) => {
+      if (!Array.isArray(vec) || vec.length !== neuronsPerLayer[l]) {
+        errors.push(`Layer ${l + 1} biases must have ${neuronsPerLayer[l]} entries.`);
+      } else if (!vec.every(isFiniteNumber)) {
+        errors.push(`Layer ${l + 1} biases contain a value that is not a finite number.`);
+      }
+    });
+  }
+
+  if (layerOptions !== undefined) {
+    if (!Array.isArray(layerOptions) || layerOptions.length !== neuronsPerLayer.length) {
+      errors.push(`"layerOptions" must contain one entry per layer (${neuronsPerLayer.length}).`);
+    } else {
+      layerOptions.forEach((options, l) => {
+        if (!options || typeof options !== "object") {
+          errors.push(`Layer ${l + 1} options must be an object.`);
+          return;
+        }
+        const { residual = false, norm = null, dropout = 0 } = options;
+        if (typeof residual !== "boolean") errors.push(`Layer ${l + 1} "residual" must be true or false.`);
+        if (norm !== null) {
+          const rows = neuronsPerLayer[l];
+          const vectorOk = (vec) => Array.isArray(vec) && vec.length === rows && vec.every(isFiniteNumber);
+          if (typeof norm !== "object" || !vectorOk(norm.gain) || !vectorOk(norm.bias)) {
+            errors.push(`Layer ${l + 1} LayerNorm needs "gain" and "bias" vectors of ${rows} finite numbers.`);
+          }
+        }
+        if (!isFiniteNumber(dropout) || dropout < 0 || dropout >= 1) {
+          errors.push(`Layer ${l + 1} dropout rate must be a number from 0 up to (not including) 1.`);
+        }
+      });
+    }
+  }
+
+  if (view !== undefined) {
+    if (typeof view !== "object" || view === null) {
+      errors.push(`"view" must be an object.`);
+    } else {
+      if (view.viewMode !== undefined && !VIEW_MODES.includes(view.viewMode)) {
+        errors.push(`Unknown view mode "${view.viewMode}".`);
+      }
+      if (view.hiddenLines !== undefined && !(Array.isArray(view.hiddenLines) && view.hiddenLines.every((k) => typeof k === "string"))) {
+        errors.push(`"view.hiddenLines" must be an array of line keys.`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+// Validates an already-parsed network object, fills in defaults and upgrades it to SCHEMA_VERSION.
+// Throws an Error whose message lists every problem found, one per line.
+export const readNetwork = (data, limits) => {
+  const errors = validateNetwork(data, limits);
+  if (errors.length) throw new Error(errors.join("\n"));
+  // Optional fields may be present but undefined (old share links), so defaults use ??.
+  return {
+    ...data,
+    version: SCHEMA_VERSION,
+    customActivations: data.customActivations ?? [],
+    leakySlope: data.leakySlope ?? DEFAULT_LEAKY_SLOPE,
+    outputHead: data.outputHead ?? "regression",
+    layerOptions: resizeLayerOptions(data.layerOptions ?? [], data.neuronsPerLayer),
+    view: { viewMode: "activity", hiddenLines: [], ...data.view },
+  };
+};
+
+export const parseNetwork = (text, limits) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`File is not valid JSON: ${err.message}`);
+  }
+  return readNetwork(data, limits);
+};
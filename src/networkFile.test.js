@@ -0,0 +1,100 @@
+import { builtInActivationNames, DEFAULT_LEAKY_SLOPE } from "./networkEngine";
+import { FILE_FORMAT, SCHEMA_VERSION, parseNetwork, readNetwork, serializeNetwork, validateNetwork } from "./networkFile";
+
+const limits = { activations: builtInActivationNames, maxLayers: 10, maxNeurons: 64, maxInputs: 4 };
+
+// 1 input -> 2 tanh -> 1 sigmoid
+const file = () => ({
+  format: FILE_FORMAT,
+  version: SCHEMA_VERSION,
+  neuronsPerLayer: [2, 1],
+  activations: ["tanh", "sigmoid"],
+  weights: [[[0.5], [-1]], [[1, 2]]],
+  biases: [[0.1, -0.2], [0.3]],
+  inputs: [0.5],
+  view: { viewMode: "activity", hiddenLines: [] },
+});
+
+describe("validateNetwork", () => {
+  test("accepts a well-formed file", () => {
+    expect(validateNetwork(file(), limits)).toEqual([]);
+  });
+
+  test("reports weight and bias shapes that don't fit the architecture", () => {
+    const data = { ...file(), weights: [[[0.5, 1], [-1]], [[1, 2]]], biases: [[0.1, -0.2], [0.3, 0]] };
+    expect(validateNetwork(data, limits)).toEqual([
+      "Layer 1 weights must be a 2×1 matrix.",
+      "Layer 2 biases must have 1 entries.",
+    ]);
+    expect(validateNetwork({ ...file(), weights: [[[0.5], [-1]]] }, limits)).toEqual([`"weights" must contain one matrix per layer (2).`]);
+  });
+
+  test("reports unknown activations, but accepts custom ones the file defines", () => {
+    expect(validateNetwork({ ...file(), activations: ["tanh", "softsign"] }, limits)).toEqual([`Layer 2 uses unknown activation "softsign".`]);
+    const custom = { ...file(), activations: ["tanh", "softsign"], customActivations: [{ name: "softsign", expression: "z / (1 + abs(z))" }] };
+    expect(validateNetwork(custom, limits)).toEqual([]);
+  });
+
+  test("reports values that are not finite numbers", () => {
+    const data = { ...file(), weights: [[[NaN], [-1]], [[1, Infinity]]], biases: [[0.1, null], [0.3]], inputs: [-Infinity] };
+    expect(validateNetwork(data, limits)).toEqual(["Input 1 is not a finite number."]);
+    expect(validateNetwork({ ...data, inputs: [0] }, limits)).toEqual([
+      "Layer 1 weights contain a value that is not a finite number.",
+      "Layer 2 weights contain a value that is not a finite number.",
+      "Layer 1 biases contain a value that is not a finite number.",
+    ]);
+  });
+
+  test("reads version 1 and 2 files, which predate output heads and layer options", () => {
+    const defaults = [{ residual: false, norm: null, dropout: 0 }, { residual: false, norm: null, dropout: 0 }];
+    const v1 = readNetwork({ ...file(), version: 1 }, limits);
+    expect(v1.version).toBe(SCHEMA_VERSION);
+    expect([v1.outputHead, v1.layerOptions]).toEqual(["regression", defaults]);
+    const v2 = readNetwork({ ...file(), version: 2, outputHead: "binary" }, limits);
+    expect([v2.version, v2.outputHead, v2.layerOptions]).toEqual([SCHEMA_VERSION, "binary", defaults]);
+  });
+
+  test("rejects other formats and a wrong or missing version", () => {
+    expect(validateNetwork({ ...file(), format: "other" }, limits)).toEqual([`Unrecognized file format "other" (expected "${FILE_FORMAT}").`]);
+    expect(validateNetwork({ ...file(), version: 99 }, limits)[0]).toMatch(/^Unsupported schema version 99/);
+    const { version, ...unversioned } = file();
+    expect(validateNetwork(unversioned, limits)[0]).toMatch(/^Unsupported schema version undefined/);
+    expect(validateNetwork([], limits)).toEqual(["File does not contain a JSON object."]);
+  });
+});
+
+describe("reading and writing", () => {
+  test("a serialized network reads back unchanged", () => {
+    const network = {
+      neuronsPerLayer: [2, 1],
+      activations: ["leaky_relu", "linear"],
+      weights: [[[0.5], [-1]], [[1, 2]]],
+      biases: [[0.1, -0.2], [0.3]],
+      inputs: [0.5],
+      viewMode: "weights",
+      hiddenLines: new Set(["L1_N2"]),
+      customActivations: [],
+      leakySlope: 0.2,
+      outputHead: "binary",
+      layerOptions: [{ residual: false, norm: { gain: [1, 2], bias: [0, 0.5] }, dropout: 0.25 }, { residual: false, norm: null, dropout: 0 }],
+    };
+    const text = JSON.stringify(serializeNetwork(network));
+    const { hiddenLines, viewMode, ...rest } = network;
+    expect(parseNetwork(text, limits)).toEqual({ format: FILE_FORMAT, version: SCHEMA_VERSION, ...rest, view: { viewMode, hiddenLines: ["L1_N2"] } });
+  });
+
+  test("fills in defaults for optional fields", () => {
+    const { view, ...data } = file();
+    const read = readNetwork(data, limits);
+    expect(read.view).toEqual({ viewMode: "activity", hiddenLines: [] });
+    expect([read.customActivations, read.leakySlope, read.outputHead]).toEqual([[], DEFAULT_LEAKY_SLOPE, "regression"]);
+    expect(read.layerOptions).toHaveLength(2);
+  });
+
+  test("lists every problem, one per line", () => {
+    expect(() => parseNetwork("{", limits)).toThrow(/^File is not valid JSON: /);
+    expect(() => parseNetwork(JSON.stringify({ ...file(), activations: ["tanh", "softsign"], biases: [[0], [0]] }), limits)).toThrow(
+      `Layer 2 uses unknown activation "softsign".\nLayer 1 biases must have 2 entries.`
+    );
+  });
+});
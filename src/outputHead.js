@@ -0,0 +1,62 @@
+// Output heads: how the output layer's activations are read. "regression" uses them as they are,
+// "binary" turns a single output into P(class 1) with a sigmoid and "softmax" turns N outputs into
+// a distribution over N classes. For the classification heads the activations act as logits.
+
+export const OUTPUT_HEADS = {
+  regression: { label: "Regression" },
+  binary: { label: "Binary (sigmoid)" },
+  softmax: { label: "Softmax" },
+};
+
+export const isClassificationHead = (head) => head === "binary" || head === "softmax";
+
+// Why `head` can't read `outputCount` outputs, or null when it can.
+export const outputHeadError = (head, outputCount) => {
+  if (head === "binary" && outputCount !== 1) return "Binary classification needs exactly 1 output neuron";
+  if (head === "softmax" && outputCount < 2) return "Softmax needs at least 2 output neurons";
+  return null;
+};
+
+export const classCount = (head, outputCount) => (head === "binary" ? 2 : outputCount);
+
+// log(1 + e^x) without overflow.
+const softplus = (x) => (x > 30 ? x : Math.log1p(Math.exp(x)));
+
+export const softmax = (logits) => {
+  const max = Math.max(...logits);
+  const exps = logits.map((v) => Math.exp(v - max));
+  const sum = exps.reduce((acc, e) => acc + e, 0);
+  return exps.map((e) => e / sum);
+};
+
+// [P(class 0), P(class 1), ...] for the output activations.
+export const classProbabilities = (head, outputs) => {
+  if (head === "binary") {
+    const p = 1 / (1 + Math.exp(-outputs[0]));
+    return [1 - p, p];
+  }
+  return softmax(outputs);
+};
+
+export const predictedClass = (probabilities) => probabilities.indexOf(Math.max(...probabilities));
+
+// Cross-entropy -log P(trueClass) and its gradient with respect to the output activations, which
+// is P - onehot(trueClass) for softmax and P(1) - y for the binary head.
+export const crossEntropy = (head, outputs, trueClass) => {
+  const probabilities = classProbabilities(head, outputs);
+  if (head === "binary") {
+    const z = outputs[0];
+    return {
+      loss: trueClass === 1 ? softplus(-z) : softplus(z),
+      probabilities,
+      outputGrad: [probabilities[1] - trueClass],
+    };
+  }
+  const max = Math.max(...outputs);
+  const logSumExp = max + Math.log(outputs.reduce((acc, v) => acc + Math.exp(v - max), 0));
+  return {
+    loss: logSumExp - outputs[trueClass],
+    probabilities,
+    outputGrad: probabilities.map((p, k) => p - (k === trueClass ? 1 : 0)),
+  };
+};
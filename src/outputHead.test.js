@@ -0,0 +1,43 @@
+import { classProbabilities, crossEntropy, outputHeadError, predictedClass, softmax } from "./outputHead";
+
+describe("output heads", () => {
+  test("softmax is a stable probability distribution", () => {
+    const probs = softmax([1000, 1001, 999]);
+    expect(probs.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    expect(probs[1]).toBeCloseTo(Math.E / (1 + Math.E + 1 / Math.E));
+    expect(predictedClass(probs)).toBe(1);
+  });
+
+  test("the binary head reads one logit as [P(0), P(1)]", () => {
+    expect(classProbabilities("binary", [0])).toEqual([0.5, 0.5]);
+    expect(classProbabilities("binary", [2])[1]).toBeCloseTo(1 / (1 + Math.exp(-2)));
+  });
+
+  test("cross-entropy is -log P(true class)", () => {
+    const logits = [0.5, -1, 2];
+    const { loss, probabilities } = crossEntropy("softmax", logits, 0);
+    expect(loss).toBeCloseTo(-Math.log(probabilities[0]));
+    expect(crossEntropy("binary", [0.3], 1).loss).toBeCloseTo(-Math.log(1 / (1 + Math.exp(-0.3))));
+    // Confident and wrong stays finite.
+    expect(crossEntropy("binary", [-800], 1).loss).toBeCloseTo(800);
+  });
+
+  test("the gradient matches finite differences", () => {
+    const logits = [0.5, -1, 2];
+    const { outputGrad } = crossEntropy("softmax", logits, 2);
+    const h = 1e-6;
+    outputGrad.forEach((g, k) => {
+      const up = logits.map((v, i) => (i === k ? v + h : v));
+      const down = logits.map((v, i) => (i === k ? v - h : v));
+      expect(g).toBeCloseTo((crossEntropy("softmax", up, 2).loss - crossEntropy("softmax", down, 2).loss) / (2 * h), 5);
+    });
+    expect(crossEntropy("binary", [0.3], 0).outputGrad[0]).toBeCloseTo(1 / (1 + Math.exp(-0.3)));
+  });
+
+  test("each head checks the output count", () => {
+    expect(outputHeadError("regression", 3)).toBeNull();
+    expect(outputHeadError("binary", 2)).toMatch(/exactly 1/);
+    expect(outputHeadError("softmax", 1)).toMatch(/at least 2/);
+    expect(outputHeadError("softmax", 3)).toBeNull();
+  });
+});
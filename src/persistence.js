@@ -0,0 +1,137 @@
+import { FILE_FORMAT, readNetwork } from "./networkFile";
+
+// Share links, autosave and user presets. Everything stored here is a network file
+// object (see networkFile.js), so it is validated the same way an import is.
+
+const HASH_PREFIX = "#net=";
+const AUTOSAVE_KEY = "dnn-visualizer:autosave";
+const PRESETS_KEY = "dnn-visualizer:presets";
+const LESSONS_KEY = "dnn-visualizer:lessons";
+const LESSON_PROGRESS_KEY = "dnn-visualizer:lesson-progress";
+
+// Positional form of a network file for URLs: the keys are implied by position.
+const toCompact = (network) => [
+  network.version,
+  network.neuronsPerLayer,
+  network.activations,
+  network.weights,
+  network.biases,
+  network.inputs,
+  network.view.viewMode,
+  network.view.hiddenLines,
+  network.customActivations,
+  network.leakySlope,
+  network.outputHead,
+  network.layerOptions,
+];
+
+const fromCompact = (compact) => {
+  if (!Array.isArray(compact)) throw new Error("Shared link does not contain a network.");
+  const [version, neuronsPerLayer, activations, weights, biases, inputs, viewMode, hiddenLines, customActivations, leakySlope, outputHead, layerOptions] = compact;
+  return {
+    format: FILE_FORMAT,
+    version,
+    neuronsPerLayer,
+    activations,
+    weights,
+    biases,
+    inputs,
+    view: { viewMode, hiddenLines },
+    // Older links end before these fields, and JSON writes undefined entries as null.
+    customActivations: customActivations ?? undefined,
+    leakySlope: leakySlope ?? undefined,
+    outputHead: outputHead ?? undefined,
+    layerOptions: layerOptions ?? undefined,
+  };
+};
+
+// UTF-8 safe base64url without relying on TextEncoder.
+const toBase64Url = (text) =>
+  btoa(encodeURIComponent(text).replace(/%([0-9A-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16))))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+const fromBase64Url = (encoded) => {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return decodeURIComponent(Array.from(binary, (ch) => `%${ch.charCodeAt(0).toString(16).padStart(2, "0")}`).join(""));
+};
+
+export const encodeNetworkHash = (network) => HASH_PREFIX + toBase64Url(JSON.stringify(toCompact(network)));
+
+// Returns null when the hash holds no network; throws when it holds a broken one.
+export const decodeNetworkHash = (hash, limits) => {
+  if (!hash || !hash.startsWith(HASH_PREFIX)) return null;
+  let compact;
+  try {
+    compact = JSON.parse(fromBase64Url(hash.slice(HASH_PREFIX.length)));
+  } catch (err) {
+    throw new Error("Shared link is corrupted or was truncated.");
+  }
+  return readNetwork(fromCompact(compact), limits);
+};
+
+// localStorage can be unavailable (private browsing, quota), so every access is best-effort.
+const readStorage = (key) => {
+  try {
+    const text = window.localStorage.getItem(key);
+    return text === null ? null : JSON.parse(text);
+  } catch (err) {
+    return null;
+  }
+};
+
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, JSON.stringify(value));
+  } catch (err) {
+    // Nothing useful to do; the app keeps working without persistence.
+  }
+};
+
+export const loadAutosave = (limits) => {
+  const saved = readStorage(AUTOSAVE_KEY);
+  if (!saved) return null;
+  try {
+    return readNetwork(saved, limits);
+  } catch (err) {
+    return null;
+  }
+};
+
+export const saveAutosave = (network) => writeStorage(AUTOSAVE_KEY, network);
+
+// Startup state: a shared link wins over the autosave. `network` is null when neither is usable.
+export const restoreNetwork = (limits) => {
+  try {
+    const shared = decodeNetworkHash(window.location.hash, limits);
+    if (shared) return { network: shared, error: null };
+  } catch (err) {
+    return { network: loadAutosave(limits), error: err.message };
+  }
+  return { network: loadAutosave(limits), error: null };
+};
+
+// User presets are stored as [{ name, network }], validated only when loaded.
+export const loadUserPresets = () => {
+  const saved = readStorage(PRESETS_KEY);
+  return Array.isArray(saved) ? saved.filter((p) => p && typeof p.name === "string" && p.network) : [];
+};
+
+export const saveUserPresets = (presets) => writeStorage(PRESETS_KEY, presets);
+
+// Imported lessons are stored as lesson objects (see lessons.js), validated only when loaded.
+export const loadUserLessons = () => {
+  const saved = readStorage(LESSONS_KEY);
+  return Array.isArray(saved) ? saved.filter((lesson) => lesson && typeof lesson.id === "string") : [];
+};
+
+export const saveUserLessons = (lessons) => writeStorage(LESSONS_KEY, lessons);
+
+// Lesson progress is the list of completed lesson ids.
+export const loadLessonProgress = () => {
+  const saved = readStorage(LESSON_PROGRESS_KEY);
+  return Array.isArray(saved) ? saved.filter((id) => typeof id === "string") : [];
+};
+
+export const saveLessonProgress = (completed) => writeStorage(LESSON_PROGRESS_KEY, completed);
@@ -0,0 +1,59 @@
+import { builtInActivationNames, DEFAULT_LEAKY_SLOPE } from "./networkEngine";
+import { FILE_FORMAT, SCHEMA_VERSION, serializeNetwork } from "./networkFile";
+import { decodeNetworkHash, encodeNetworkHash } from "./persistence";
+
+const limits = { activations: builtInActivationNames, maxLayers: 10, maxNeurons: 64, maxInputs: 4 };
+
+const network = serializeNetwork({
+  neuronsPerLayer: [2, 1],
+  activations: ["tanh", "softsign"],
+  weights: [[[0.5], [-1]], [[1, 2]]],
+  biases: [[0.1, -0.2], [0.3]],
+  inputs: [0.5],
+  viewMode: "weights",
+  hiddenLines: new Set(["L1_N2", "Über"]),
+  customActivations: [{ name: "softsign", expression: "z / (1 + abs(z))" }],
+  leakySlope: 0.1,
+  outputHead: "binary",
+  layerOptions: [{ residual: false, norm: { gain: [1, 2], bias: [0, 0.5] }, dropout: 0.25 }, { residual: false, norm: null, dropout: 0 }],
+});
+
+// A hash written by hand: base64url of the positional array.
+const rawHash = (compact) => "#net=" + btoa(JSON.stringify(compact)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+
+describe("share links", () => {
+  test("a network survives encoding and decoding", () => {
+    const hash = encodeNetworkHash(network);
+    expect(hash).toMatch(/^#net=[A-Za-z0-9_-]+$/);
+    expect(decodeNetworkHash(hash, limits)).toEqual(network);
+  });
+
+  test("version 1 links from before the optional fields get their defaults", () => {
+    const compact = [1, [2, 1], ["tanh", "linear"], [[[0.5], [-1]], [[1, 2]]], [[0.1, -0.2], [0.3]], [0.5], "activity", []];
+    const expected = {
+      format: FILE_FORMAT,
+      version: SCHEMA_VERSION,
+      neuronsPerLayer: [2, 1],
+      activations: ["tanh", "linear"],
+      weights: [[[0.5], [-1]], [[1, 2]]],
+      biases: [[0.1, -0.2], [0.3]],
+      inputs: [0.5],
+      view: { viewMode: "activity", hiddenLines: [] },
+      customActivations: [],
+      leakySlope: DEFAULT_LEAKY_SLOPE,
+      outputHead: "regression",
+      layerOptions: [{ residual: false, norm: null, dropout: 0 }, { residual: false, norm: null, dropout: 0 }],
+    };
+    expect(decodeNetworkHash(rawHash(compact), limits)).toEqual(expected);
+    // Links written while a field was still undefined hold null in its place.
+    expect(decodeNetworkHash(rawHash([...compact, null, null, null, null]), limits)).toEqual(expected);
+  });
+
+  test("anything but a network link decodes to null, and a broken one throws", () => {
+    expect(decodeNetworkHash("", limits)).toBeNull();
+    expect(decodeNetworkHash("#section", limits)).toBeNull();
+    expect(() => decodeNetworkHash("#net=%%%", limits)).toThrow("Shared link is corrupted or was truncated.");
+    expect(() => decodeNetworkHash(rawHash({ version: 1 }), limits)).toThrow("Shared link does not contain a network.");
+    expect(() => decodeNetworkHash(rawHash([1, [2, 1]]), limits)).toThrow(/"inputs" must be an array/);
+  });
+});
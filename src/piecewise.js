@@ -0,0 +1,74 @@
+// Exact linear-region analysis for single-input networks built from piecewise-linear activations.
+// Every supported activation is linear on each side of z = 0, so the network output is an affine
+// function of x between the points where some neuron's z crosses 0. Dropout scales and skip
+// connections keep that true; LayerNorm divides by a data-dependent σ, so it rules a network out.
+
+export const PIECEWISE_LINEAR_ACTIVATIONS = ["relu", "leaky_relu", "linear"];
+
+export const isPiecewiseLinear = (network) =>
+  network.inputSize === 1 &&
+  network.activations.every((name) => PIECEWISE_LINEAR_ACTIVATIONS.includes(name)) &&
+  network.norms.every((norm) => !norm);
+
+const dot = (row, vec) => row.reduce((sum, w, j) => sum + w * vec[j], 0);
+
+// Returns null when the network doesn't qualify. Otherwise:
+//   breakpoints:     [{ x, layer, neuron }], sorted by x, where that neuron's z crosses 0 inside [min, max]
+//   regions:         [{ x1, x2, slopes, intercepts }], output neuron k is slopes[k]·x + intercepts[k] on [x1, x2]
+//   regionsPerLayer: number of linear pieces after each layer
+export const linearRegions = (network, min, max) => {
+  if (!isPiecewiseLinear(network)) return null;
+
+  // Each piece holds the current layer's activations as affine functions m·x + c on [x1, x2].
+  let pieces = [{ x1: min, x2: max, m: [1], c: [0] }];
+  const breakpoints = [];
+  const regionsPerLayer = [];
+
+  network.effectiveWeights.forEach((Wl, l) => {
+    const { derivative } = network.layerFunctions[l];
+    const forced = network.neuronValues[l];
+    const scales = network.dropoutScales[l];
+    const residual = network.residual[l];
+    const negativeSlope = derivative(-1);
+    const positiveSlope = derivative(1);
+    const next = [];
+
+    pieces.forEach((piece) => {
+      const zm = Wl.map((row) => dot(row, piece.m));
+      const zc = Wl.map((row, i) => dot(row, piece.c) + network.biases[l][i]);
+
+      const cuts = [];
+      if (negativeSlope !== positiveSlope) {
+        zm.forEach((m, i) => {
+          // An ablated or dropped neuron outputs a constant, so it has no kink.
+          const x = m === 0 || forced[i] !== null || scales?.[i] === 0 ? NaN : -zc[i] / m;
+          if (x > piece.x1 && x < piece.x2) cuts.push({ x, layer: l, neuron: i });
+        });
+      }
+      cuts.sort((a, b) => a.x - b.x);
+      breakpoints.push(...cuts);
+
+      const edges = [piece.x1, ...cuts.map((cut) => cut.x), piece.x2];
+      for (let k = 1; k < edges.length; k++) {
+        if (edges[k] - edges[k - 1] < 1e-12) continue; // two neurons kinking at the same x
+        const mid = (edges[k - 1] + edges[k]) / 2;
+        const slopes = zm.map((m, i) => (m * mid + zc[i] > 0 ? positiveSlope : negativeSlope) * (scales ? scales[i] : 1));
+        next.push({
+          x1: edges[k - 1],
+          x2: edges[k],
+          m: zm.map((m, i) => (forced[i] === null ? m * slopes[i] + (residual ? piece.m[i] : 0) : 0)),
+          c: zc.map((c, i) => (forced[i] === null ? c * slopes[i] + (residual ? piece.c[i] : 0) : forced[i])),
+        });
+      }
+    });
+
+    pieces = next;
+    regionsPerLayer.push(pieces.length);
+  });
+
+  return {
+    breakpoints: breakpoints.sort((a, b) => a.x - b.x),
+    regions: pieces.map(({ x1, x2, m, c }) => ({ x1, x2, slopes: m, intercepts: c })),
+    regionsPerLayer,
+  };
+};
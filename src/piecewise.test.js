@@ -0,0 +1,60 @@
+import { createNetwork, predict } from "./networkEngine";
+import { linearRegions } from "./piecewise";
+
+// relu(x+1) − 2·relu(x) + relu(x−1): a triangular bump with kinks at −1, 0 and 1
+const bump = createNetwork({
+  inputSize: 1,
+  neuronsPerLayer: [3, 1],
+  activations: ["relu", "linear"],
+  weights: [[[1], [1], [1]], [[1, -2, 1]]],
+  biases: [[1, 0, -1], [0]],
+});
+
+describe("linearRegions", () => {
+  test("finds the exact breakpoints and region equations", () => {
+    const { breakpoints, regions, regionsPerLayer } = linearRegions(bump, -5, 5);
+    [-1, 0, 1].forEach((x, i) => expect(breakpoints[i].x).toBeCloseTo(x));
+    expect(breakpoints).toHaveLength(3);
+    expect(breakpoints.map((b) => b.neuron)).toEqual([0, 1, 2]);
+    const expected = [[-5, -1, 0, 0], [-1, 0, 1, 1], [0, 1, -1, 1], [1, 5, 0, 0]];
+    expect(regions).toHaveLength(expected.length);
+    regions.forEach((r, i) => {
+      [r.x1, r.x2, r.slopes[0], r.intercepts[0]].forEach((v, k) => expect(v).toBeCloseTo(expected[i][k]));
+    });
+    expect(regionsPerLayer).toEqual([4, 4]);
+  });
+
+  test("region equations reproduce the forward pass in deeper networks", () => {
+    const network = createNetwork({
+      inputSize: 1,
+      neuronsPerLayer: [3, 2, 1],
+      activations: ["relu", "leaky_relu", "relu"],
+      weights: [[[1.5], [-0.7], [0.4]], [[1, -1, 0.5], [-0.3, 0.8, 1]], [[1.2, -0.9]]],
+      biases: [[0.5, 1, -1.2], [0.1, -0.4], [0.3]],
+    });
+    const { regions } = linearRegions(network, -5, 5);
+    for (let x = -4.95; x < 5; x += 0.37) {
+      const region = regions.find((r) => x >= r.x1 && x <= r.x2);
+      expect(region.slopes[0] * x + region.intercepts[0]).toBeCloseTo(predict(network, [x])[0], 9);
+    }
+  });
+
+  test("follows skip connections and dropout but not LayerNorm", () => {
+    const options = { inputSize: 1, neuronsPerLayer: [1, 1], activations: ["relu", "leaky_relu"], weights: [[[2]], [[-1]]], biases: [[-1], [0.5]] };
+    const network = createNetwork({ ...options, layerOptions: [{ residual: true }, { residual: true, dropout: 0.25 }], dropoutMasks: [[true], [true]] });
+    const { regions } = linearRegions(network, -3, 3);
+    for (let x = -2.95; x < 3; x += 0.41) {
+      const region = regions.find((r) => x >= r.x1 && x <= r.x2);
+      expect(region.slopes[0] * x + region.intercepts[0]).toBeCloseTo(predict(network, [x])[0], 9);
+    }
+    const normed = createNetwork({ ...options, layerOptions: [{ norm: { gain: [1], bias: [0] } }] });
+    expect(linearRegions(normed, -1, 1)).toBeNull();
+  });
+
+  test("ignores networks with curved activations or several inputs", () => {
+    const curved = createNetwork({ ...bump, neuronsPerLayer: [3, 1], activations: ["tanh", "linear"] });
+    expect(linearRegions(curved, -1, 1)).toBeNull();
+    const twoInputs = createNetwork({ inputSize: 2, neuronsPerLayer: [1], activations: ["relu"], weights: [[[1, 1]]], biases: [[0]] });
+    expect(linearRegions(twoInputs, -1, 1)).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+import { FILE_FORMAT, SCHEMA_VERSION } from "./networkFile";
+import { LESSON_FORMAT, LESSON_VERSION } from "./lessons";
+
+const networkFile = ({ neuronsPerLayer, activations, weights, biases, inputs = [0] }) => ({
+  format: FILE_FORMAT,
+  version: SCHEMA_VERSION,
+  neuronsPerLayer,
+  activations,
+  weights,
+  biases,
+  inputs,
+  view: { viewMode: "activity", hiddenLines: [] },
+});
+
+const preset = (name, description, network) => ({ name, description, network: networkFile(network) });
+
+// Hand-built examples. Each is a regular network file, so it goes through the same validation as an import.
+export const builtInPresets = [
+  preset("ReLU bump", "relu(x+1) − 2·relu(x) + relu(x−1): three ReLUs make a triangular bump at 0.", {
+    neuronsPerLayer: [3, 1],
+    activations: ["relu", "linear"],
+    weights: [[[1], [1], [1]], [[1, -2, 1]]],
+    biases: [[1, 0, -1], [0]],
+  }),
+  preset("Sigmoid step", "A single steep sigmoid approximates a unit step at x = 0.", {
+    neuronsPerLayer: [1],
+    activations: ["sigmoid"],
+    weights: [[[4]]],
+    biases: [[0]],
+  }),
+  preset("Absolute value", "|x| = relu(x) + relu(−x): two mirrored ReLUs summed by a linear output.", {
+    neuronsPerLayer: [2, 1],
+    activations: ["relu", "linear"],
+    weights: [[[1], [-1]], [[1, 1]]],
+    biases: [[0, 0], [0]],
+  }),
+  preset("Tanh sine approximation", "Five shifted tanh units whose weighted sum traces sin(x) over [-5, 5].", {
+    neuronsPerLayer: [5, 1],
+    activations: ["tanh", "linear"],
+    weights: [[[0.89], [0.64], [0.62], [0.64], [0.89]], [[0.88, -1.8, 1.93, -1.8, 0.88]]],
+    biases: [[-5.05, -1.96, 0, 1.96, 5.05], [0]],
+  }),
+];
+
+// Scripted lessons, written as a lesson file (see lessons.js) so they are read like an imported one.
+export const builtInLessonFile = {
+  format: LESSON_FORMAT,
+  version: LESSON_VERSION,
+  lessons: [
+    {
+      id: "abs-value",
+      title: "Fold a ReLU into |x|",
+      intro: "Two ReLUs feed a linear output that just adds them up. Right now both ReLUs look the same way, so the output is only a ramp.",
+      network: networkFile({
+        neuronsPerLayer: [2, 1],
+        activations: ["relu", "linear"],
+        weights: [[[1], [0.5]], [[1, 1]]],
+        biases: [[0, 0], [0]],
+      }),
+      locked: ["L2"],
+      goal: { type: "match", neuron: "L2N1", expression: "abs(x)", range: [-3, 3], description: "Make the output look like |x| over [-3, 3]." },
+      hints: [
+        "The output layer is locked to relu(L1N1) + relu(L1N2). Only the first layer is yours to change.",
+        "L1N1 already gives x for x > 0. You need L1N2 to give −x for x < 0.",
+        "Set L1N2's weight to −1: relu(−x) is −x left of 0 and 0 right of it.",
+      ],
+    },
+    {
+      id: "dead-for-negative",
+      title: "Switch a neuron off for x < 0",
+      intro: "A ReLU outputs 0 wherever its pre-activation z = w·x + b is at or below 0. That is how a neuron ignores part of the input range.",
+      network: networkFile({
+        neuronsPerLayer: [2, 1],
+        activations: ["relu", "linear"],
+        weights: [[[1], [-1]], [[1, 1]]],
+        biases: [[0, 0.5], [0]],
+      }),
+      unlocked: ["L1N2"],
+      goal: { type: "dead", neuron: "L1N2", range: [-5, 0] },
+      hints: [
+        "L1N2 is currently active for x < 0.5. Turn on the regime shading in the landscape to see where it is 0.",
+        "For z = w·x + b to stay at or below 0 for every x < 0, the line must not rise as x goes left, so w ≥ 0.",
+        "At x = 0, z is just b, so b must be ≤ 0 too. Try w = 1 and b = 0.",
+      ],
+    },
+    {
+      id: "relu-bump",
+      title: "Place a triangular bump",
+      intro: "relu(x − a) − 2·relu(x − b) + relu(x − c) is a triangle that rises at a, peaks at b and is flat again after c. The output weights are fixed at 1, −2, 1.",
+      network: networkFile({
+        neuronsPerLayer: [3, 1],
+        activations: ["relu", "linear"],
+        weights: [[[1], [1], [1]], [[1, -2, 1]]],
+        biases: [[2, 1, 0], [0]],
+      }),
+      unlocked: ["L1N1.b", "L1N2.b", "L1N3.b"],
+      goal: { type: "match", neuron: "L2N1", expression: "max(0, 1 - abs(x))", range: [-4, 4], description: "Make the output a triangle peaking at 1 over x = 0, zero outside [-1, 1]." },
+      hints: [
+        "Each ReLU starts its ramp where w·x + b = 0, which is x = −b when w = 1.",
+        "The bump should start at x = −1, peak at x = 0 and end at x = 1.",
+        "Set the biases to 1, 0 and −1.",
+      ],
+    },
+  ],
+};
@@ -0,0 +1,106 @@
+// Reduced-precision simulation: rounds weights, biases and optionally activations the way a
+// deployment format stores them, so the result can be compared with the float64 network.
+//
+// fp16 and bf16 round to the nearest representable float (ties to even, overflow to ±Infinity).
+// int8 uses a symmetric scale per layer, max|v| / 127, and fixed point a two's-complement grid of
+// `bits` bits with `fractionBits` of them after the binary point, saturating at the ends.
+
+export const PRECISIONS = {
+  float64: { label: "float64" },
+  fp16: { label: "fp16", mantissaBits: 10, exponentBits: 5 },
+  bf16: { label: "bf16", mantissaBits: 7, exponentBits: 8 },
+  int8: { label: "int8" },
+  fixed: { label: "Fixed point" },
+};
+
+export const DEFAULT_FIXED_POINT = { bits: 16, fractionBits: 8 };
+
+const INT8_MAX = 127;
+
+const roundHalfEven = (v) => {
+  const r = Math.round(v);
+  return Math.abs(v % 1) === 0.5 && r % 2 !== 0 ? r - 1 : r;
+};
+
+const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
+
+// floor(log2(x)) for x > 0, corrected where Math.log2 lands a hair off an exact power of 2.
+const floorLog2 = (x) => {
+  const e = Math.floor(Math.log2(x));
+  if (2 ** e > x) return e - 1;
+  return 2 ** (e + 1) <= x ? e + 1 : e;
+};
+
+// Spacing of the float grid around |v|; below the smallest normal exponent it stays fixed (subnormals).
+const floatStep = (v, mantissaBits, exponentBits) => {
+  const minExponent = 2 - 2 ** (exponentBits - 1);
+  return 2 ** (Math.max(floorLog2(Math.abs(v)), minExponent) - mantissaBits);
+};
+
+export const roundToFloat = (v, mantissaBits, exponentBits) => {
+  if (v === 0 || !Number.isFinite(v)) return v;
+  const step = floatStep(v, mantissaBits, exponentBits);
+  const rounded = roundHalfEven(v / step) * step;
+  const max = (2 - 2 ** -mantissaBits) * 2 ** (2 ** (exponentBits - 1) - 1);
+  return Math.abs(rounded) > max ? Math.sign(v) * Infinity : rounded;
+};
+
+const maxAbs = (values) => {
+  let max = 0;
+  for (const v of values) if (Math.abs(v) > max) max = Math.abs(v);
+  return max;
+};
+
+// { step, quantize } for one group of `values` (a layer's weights, biases or activations).
+// The group only matters for int8, whose scale it sets; `step` is the grid spacing, and for the
+// float formats the spacing at the group's largest magnitude. float64 is the identity.
+export const createQuantizer = (precision, values, { bits, fractionBits } = DEFAULT_FIXED_POINT) => {
+  if (precision === "int8") {
+    const scale = maxAbs(values) / INT8_MAX;
+    return { step: scale, quantize: (v) => (scale === 0 ? 0 : clamp(roundHalfEven(v / scale), -INT8_MAX, INT8_MAX) * scale) };
+  }
+  if (precision === "fixed") {
+    const step = 2 ** -fractionBits;
+    const lo = -(2 ** (bits - 1)) * step;
+    const hi = (2 ** (bits - 1) - 1) * step;
+    return { step, quantize: (v) => clamp(roundHalfEven(v / step) * step, lo, hi) };
+  }
+  const format = PRECISIONS[precision];
+  if (!format?.mantissaBits) return { step: 0, quantize: (v) => v };
+  const largest = maxAbs(values);
+  return {
+    step: largest === 0 ? 0 : floatStep(largest, format.mantissaBits, format.exponentBits),
+    quantize: (v) => roundToFloat(v, format.mantissaBits, format.exponentBits),
+  };
+};
+
+// Rounded copies of [weights, biases] and each layer's { weights, biases } step size.
+// Each layer's weights and its biases get their own quantizer, so their own int8 scale.
+export const quantizeParameters = (weights, biases, precision, fixedPoint = DEFAULT_FIXED_POINT) => {
+  const steps = [];
+  const quantized = weights.map((Wl, l) => {
+    const weightQuantizer = createQuantizer(precision, Wl.flat(), fixedPoint);
+    const biasQuantizer = createQuantizer(precision, biases[l], fixedPoint);
+    steps.push({ weights: weightQuantizer.step, biases: biasQuantizer.step });
+    return [Wl.map((row) => row.map(weightQuantizer.quantize)), biases[l].map(biasQuantizer.quantize)];
+  });
+  return { weights: quantized.map(([w]) => w), biases: quantized.map(([, b]) => b), steps };
+};
+
+// One activation quantizer per layer. `calibration[l]` holds layer l's float activations over
+// some representative inputs; int8 takes its scale from them, as static quantization does.
+export const activationQuantizers = (calibration, precision, fixedPoint = DEFAULT_FIXED_POINT) =>
+  calibration.map((values) => createQuantizer(precision, values, fixedPoint));
+
+// Max and mean |reference - quantized| over two equally long lists of outputs.
+export const outputError = (reference, quantized) => {
+  let max = 0;
+  let total = 0;
+  for (let k = 0; k < reference.length; k++) {
+    const error = Math.abs(reference[k] - quantized[k]);
+    // Written so a NaN from an overflowed output shows up instead of being skipped.
+    if (!(error <= max)) max = error;
+    total += error;
+  }
+  return { max, mean: reference.length ? total / reference.length : 0 };
+};
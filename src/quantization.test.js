@@ -0,0 +1,53 @@
+import { activationQuantizers, createQuantizer, outputError, quantizeParameters, roundToFloat } from "./quantization";
+
+describe("float formats", () => {
+  test("round to the nearest fp16 and bf16 value", () => {
+    expect(roundToFloat(1 / 3, 10, 5)).toBe(0.333251953125);
+    expect(roundToFloat(1 / 3, 7, 8)).toBe(0.333984375);
+    expect(roundToFloat(-1 / 3, 10, 5)).toBe(-0.333251953125);
+  });
+
+  test("ties go to the even neighbour", () => {
+    expect(roundToFloat(1 + 2 ** -11, 10, 5)).toBe(1);
+    expect(roundToFloat(1 + 3 * 2 ** -11, 10, 5)).toBe(1 + 2 ** -9);
+  });
+
+  test("fp16 overflows to infinity and keeps subnormals", () => {
+    expect(roundToFloat(65519, 10, 5)).toBe(65504);
+    expect(roundToFloat(65520, 10, 5)).toBe(Infinity);
+    expect(roundToFloat(1.5 * 2 ** -25, 10, 5)).toBe(2 ** -24);
+  });
+
+  test("the reported step is the spacing at the largest magnitude", () => {
+    expect(createQuantizer("fp16", [0.1, -3]).step).toBe(2 ** -9);
+    expect(createQuantizer("float64", [0.1, -3])).toMatchObject({ step: 0 });
+  });
+});
+
+describe("integer formats", () => {
+  test("int8 scales each group symmetrically to ±127", () => {
+    const { weights, biases, steps } = quantizeParameters([[[0.5, -1.27], [0.004, 1]]], [[0.3, 0]], "int8");
+    expect(steps[0].weights).toBeCloseTo(0.01);
+    expect(steps[0].biases).toBeCloseTo(0.3 / 127);
+    expect(weights[0][0][0]).toBeCloseTo(0.5);
+    expect(weights[0][1][0]).toBe(0);
+    expect(biases[0]).toEqual([0.3, 0]);
+  });
+
+  test("int8 activations take their scale from calibration values", () => {
+    const [layer] = activationQuantizers([[0, 2.54, 1]], "int8");
+    expect(layer.step).toBeCloseTo(0.02);
+    expect(layer.quantize(5)).toBeCloseTo(2.54);
+  });
+
+  test("fixed point rounds to 2^-fractionBits and saturates", () => {
+    const { step, quantize } = createQuantizer("fixed", [], { bits: 4, fractionBits: 2 });
+    expect(step).toBe(0.25);
+    expect([0.3, 0.375, 5, -5].map(quantize)).toEqual([0.25, 0.5, 1.75, -2]);
+  });
+});
+
+test("outputError reports the max and mean absolute difference", () => {
+  expect(outputError([1, 2, 3], [1.5, 2, 2])).toEqual({ max: 1, mean: 0.5 });
+  expect(outputError([1], [Infinity]).max).toBe(Infinity);
+});
@@ -0,0 +1,64 @@
+// Sweeps of a 1-D function for plotting.
+
+const MAX_POINTS = 4000;
+
+// Evenly spaced points from min to max; max is always included even when step doesn't divide the range.
+export const uniformPoints = (min, max, step) => {
+  const xs = [];
+  for (let i = 0; min + i * step <= max + 1e-9 && xs.length < MAX_POINTS; i++) {
+    xs.push(parseFloat((min + i * step).toFixed(6)));
+  }
+  if (xs[xs.length - 1] < max - 1e-9) xs.push(max);
+  return xs;
+};
+
+// { min, max } of the finite numbers in `values`, or null when there are none. Loops instead of
+// spreading into Math.min, which overflows the call stack for large sweeps.
+export const finiteExtent = (values) => {
+  let min = Infinity;
+  let max = -Infinity;
+  for (const v of values) {
+    if (!Number.isFinite(v)) continue;
+    if (v < min) min = v;
+    if (v > max) max = v;
+  }
+  return min <= max ? { min, max } : null;
+};
+
+// Evaluates `evaluate(x)` on a uniform grid and returns [{ x, sample }] sorted by x.
+// With `refine(sample) -> number[]`, intervals whose midpoint strays from the straight line
+// between their ends (kinks, steep slopes) are bisected up to `maxDepth` times.
+// `tolerance` is relative to the overall spread of the refined values.
+// With `batch`, `evaluate(xs)` takes an array and returns one sample per x; the grid and each
+// level of refinement are then evaluated in a single call.
+export const sampleRange = (min, max, step, evaluate, { refine, tolerance = 0.002, maxDepth = 4, batch = false } = {}) => {
+  const evaluateAll = batch ? evaluate : (xs) => xs.map((x) => evaluate(x));
+  const xs = uniformPoints(min, max, step);
+  const base = evaluateAll(xs).map((sample, i) => ({ x: xs[i], sample }));
+  if (!refine || base.length < 2) return base;
+
+  const extent = finiteExtent(base.flatMap((p) => refine(p.sample)));
+  const scale = extent ? Math.max(1e-9, extent.max - extent.min) : 1;
+  const limit = tolerance * scale;
+
+  const points = [...base];
+  let intervals = base.slice(1).map((right, i) => [base[i], right]);
+  for (let depth = 0; depth < maxDepth && intervals.length && points.length < MAX_POINTS; depth++) {
+    const level = intervals.slice(0, MAX_POINTS - points.length);
+    const mids = level.map(([left, right]) => (left.x + right.x) / 2);
+    const samples = evaluateAll(mids);
+    const next = [];
+    level.forEach(([left, right], i) => {
+      const mid = { x: mids[i], sample: samples[i] };
+      const l = refine(left.sample);
+      const r = refine(right.sample);
+      const error = refine(mid.sample).reduce((worst, v, k) => Math.max(worst, Math.abs(v - (l[k] + r[k]) / 2)), 0);
+      if (error > limit) {
+        points.push(mid);
+        next.push([left, mid], [mid, right]);
+      }
+    });
+    intervals = next;
+  }
+  return points.sort((a, b) => a.x - b.x);
+};
@@ -0,0 +1,50 @@
+import { uniformPoints, sampleRange, finiteExtent } from "./sampling";
+
+describe("uniformPoints", () => {
+  test("covers the range and always ends at max", () => {
+    expect(uniformPoints(-1, 1, 0.5)).toEqual([-1, -0.5, 0, 0.5, 1]);
+    expect(uniformPoints(0, 1, 0.4)).toEqual([0, 0.4, 0.8, 1]);
+  });
+});
+
+describe("sampleRange", () => {
+  test("without refinement returns the uniform grid", () => {
+    const points = sampleRange(0, 2, 1, (x) => x * x);
+    expect(points).toEqual([{ x: 0, sample: 0 }, { x: 1, sample: 1 }, { x: 2, sample: 4 }]);
+  });
+
+  test("refines only around a kink", () => {
+    const relu = (x) => Math.max(0, x - 0.3);
+    const points = sampleRange(-2, 2, 1, relu, { refine: (y) => [y], maxDepth: 3 });
+    const xs = points.map((p) => p.x);
+    // The kink at 0.3 sits in [0, 1]; that interval gets bisected, the linear ones don't.
+    expect(xs).toContain(0.25);
+    expect(xs).toContain(0.375);
+    expect(xs.filter((x) => x < 0)).toEqual([-2, -1]);
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+  });
+});
+
+describe("sampleRange in batch mode", () => {
+  test("gives the same points as one call per x, in few calls", () => {
+    const relu = (x) => Math.max(0, x - 0.3);
+    const options = { refine: (y) => [y], maxDepth: 3 };
+    let calls = 0;
+    const batched = sampleRange(-2, 2, 1, (xs) => {
+      calls += 1;
+      return xs.map(relu);
+    }, { ...options, batch: true });
+    expect(batched).toEqual(sampleRange(-2, 2, 1, relu, options));
+    // The grid, then one call per refinement level.
+    expect(calls).toBe(4);
+  });
+});
+
+describe("finiteExtent", () => {
+  test("skips non-finite values and handles more values than fit in an argument list", () => {
+    expect(finiteExtent([3, NaN, -2, Infinity, 1])).toEqual({ min: -2, max: 3 });
+    expect(finiteExtent([NaN])).toBeNull();
+    const many = Array.from({ length: 500000 }, (_, i) => i % 1000);
+    expect(finiteExtent(many)).toEqual({ min: 0, max: 999 });
+  });
+});
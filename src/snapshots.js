@@ -0,0 +1,32 @@
+// Comparing a pinned network snapshot with the current parameters.
+
+// Every weight and bias whose value differs between `before` and `after` (both { weights, biases }).
+// Parameters that exist on only one side (the architecture changed) are reported with null on the other.
+// Each change is { kind: "weight" | "bias", layer, neuron, input?, before, after, delta }.
+export const diffParameters = (before, after) => {
+  const changes = [];
+  const record = (entry, a, b) => {
+    if (a === b) return;
+    const delta = a === null || b === null ? null : b - a;
+    changes.push({ ...entry, before: a, after: b, delta });
+  };
+  const layers = Math.max(before.weights.length, after.weights.length);
+
+  for (let layer = 0; layer < layers; layer++) {
+    const wa = before.weights[layer] ?? [];
+    const wb = after.weights[layer] ?? [];
+    const ba = before.biases[layer] ?? [];
+    const bb = after.biases[layer] ?? [];
+    const neurons = Math.max(wa.length, wb.length);
+    for (let neuron = 0; neuron < neurons; neuron++) {
+      const rowA = wa[neuron] ?? [];
+      const rowB = wb[neuron] ?? [];
+      const fanIn = Math.max(rowA.length, rowB.length);
+      for (let input = 0; input < fanIn; input++) {
+        record({ kind: "weight", layer, neuron, input }, rowA[input] ?? null, rowB[input] ?? null);
+      }
+      record({ kind: "bias", layer, neuron }, ba[neuron] ?? null, bb[neuron] ?? null);
+    }
+  }
+  return changes;
+};
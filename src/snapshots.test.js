@@ -0,0 +1,27 @@
+import { diffParameters } from "./snapshots";
+
+const before = { weights: [[[1], [-1]], [[2, 3]]], biases: [[0.5, 0], [-1]] };
+
+describe("diffParameters", () => {
+  test("identical parameters have no changes", () => {
+    expect(diffParameters(before, before)).toEqual([]);
+  });
+
+  test("lists each changed weight and bias with old, new and delta", () => {
+    const after = { weights: [[[1], [-1]], [[2.5, 3]]], biases: [[0.5, 0.25], [-1]] };
+    expect(diffParameters(before, after)).toEqual([
+      { kind: "bias", layer: 0, neuron: 1, before: 0, after: 0.25, delta: 0.25 },
+      { kind: "weight", layer: 1, neuron: 0, input: 0, before: 2, after: 2.5, delta: 0.5 },
+    ]);
+  });
+
+  test("parameters on only one side are reported against null", () => {
+    // The hidden layer shrank to one neuron.
+    const after = { weights: [[[1]], [[2]]], biases: [[0.5], [-1]] };
+    const changes = diffParameters(before, after);
+    expect(changes).toContainEqual({ kind: "weight", layer: 0, neuron: 1, input: 0, before: -1, after: null, delta: null });
+    expect(changes).toContainEqual({ kind: "bias", layer: 0, neuron: 1, before: 0, after: null, delta: null });
+    expect(changes).toContainEqual({ kind: "weight", layer: 1, neuron: 0, input: 1, before: 3, after: null, delta: null });
+    expect(changes).toHaveLength(3);
+  });
+});
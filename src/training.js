@@ -0,0 +1,232 @@
+// Gradient-based training helpers: targets, losses, backprop and optimizers.
+
+import { compileNetwork, evaluateBatch, LAYER_NORM_EPSILON, layerNormStats } from "./networkEngine";
+
+export const targetFunctions = {
+  sin: { label: "sin(x)", fn: (x) => Math.sin(x) },
+  abs: { label: "|x|", fn: (x) => Math.abs(x) },
+  step: { label: "step", fn: (x) => (x >= 0 ? 1 : 0) },
+  square: { label: "x²", fn: (x) => x * x },
+  custom: { label: "custom…", fn: null },
+};
+
+// Every point of an evenly spaced grid over [min, max]^dims, as input vectors.
+export const sampleGrid = (dims, min, max, pointsPerAxis) => {
+  const axis = Array.from({ length: pointsPerAxis }, (_, i) => min + ((max - min) * i) / (pointsPerAxis - 1));
+  let points = [[]];
+  for (let d = 0; d < dims; d++) {
+    points = points.flatMap((point) => axis.map((v) => [...point, v]));
+  }
+  return points;
+};
+
+export const lossFunctions = {
+  mse: {
+    label: "MSE",
+    value: (pred, target) => (pred - target) ** 2,
+    grad: (pred, target) => 2 * (pred - target),
+  },
+  mae: {
+    label: "MAE",
+    value: (pred, target) => Math.abs(pred - target),
+    grad: (pred, target) => Math.sign(pred - target),
+  },
+};
+
+const zerosLike = (value) => (Array.isArray(value) ? value.map(zerosLike) : 0);
+
+// Applies fn element-wise across identically shaped nested arrays.
+const zipWith = (fn, ...arrays) =>
+  Array.isArray(arrays[0])
+    ? arrays[0].map((_, i) => zipWith(fn, ...arrays.map((a) => a[i])))
+    : fn(...arrays);
+
+// dL/dz from dL/dẑ through ẑ = gain·(z - mean)/σ + bias, where the mean and σ depend on every z.
+const layerNormBackward = (zs, dZHat, gain) => {
+  const { mean, invStd } = layerNormStats(zs);
+  const xHat = zs.map((z) => (z - mean) * invStd);
+  const dXHat = dZHat.map((d, i) => d * gain[i]);
+  const dMean = dXHat.reduce((sum, d) => sum + d, 0) / zs.length;
+  const dDotXHat = dXHat.reduce((sum, d, i) => sum + d * xHat[i], 0) / zs.length;
+  return dXHat.map((d, i) => invStd * (d - dMean - xHat[i] * dDotXHat));
+};
+
+// Propagates dL/da of the output layer back through a forward trace of `network`.
+// `trace` is the per-layer [{ z, zHat, a, inputs, keep }] list produced by the engine's forward().
+// Ablated neurons pass no gradient, and cut connections get none. LayerNorm gains and biases
+// are hand-edited, so they get no gradient either, but the gradient does flow through them.
+export const backpropagate = (trace, network, outputGrad) => {
+  const { effectiveWeights: weights, layerFunctions, neuronValues, connectionMask, norms, residual } = network;
+  const dW = [];
+  const db = [];
+  const deltas = [];
+  let dA = outputGrad;
+
+  for (let l = trace.length - 1; l >= 0; l--) {
+    const { derivative } = layerFunctions[l];
+    const layer = trace[l];
+    const upstream = dA;
+    const isFree = (i) => neuronValues[l][i] === null;
+    const dZHat = layer.map((neuron, i) => (isFree(i) ? upstream[i] * neuron.keep * derivative(neuron.zHat) : 0));
+    const dZ = norms[l] ? layerNormBackward(layer.map((neuron) => neuron.z), dZHat, norms[l].gain) : dZHat;
+
+    dW[l] = layer.map((neuron, i) => neuron.inputs.map((input, j) => dZ[i] * input * connectionMask[l][i][j]));
+    db[l] = dZ;
+    deltas[l] = layer.map((_, i) => ({ dA: upstream[i], dZ: dZ[i] }));
+
+    const fanIn = weights[l][0].length;
+    dA = Array.from({ length: fanIn }, (_, j) =>
+      weights[l].reduce((sum, row, i) => sum + row[j] * dZ[i], 0) + (residual[l] && isFree(j) ? upstream[j] : 0)
+    );
+  }
+
+  // Whatever is left in dA is the gradient with respect to the network input.
+  return { dW, db, deltas, dInput: dA };
+};
+
+// Loss of a single output neuron against `target`, plus the output-layer gradient.
+export const outputLoss = (trace, target, lossName, outputIndex) => {
+  const loss = lossFunctions[lossName];
+  const output = trace[trace.length - 1];
+  const pred = output[outputIndex].a;
+  const outputGrad = output.map((_, i) => (i === outputIndex ? loss.grad(pred, target) : 0));
+  return { loss: loss.value(pred, target), outputGrad };
+};
+
+export const optimizers = {
+  sgd: { label: "SGD" },
+  momentum: { label: "Momentum" },
+  adam: { label: "Adam" },
+};
+
+export const createOptimizerState = () => ({ t: 0, m: null, v: null });
+
+// One parameter update. `params` and `grads` are both [weights, biases] tuples.
+export const applyOptimizer = (name, params, grads, state, learningRate) => {
+  const t = state.t + 1;
+
+  if (name === "momentum") {
+    const beta = 0.9;
+    const m = zipWith((v, g) => beta * v + g, state.m || zerosLike(grads), grads);
+    return { params: zipWith((p, v) => p - learningRate * v, params, m), state: { t, m, v: null } };
+  }
+
+  if (name === "adam") {
+    const beta1 = 0.9;
+    const beta2 = 0.999;
+    const eps = 1e-8;
+    const m = zipWith((mi, g) => beta1 * mi + (1 - beta1) * g, state.m || zerosLike(grads), grads);
+    const v = zipWith((vi, g) => beta2 * vi + (1 - beta2) * g * g, state.v || zerosLike(grads), grads);
+    const correction1 = 1 - beta1 ** t;
+    const correction2 = 1 - beta2 ** t;
+    const next = zipWith(
+      (p, mi, vi) => p - (learningRate * (mi / correction1)) / (Math.sqrt(vi / correction2) + eps),
+      params, m, v
+    );
+    return { params: next, state: { t, m, v } };
+  }
+
+  return { params: zipWith((p, g) => p - learningRate * g, params, grads), state: { ...state, t } };
+};
+
+// layerNormBackward at every point of a batch (neuron-major, values[i * count + p]).
+const layerNormBackwardBatch = (z, dZHat, gain, rows, count) => {
+  const dZ = new Float64Array(rows * count);
+  for (let p = 0; p < count; p++) {
+    let mean = 0;
+    for (let i = 0; i < rows; i++) mean += z[i * count + p];
+    mean /= rows;
+    let variance = 0;
+    for (let i = 0; i < rows; i++) variance += (z[i * count + p] - mean) ** 2;
+    const invStd = 1 / Math.sqrt(variance / rows + LAYER_NORM_EPSILON);
+    let dMean = 0;
+    let dDotXHat = 0;
+    for (let i = 0; i < rows; i++) {
+      const k = i * count + p;
+      const dXHat = dZHat[k] * gain[i];
+      dMean += dXHat;
+      dDotXHat += dXHat * (z[k] - mean) * invStd;
+    }
+    dMean /= rows;
+    dDotXHat /= rows;
+    for (let i = 0; i < rows; i++) {
+      const k = i * count + p;
+      dZ[k] = invStd * (dZHat[k] * gain[i] - dMean - (z[k] - mean) * invStd * dDotXHat);
+    }
+  }
+  return dZ;
+};
+
+// Runs one full-batch epoch of `network` over `samples` ([{ x, y }], x an input vector) and returns
+// the updated [weights, biases], optimizer state and the mean loss measured before the update.
+// The same gradients as backpropagate() summed over the samples, but computed a layer at a time
+// over the whole batch on the compiled network, which is much faster for large networks.
+export const trainEpoch = ({ network, samples, lossName, outputIndex, optimizer, optimizerState, learningRate }) => {
+  const { weights, biases, connectionMask } = network;
+  const compiled = compileNetwork(network);
+  const { layers, inputSize } = compiled;
+  const loss = lossFunctions[lossName];
+  const n = samples.length;
+  const { z, zHat, a } = evaluateBatch(compiled, samples.flatMap(({ x }) => x), n);
+  const last = layers.length - 1;
+
+  // Only the trained output has a loss, so the other outputs start with no gradient.
+  let dA = new Float64Array(layers[last].rows * n);
+  let totalLoss = 0;
+  samples.forEach(({ y }, p) => {
+    const pred = a[last][outputIndex * n + p];
+    totalLoss += loss.value(pred, y);
+    dA[outputIndex * n + p] = loss.grad(pred, y);
+  });
+
+  const inputs = new Float64Array(inputSize * n);
+  samples.forEach(({ x }, p) => x.forEach((v, j) => (inputs[j * n + p] = v)));
+
+  const gradW = [];
+  const gradB = [];
+  for (let l = last; l >= 0; l--) {
+    const { rows, cols, weights: W, forced, norm, scales, residual, derivative } = layers[l];
+    const layerInput = l === 0 ? inputs : a[l - 1];
+    const dZHat = new Float64Array(rows * n);
+    for (let i = 0; i < rows; i++) {
+      if (forced[i] !== null) continue;
+      const keep = scales ? scales[i] : 1;
+      for (let k = i * n; k < (i + 1) * n; k++) dZHat[k] = dA[k] * keep * derivative(zHat[l][k]);
+    }
+    const dZ = norm ? layerNormBackwardBatch(z[l], dZHat, norm.gain, rows, n) : dZHat;
+
+    gradB[l] = Array.from({ length: rows }, (_, i) => {
+      let sum = 0;
+      for (let k = i * n; k < (i + 1) * n; k++) sum += dZ[k];
+      return sum / n;
+    });
+    gradW[l] = Array.from({ length: rows }, (_, i) =>
+      Array.from({ length: cols }, (_, j) => {
+        if (!connectionMask[l][i][j]) return 0;
+        let sum = 0;
+        for (let p = 0; p < n; p++) sum += dZ[i * n + p] * layerInput[j * n + p];
+        return sum / n;
+      })
+    );
+
+    if (l === 0) break;
+    const dPrev = new Float64Array(cols * n);
+    for (let i = 0; i < rows; i++) {
+      for (let j = 0; j < cols; j++) {
+        const w = W[i * cols + j];
+        if (w === 0) continue;
+        for (let p = 0; p < n; p++) dPrev[j * n + p] += w * dZ[i * n + p];
+      }
+    }
+    if (residual) {
+      for (let j = 0; j < cols; j++) {
+        if (forced[j] !== null) continue;
+        for (let k = j * n; k < (j + 1) * n; k++) dPrev[k] += dA[k];
+      }
+    }
+    dA = dPrev;
+  }
+
+  const result = applyOptimizer(optimizer, [weights, biases], [gradW, gradB], optimizerState, learningRate);
+  return { params: result.params, optimizerState: result.state, loss: totalLoss / n };
+};
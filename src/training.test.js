@@ -0,0 +1,97 @@
+import { createNetwork, forward } from "./networkEngine";
+import { backpropagate, createOptimizerState, outputLoss, trainEpoch } from "./training";
+
+describe("backpropagate", () => {
+  // 2 inputs -> 2 tanh with LayerNorm, a skip and dropout -> 2 sigmoid with LayerNorm
+  const spec = {
+    inputSize: 2,
+    neuronsPerLayer: [2, 2],
+    activations: ["tanh", "sigmoid"],
+    weights: [[[0.5, -1], [1.5, 0.25]], [[1, -2], [0.7, 0.4]]],
+    biases: [[0.1, -0.2], [0.3, -0.1]],
+    layerOptions: [
+      { residual: true, norm: { gain: [1.5, 0.5], bias: [0.1, -0.2] }, dropout: 0.4 },
+      { norm: { gain: [0.8, 1.2], bias: [0, 0.3] } },
+    ],
+    dropoutMasks: [[true, true]],
+  };
+  const x = [0.6, -0.9];
+  const lossAt = (overrides, input = x) => {
+    const trace = forward(createNetwork({ ...spec, ...overrides }), input);
+    return outputLoss(trace, 0.25, "mse", 1).loss;
+  };
+
+  test("weight, bias and input gradients match finite differences through every layer option", () => {
+    const network = createNetwork(spec);
+    const trace = forward(network, x);
+    const { dW, db, dInput } = backpropagate(trace, network, outputLoss(trace, 0.25, "mse", 1).outputGrad);
+    const h = 1e-6;
+    const nudge = (params, l, i, j, delta) =>
+      params.map((P, pl) => P.map((row, pi) => (Array.isArray(row)
+        ? row.map((w, pj) => (pl === l && pi === i && pj === j ? w + delta : w))
+        : pl === l && pi === i ? row + delta : row)));
+    dW.forEach((Wl, l) => Wl.forEach((row, i) => row.forEach((g, j) => {
+      const slope = (lossAt({ weights: nudge(spec.weights, l, i, j, h) }) - lossAt({ weights: nudge(spec.weights, l, i, j, -h) })) / (2 * h);
+      expect(g).toBeCloseTo(slope, 6);
+    })));
+    db.forEach((bl, l) => bl.forEach((g, i) => {
+      const slope = (lossAt({ biases: nudge(spec.biases, l, i, 0, h) }) - lossAt({ biases: nudge(spec.biases, l, i, 0, -h) })) / (2 * h);
+      expect(g).toBeCloseTo(slope, 6);
+    }));
+    dInput.forEach((g, j) => {
+      const up = x.map((v, k) => (k === j ? v + h : v));
+      const down = x.map((v, k) => (k === j ? v - h : v));
+      expect(g).toBeCloseTo((lossAt({}, up) - lossAt({}, down)) / (2 * h), 6);
+    });
+  });
+
+  test("a dropped neuron passes gradient only through its skip", () => {
+    const network = createNetwork({ ...spec, layerOptions: [{ residual: true, dropout: 0.4 }], dropoutMasks: [[false, true]] });
+    const trace = forward(network, x);
+    const { deltas, dInput } = backpropagate(trace, network, [0, 1]);
+    expect(deltas[0][0].dZ).toBe(0);
+    const throughWeights = spec.weights[0].reduce((sum, row, i) => sum + row[0] * deltas[0][i].dZ, 0);
+    expect(dInput[0]).toBeCloseTo(throughWeights + deltas[0][0].dA, 12);
+  });
+});
+
+describe("trainEpoch", () => {
+  test("matches the mean of per-sample backprop, with ablations and every layer option", () => {
+    const network = createNetwork({
+      inputSize: 2,
+      neuronsPerLayer: [2, 2, 2],
+      activations: ["tanh", "relu", "sigmoid"],
+      weights: [[[0.5, -1], [1.5, 0.25]], [[1, -2], [0.7, 0.4]], [[0.3, 0.9], [-0.6, 1.1]]],
+      biases: [[0.1, -0.2], [0.3, -0.1], [0, 0.2]],
+      layerOptions: [
+        { residual: true, norm: { gain: [1.5, 0.5], bias: [0.1, -0.2] }, dropout: 0.4 },
+        { residual: true },
+        { norm: { gain: [0.8, 1.2], bias: [0, 0.3] } },
+      ],
+      dropoutMasks: [[true, false]],
+      ablation: { neurons: [{ layer: 1, neuron: 0, value: 0.5 }], connections: [{ layer: 2, neuron: 1, input: 0 }] },
+    });
+    const samples = [[0.6, -0.9], [-1.2, 0.4], [2, 1.5]].map((x, p) => ({ x, y: p - 1 }));
+    const learningRate = 0.1;
+    const { params, loss } = trainEpoch({
+      network, samples, lossName: "mse", outputIndex: 1, optimizer: "sgd", optimizerState: createOptimizerState(), learningRate,
+    });
+
+    let expectedLoss = 0;
+    const grads = samples.map(({ x, y }) => {
+      const trace = forward(network, x);
+      const result = outputLoss(trace, y, "mse", 1);
+      expectedLoss += result.loss / samples.length;
+      return backpropagate(trace, network, result.outputGrad);
+    });
+    expect(loss).toBeCloseTo(expectedLoss, 12);
+    network.weights.forEach((Wl, l) => Wl.forEach((row, i) => row.forEach((w, j) => {
+      const mean = grads.reduce((sum, { dW }) => sum + dW[l][i][j], 0) / samples.length;
+      expect(params[0][l][i][j]).toBeCloseTo(w - learningRate * mean, 12);
+    })));
+    network.biases.forEach((bl, l) => bl.forEach((b, i) => {
+      const mean = grads.reduce((sum, { db }) => sum + db[l][i], 0) / samples.length;
+      expect(params[1][l][i]).toBeCloseTo(b - learningRate * mean, 12);
+    }));
+  });
+});
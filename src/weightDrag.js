@@ -0,0 +1,11 @@
+// Drag-to-edit for Network Diagram edges: vertical pointer movement maps to a weight change.
+
+// Weight change per pixel when dragging an edge.
+export const WEIGHT_DRAG_SCALE = 0.02;
+
+// Weight after dragging `pixelsUp` pixels (negative for down) from `startWeight`, rounded to 2 decimals
+// like the weight inputs. Returns null when the result isn't a finite number.
+export const draggedWeight = (startWeight, pixelsUp, scale = WEIGHT_DRAG_SCALE) => {
+  const value = parseFloat((startWeight + pixelsUp * scale).toFixed(2));
+  return Number.isFinite(value) ? value : null;
+};
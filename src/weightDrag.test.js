@@ -0,0 +1,19 @@
+import { WEIGHT_DRAG_SCALE, draggedWeight } from "./weightDrag";
+
+describe("draggedWeight", () => {
+  test("dragging up raises the weight and dragging down lowers it", () => {
+    expect(draggedWeight(0.5, 50)).toBe(0.5 + 50 * WEIGHT_DRAG_SCALE);
+    expect(draggedWeight(0.5, -25)).toBe(0);
+    expect(draggedWeight(-1.25, 0)).toBe(-1.25);
+  });
+
+  test("rounds to two decimals without float noise", () => {
+    expect(draggedWeight(0.1, 1)).toBe(0.12);
+    expect(draggedWeight(0.333333, 3, 0.001)).toBe(0.34);
+  });
+
+  test("returns null instead of a non-finite weight", () => {
+    expect(draggedWeight(NaN, 10)).toBeNull();
+    expect(draggedWeight(0, Infinity)).toBeNull();
+  });
+});